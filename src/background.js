@@ -0,0 +1,535 @@
+/**
+ * Background Script
+ * Imports PGN from the Chess.com content script through the Lichess import API
+ * (or into the chosen study), falling back to relaying it to a Lichess paste tab
+ */
+
+// PGNs waiting to be picked up, keyed by the Lichess tab they belong to
+const pendingHandoffs = new Map();
+
+// Handoffs still being set up (a fast paste script may ask before we know its tab ID)
+const handoffsInFlight = new Set();
+
+// Board views ({ orientation, ply }) for paste tabs, picked up once the imported game page loads
+const pendingBoardViews = new Map();
+
+// Games sent through paste tabs ({ pgn, chessComUrl }), added to the library once their game page loads
+const pendingLibraryEntries = new Map();
+
+/**
+ * Route runtime messages to their handlers
+ * @param {Object} message - Message sent by a content script
+ * @param {Object} sender - Message sender
+ * @returns {Promise<Object>|undefined} - Response for known message types
+ */
+function handleMessage(message, sender) {
+  if (!message || !message.type) return undefined;
+
+  switch (message.type) {
+    case MESSAGE_TYPES.SEND_TO_LICHESS:
+      return handleSendToLichess(message, sender);
+
+    case MESSAGE_TYPES.REQUEST_PGN:
+      return handleRequestPGN(sender);
+
+    case MESSAGE_TYPES.REQUEST_BOARD_VIEW:
+      return handleRequestBoardView(sender);
+
+    case MESSAGE_TYPES.OPEN_POSITION:
+      return handleOpenPosition(message, sender);
+
+    case MESSAGE_TYPES.SEND_BATCH:
+      return handleSendBatch(message, sender);
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Import the PGN and open the resulting Lichess game (or study chapter)
+ * A game already sent to the same destination reopens its earlier analysis instead, unless resend is set.
+ * Falls back to the paste page when the import API is unreachable, unless a study is set
+ * @param {Object} message - { pgn: string, source?: string, resend?: boolean, view?: { orientation: string, ply: number|null } }
+ * @param {Object} sender - Message sender (the Chess.com tab)
+ * @returns {Promise<Object>} - { success: boolean, method?: string, url?: string, error?: string, code?: string }
+ */
+async function handleSendToLichess(message, sender) {
+  if (!message.pgn) {
+    return createErrorResponse(ERROR_CODES.PGN_NOT_FOUND);
+  }
+
+  const settings = await loadSettings();
+  const toStudy = Boolean(settings.studyId);
+  const destination = getDestination(settings);
+  const chessComUrl = getChessComUrl(message.pgn, message.source);
+
+  // Study chapters get their orientation at import, so only the ply goes in the URL
+  const view = toStudy && message.view ? { ply: message.view.ply } : message.view;
+
+  const sent = message.resend ? null : await findSentGame(chessComUrl, destination).catch((error) => {
+    log('warn', 'Could not read the game library:', error);
+    return null;
+  });
+
+  if (sent) {
+    log('info', `Game already sent, reopening ${sent.lichessUrl}`);
+    return openGameTab(getGameViewUrl(sent.lichessUrl, view), sender.tab, settings, 'library');
+  }
+
+  log('info', `Received PGN from Chess.com, importing to ${toStudy ? 'study' : 'Lichess'}`);
+
+  let game;
+
+  try {
+    game = await importGame(message.pgn, settings, message.view);
+  } catch (error) {
+    // A loose game on the paste page is not what study users asked for
+    if (toStudy || error.kind === IMPORT_ERROR_KINDS.VALIDATION || error.kind === IMPORT_ERROR_KINDS.RATE_LIMIT) {
+      return createErrorResponse(error);
+    }
+
+    log('warn', 'Import API unavailable, falling back to paste page:', error.message);
+    return handoffToPastePage(message.pgn, message.view, sender, chessComUrl);
+  }
+
+  await recordSentGame(message.pgn, chessComUrl, game.url, destination);
+  return openGameTab(getGameViewUrl(game.url, view), sender.tab, settings, toStudy ? 'study' : 'import');
+}
+
+/**
+ * Open a Lichess game for a send request
+ * @param {string} url - Game URL
+ * @param {Object} openerTab - Chess.com tab
+ * @param {Object} settings - Settings object
+ * @param {string} method - How the game got there ('import', 'study' or 'library')
+ * @returns {Promise<Object>} - { success: boolean, method?: string, url?: string, error?: string, code?: string }
+ */
+async function openGameTab(url, openerTab, settings, method) {
+  try {
+    await openLichessTab(url, openerTab, settings);
+    return { success: true, method, url };
+  } catch (error) {
+    log('error', 'Failed to open Lichess tab:', error);
+    return createErrorResponse(ERROR_CODES.LICHESS_TAB_FAILED);
+  }
+}
+
+/**
+ * Import a PGN to the destination chosen in the settings
+ * @param {string} pgn - Sanitized PGN
+ * @param {Object} settings - Settings object (studyId, lichessToken, chapterNameTemplate)
+ * @param {Object} view - { orientation, ply } (optional)
+ * @returns {Promise<Object>} - Imported game or chapter { id, url }
+ */
+function importGame(pgn, settings, view) {
+  if (!settings.studyId) {
+    return importToLichess(pgn);
+  }
+
+  return importToStudy(pgn, {
+    study: settings.studyId,
+    token: settings.lichessToken,
+    name: formatChapterName(settings.chapterNameTemplate, getPGNInfo(pgn)),
+    orientation: view && view.orientation,
+  });
+}
+
+/**
+ * Send the game a Chess.com link points to, without opening it
+ * @param {string} url - Chess.com game URL
+ * @param {Object} tab - Tab the link was clicked in
+ * @returns {Promise<Object>} - { success: boolean, method?: string, url?: string, error?: string, code?: string }
+ */
+async function sendGameLink(url, tab) {
+  const page = classifyChessComPage(url);
+
+  if (!page || (page.variantInUrl && !detectVariantFromUrl(url))) {
+    return createErrorResponse(ERROR_CODES.UNSUPPORTED_GAME_LINK);
+  }
+
+  let data;
+
+  try {
+    data = await fetchGameData(page.gameId, { endpoints: getGameEndpoints(page.gameKind) });
+  } catch (error) {
+    log('error', `Could not fetch game ${page.gameId}:`, error);
+    return createErrorResponse(toExtensionError(error, ERROR_CODES.PGN_NOT_FOUND));
+  }
+
+  // Live and daily links don't name the variant; the game data does
+  const variant = page.variantInUrl ? detectVariantFromUrl(url) : readGameDataVariant(data);
+
+  if (!variant) {
+    return createErrorResponse(ERROR_CODES.UNSUPPORTED_GAME_LINK);
+  }
+
+  let pgn;
+
+  try {
+    pgn = buildPGNFromGameData(data, { variant, url });
+  } catch (error) {
+    log('error', `Could not read game ${page.gameId}:`, error);
+    return createErrorResponse(toExtensionError(error, ERROR_CODES.PGN_NOT_FOUND));
+  }
+
+  const prepared = prepareForLichess(pgn, variant);
+
+  if (!prepared.valid) {
+    return createErrorResponse(createError(ERROR_CODES.INVALID_PGN, { detail: prepared.error }));
+  }
+
+  const settings = await loadSettings();
+  const view = {
+    orientation: getPlayerColor(prepared.pgn, getMyUsernames(settings)) || 'white',
+    ply: null,
+  };
+
+  return handleSendToLichess({ pgn: prepared.pgn, source: url, view }, { tab });
+}
+
+/**
+ * Send the game behind a clicked link
+ * @param {Object} info - Menu click info
+ * @param {Object} tab - Tab the menu was opened in
+ */
+async function handleMenuClick(info, tab) {
+  if (info.menuItemId !== CONTEXT_MENU.SEND_GAME_LINK_ID) return;
+
+  log('info', `Sending linked game ${info.linkUrl}`);
+  const result = await sendGameLink(info.linkUrl, tab);
+
+  if (!result.success) {
+    log('error', 'Could not send linked game:', result.error);
+    recordSendFailure(result.error, info.linkUrl)
+      .catch(error => log('warn', 'Could not record the failed send:', error));
+  }
+}
+
+/**
+ * Run a keyboard command
+ * The send command clicks the button on the active tab, if it's a game page
+ * @param {string} command - Command name
+ */
+async function handleCommand(command) {
+  if (command !== COMMANDS.SEND_GAME) return;
+
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  try {
+    await browser.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.TRIGGER_SEND });
+  } catch (error) {
+    // No content script there: not a Chess.com variant game page
+    log('debug', 'Send command ignored, the active tab is not a game page');
+  }
+}
+
+/**
+ * Name the destination games go to, so the library only reuses analyses made there
+ * Games from the paste page count as imports: both end up as standalone Lichess games
+ * @param {Object} settings - Settings object
+ * @returns {string} - 'import' or 'study:<id>'
+ */
+function getDestination(settings) {
+  return settings.studyId ? `study:${parseStudyId(settings.studyId)}` : 'import';
+}
+
+/**
+ * Add a sent game to the library (failures are logged, the game was still sent)
+ * @param {string} pgn - Sanitized PGN
+ * @param {string|null} chessComUrl - Chess.com game URL
+ * @param {string} lichessUrl - Lichess game or chapter URL
+ * @param {string} destination - Destination from getDestination
+ * @returns {Promise<void>}
+ */
+async function recordSentGame(pgn, chessComUrl, lichessUrl, destination) {
+  try {
+    await saveLibraryEntry(createLibraryEntry(pgn, { chessComUrl, lichessUrl, destination }));
+  } catch (error) {
+    log('warn', 'Could not add the game to the library:', error);
+  }
+}
+
+/**
+ * Open a position on the Lichess analysis board
+ * @param {Object} message - { fen: string, variant: string, orientation?: string }
+ * @param {Object} sender - Message sender (the Chess.com tab)
+ * @returns {Promise<Object>} - { success: boolean, url?: string, error?: string, code?: string }
+ */
+async function handleOpenPosition(message, sender) {
+  if (!message.fen) {
+    return createErrorResponse(ERROR_CODES.BOARD_NOT_FOUND);
+  }
+
+  const url = getAnalysisUrl(message.fen, message.variant, message.orientation);
+
+  try {
+    const settings = await loadSettings();
+    await openLichessTab(url, sender.tab, settings);
+    return { success: true, url };
+  } catch (error) {
+    log('error', 'Failed to open Lichess tab:', error);
+    return createErrorResponse(ERROR_CODES.LICHESS_TAB_FAILED);
+  }
+}
+
+/**
+ * Import every game of a multi-game PGN, one after another, and open them
+ * Games already in the library reuse their analysis; games Lichess rejects are skipped;
+ * a server or network failure stops the batch
+ * @param {Object} message - { pgn: string }
+ * @param {Object} sender - Message sender (the archive tab)
+ * @returns {Promise<Object>} - { success: boolean, urls?: string[], failures?: Object[], error?: string, code?: string }
+ */
+async function handleSendBatch(message, sender) {
+  let games;
+
+  try {
+    games = parseGames(message.pgn || '').map(game => serializePGN(game));
+  } catch (error) {
+    return createErrorResponse(createError(ERROR_CODES.INVALID_PGN, { detail: error.message, cause: error }));
+  }
+
+  if (games.length === 0) {
+    return createErrorResponse(ERROR_CODES.PGN_NOT_FOUND);
+  }
+
+  log('info', `Importing ${games.length} games to Lichess`);
+
+  const settings = await loadSettings();
+  const destination = getDestination(settings);
+  const urls = [];
+  const failures = [];
+
+  for (let index = 0; index < games.length; index++) {
+    reportBatchProgress(sender.tab, { stage: 'importing', done: index, total: games.length });
+
+    const chessComUrl = getChessComUrl(games[index]);
+    const sent = await findSentGame(chessComUrl, destination).catch(() => null);
+
+    if (sent) {
+      log('debug', `Game ${index + 1} already sent, reusing ${sent.lichessUrl}`);
+      urls.push(sent.lichessUrl);
+      continue;
+    }
+
+    try {
+      const game = await importWithRetry(games[index], settings, (retryAfter) => {
+        reportBatchProgress(sender.tab, { stage: 'waiting', done: index, total: games.length, retryAfter });
+      });
+      await recordSentGame(games[index], chessComUrl, game.url, destination);
+      urls.push(game.url);
+    } catch (error) {
+      if (error.kind !== IMPORT_ERROR_KINDS.VALIDATION) {
+        return createErrorResponse(error, { urls, failures });
+      }
+
+      log('warn', `Game ${index + 1} rejected:`, error.message);
+      failures.push({ index: index + 1, error: error.message, code: getErrorCode(error) });
+    }
+  }
+
+  try {
+    await openBatchTabs(urls, sender.tab, settings);
+  } catch (error) {
+    log('error', 'Failed to open Lichess tabs:', error);
+    return createErrorResponse(ERROR_CODES.LICHESS_TAB_FAILED, { urls, failures });
+  }
+
+  const firstFailure = urls.length ? null : failures[0];
+  return { success: urls.length > 0, urls, failures, error: firstFailure && firstFailure.error, code: firstFailure && firstFailure.code };
+}
+
+/**
+ * Import a PGN, waiting out one rate limit before giving up
+ * @param {string} pgn - PGN of one game
+ * @param {Object} settings - Settings object
+ * @param {Function} onWait - Called with the wait in seconds before retrying
+ * @returns {Promise<Object>} - Imported game { id, url }
+ */
+async function importWithRetry(pgn, settings, onWait) {
+  try {
+    return await importGame(pgn, settings);
+  } catch (error) {
+    if (error.kind !== IMPORT_ERROR_KINDS.RATE_LIMIT) throw error;
+
+    onWait(error.retryAfter);
+    await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+    return importGame(pgn, settings);
+  }
+}
+
+/**
+ * Open imported games next to the archive tab, in archive order
+ * Only the first one is brought to the front (unless openInBackground is set)
+ * @param {string[]} urls - Game URLs
+ * @param {Object} openerTab - Archive tab
+ * @param {Object} settings - Settings object
+ */
+async function openBatchTabs(urls, openerTab, settings) {
+  const backgroundSettings = Object.assign({}, settings, { openInBackground: true });
+
+  // Each tab opens right after the opener, so open the last game first
+  for (let index = urls.length - 1; index >= 0; index--) {
+    await openLichessTab(urls[index], openerTab, index === 0 ? settings : backgroundSettings);
+  }
+}
+
+/**
+ * Tell the archive tab how the batch is going
+ * @param {Object} tab - Archive tab
+ * @param {Object} progress - { stage: 'importing'|'waiting', done: number, total: number, retryAfter?: number }
+ */
+function reportBatchProgress(tab, progress) {
+  if (!tab) return;
+
+  browser.tabs.sendMessage(tab.id, Object.assign({ type: MESSAGE_TYPES.BATCH_PROGRESS }, progress))
+    .catch(error => log('debug', 'Could not report batch progress:', error.message));
+}
+
+/**
+ * Open a Lichess paste tab and keep the PGN (and board view) for it
+ * @param {string} pgn - Sanitized PGN
+ * @param {Object} view - { orientation, ply } to show once the game is imported (optional)
+ * @param {Object} sender - Message sender (the Chess.com tab)
+ * @param {string|null} chessComUrl - Chess.com game URL, for the library entry
+ * @returns {Promise<Object>} - { success: boolean, method?: string, error?: string, code?: string }
+ */
+async function handoffToPastePage(pgn, view, sender, chessComUrl) {
+  const handoff = loadSettings()
+    .then(settings => openLichessTab(LICHESS_URLS.PASTE, sender.tab, settings))
+    .then((tab) => {
+      pendingHandoffs.set(tab.id, pgn);
+      pendingLibraryEntries.set(tab.id, { pgn, chessComUrl });
+      if (view) pendingBoardViews.set(tab.id, view);
+      log('debug', `PGN stored for Lichess tab ${tab.id}`);
+    });
+
+  handoffsInFlight.add(handoff);
+
+  try {
+    await handoff;
+    return { success: true, method: 'paste' };
+  } catch (error) {
+    log('error', 'Failed to open Lichess tab:', error);
+    return createErrorResponse(ERROR_CODES.LICHESS_TAB_FAILED);
+  } finally {
+    handoffsInFlight.delete(handoff);
+  }
+}
+
+/**
+ * Hand the stored PGN to the Lichess tab asking for it (one-time pickup)
+ * @param {Object} sender - Message sender (the Lichess tab)
+ * @returns {Promise<Object>} - { pgn: string|null }
+ */
+async function handleRequestPGN(sender) {
+  if (!sender.tab) {
+    return { pgn: null };
+  }
+
+  // Let any handoff in flight register its PGN before we look
+  await Promise.all(Array.from(handoffsInFlight, (handoff) => handoff.catch(() => null)));
+
+  const pgn = pendingHandoffs.get(sender.tab.id) || null;
+  pendingHandoffs.delete(sender.tab.id);
+
+  log('debug', pgn ? `PGN handed to tab ${sender.tab.id}` : `No PGN pending for tab ${sender.tab.id}`);
+  return { pgn };
+}
+
+/**
+ * Tell a Lichess game page which side and ply to show (one-time pickup)
+ * A paste tab's first game page is also where we learn the imported game's URL for the library
+ * @param {Object} sender - Message sender (the Lichess tab)
+ * @returns {Promise<Object>} - { view: { orientation, ply }|null }
+ */
+async function handleRequestBoardView(sender) {
+  if (!sender.tab) {
+    return { view: null };
+  }
+
+  const pasted = pendingLibraryEntries.get(sender.tab.id);
+  const gameMatch = sender.url && new URL(sender.url).pathname.match(REGEX_PATTERNS.LICHESS_GAME_PATH);
+
+  if (pasted && gameMatch) {
+    pendingLibraryEntries.delete(sender.tab.id);
+    await recordSentGame(pasted.pgn, pasted.chessComUrl, `${LICHESS_URLS.BASE}/${gameMatch[1]}`, 'import');
+  }
+
+  const view = pendingBoardViews.get(sender.tab.id) || null;
+  pendingBoardViews.delete(sender.tab.id);
+
+  return { view };
+}
+
+/**
+ * Add the board view to a Lichess game URL
+ * Lichess shows White's side unless the path ends in /black, and jumps to the ply in the hash
+ * @param {string} url - Game URL
+ * @param {Object} view - { orientation, ply } (optional)
+ * @returns {string} - Game URL for that view
+ */
+function getGameViewUrl(url, view) {
+  if (!view) return url;
+
+  const base = view.orientation === 'black' ? `${url.replace(/\/$/, '')}/black` : url;
+  return view.ply ? `${base}#${view.ply}` : base;
+}
+
+/**
+ * Build the Lichess analysis board URL for a position
+ * @param {string} fen - FEN
+ * @param {string} variant - Variant key
+ * @param {string} orientation - 'white' or 'black' (optional)
+ * @returns {string} - URL
+ */
+function getAnalysisUrl(fen, variant, orientation) {
+  const variantPath = LICHESS_VARIANT_CODES[variant] || 'standard';
+  const url = `${LICHESS_URLS.ANALYSIS}/${variantPath}/${encodeURI(fen.replace(/ /g, '_'))}`;
+
+  return orientation === 'black' ? `${url}?color=black` : url;
+}
+
+/**
+ * Open a Lichess tab next to the tab that requested it
+ * @param {string} url - URL to open
+ * @param {Object} openerTab - Tab that triggered the send (may be undefined)
+ * @param {Object} settings - Settings object (openInBackground keeps the opener in front)
+ * @returns {Promise<Object>} - Created tab
+ */
+function openLichessTab(url, openerTab, settings) {
+  const createProperties = { url, active: !settings.openInBackground };
+
+  if (openerTab) {
+    createProperties.index = openerTab.index + 1;
+    createProperties.openerTabId = openerTab.id;
+  }
+
+  return browser.tabs.create(createProperties);
+}
+
+browser.runtime.onMessage.addListener(handleMessage);
+browser.commands.onCommand.addListener(handleCommand);
+
+browser.menus.create({
+  id: CONTEXT_MENU.SEND_GAME_LINK_ID,
+  title: 'Send game to Lichess',
+  contexts: ['link'],
+  targetUrlPatterns: CONTEXT_MENU.GAME_LINK_PATTERNS,
+});
+browser.menus.onClicked.addListener(handleMenuClick);
+
+// Apply the logging setting now and whenever it changes
+loadSettings();
+onSettingsChanged(() => log('debug', 'Settings updated'));
+
+// Drop PGNs for tabs closed before they picked them up
+browser.tabs.onRemoved.addListener((tabId) => {
+  pendingHandoffs.delete(tabId);
+  pendingBoardViews.delete(tabId);
+  pendingLibraryEntries.delete(tabId);
+});
+
+log('info', 'Background script loaded');
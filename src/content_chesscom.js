@@ -1,12 +1,50 @@
 /**
  * Chess.com Content Script
- * Adds "Send to Lichess" button to atomic chess games
+ * Adds "Send to Lichess" button to variant chess games
  */
 
-// Button reference for cleanup
+// Button references (the <button>s live in shadow roots; the hosts are what's in the page)
 let sendButton = null;
+let fenButton = null;
+let buttonHosts = [];
 let isProcessing = false;
-let buttonObserver = null;
+
+// Pending reset of the button after an error (cancelled by Retry)
+let buttonResetTimeoutId = null;
+
+// Validation result of the last send, for diagnostic reports
+let lastValidation = null;
+
+// Matches either button host (in the moves row, or the fixed fallback)
+const BUTTON_HOST_SELECTOR = '#atomic-to-lichess-btn-container, #atomic-to-lichess-btn-fixed';
+
+// Variant of the game on this page (see VARIANT_PATTERNS)
+let currentVariant = null;
+
+// What kind of page this is (see classifyChessComPage)
+let currentPage = null;
+
+// Chess.com game ID the buttons are set up for (null when not on a supported game)
+let currentGameId = null;
+
+// Bumped whenever the page moves to another game, so work started for the old one can tell
+let gameGeneration = 0;
+
+// Cancels the current game's board wait and controls watch (see teardownGame)
+let gameController = null;
+
+// Stops the route watcher (see watchUrlChanges)
+let stopWatchingUrl = null;
+
+/**
+ * PGN extraction strategies, by name
+ * Each page type lists the ones it can use, in the order to try them (see CHESS_COM_PAGE_TYPES)
+ */
+const PGN_EXTRACTION_STRATEGIES = {
+  gameData: { name: 'gameData', label: 'game data', extract: extractPGNFromGameData },
+  download: { name: 'download', label: 'download button', extract: extractPGNFromDownload },
+  moveList: { name: 'moveList', label: 'move list', extract: extractPGNFromMoveList },
+};
 
 /**
  * Main entry point
@@ -15,147 +53,407 @@ async function initialize() {
   log('info', 'Initializing Chess.com extension');
 
   try {
-    // Ensure we're on a game page
-    if (!REGEX_PATTERNS.CHESS_COM_GAME_URL.test(window.location.href)) {
-      log('debug', 'Not on a game page, skipping initialization');
-      return;
-    }
-
-    // Wait for game board to load
-    await waitForElement(
-      [CHESS_COM_SELECTORS.GAME_BOARD, CHESS_COM_SELECTORS.GAME_CONTAINER],
-      10000 // 10 second timeout for game board
-    );
+    // Apply the logging setting before anything else logs, and keep it current
+    await loadSettings();
+    onSettingsChanged(() => log('debug', 'Settings updated'));
 
-    log('debug', 'Game board loaded');
+    // Answer the popup's selector check even if the page turns out not to work with us
+    browser.runtime.onMessage.addListener(createSelfTestListener('chesscom'));
 
-    // Inject the "Send to Lichess" button (may fall back to fixed if controls aren't ready)
-    injectButton();
+    // The keyboard shortcut reaches us through the background script
+    browser.runtime.onMessage.addListener(handleRuntimeMessage);
 
-    // Watch for moves controls to appear/change so we can inject the button
-    // into the proper location when it becomes available
-    observeMovesControls();
+    // Chess.com moves between games (next game, rematch, archive links) without reloading
+    stopWatchingUrl = watchUrlChanges(handleUrlChange);
 
-    log('info', 'Initialization complete');
+    await initializeGame();
   } catch (error) {
-    log('error', 'Initialization failed:', error);
+    logInitializationError(error);
   }
 }
 
+/**
+ * Set up the buttons for the game at the current URL
+ * Runs on load and again after each navigation to another game
+ * @param {Object} options - Options
+ * @param {boolean} options.navigated - Whether the page moved here without reloading, so the
+ *                                      game header may still show the previous game
+ */
+async function initializeGame({ navigated = false } = {}) {
+  const generation = gameGeneration;
+  gameController = new AbortController();
+
+  // Ensure we're on a game page
+  const page = classifyChessComPage(window.location.href);
+  if (!page) {
+    log('debug', 'Not on a game page, skipping initialization');
+    return;
+  }
+
+  currentPage = page;
+  currentGameId = page.gameId;
+
+  log('debug', `Page type: ${page.label} (game ${page.gameId})`);
+
+  // Ensure it's a variant we can send (pages other than /variants/ need the header or the game data for that)
+  const variant = await resolvePageVariant(page, window.location.href, { readHeader: !navigated });
+
+  if (generation !== gameGeneration) return;
+
+  if (!variant) {
+    log('debug', 'Standard or unsupported variant, skipping initialization');
+    return;
+  }
+
+  currentVariant = variant;
+
+  log('debug', `Detected variant: ${currentVariant}`);
+
+  // Wait for game board to load (stopped if the page moves on to another game meanwhile)
+  await waitForElement(
+    [CHESS_COM_SELECTORS.GAME_BOARD, CHESS_COM_SELECTORS.GAME_CONTAINER],
+    10000, // 10 second timeout for game board
+    document,
+    { signal: gameController.signal }
+  );
+
+  log('debug', 'Game board loaded');
+
+  // Inject the "Send to Lichess" button (may fall back to fixed if controls aren't ready)
+  injectButton();
+
+  // Watch for moves controls to appear/change so we can inject the button
+  // into the proper location when it becomes available
+  observeMovesControls();
+
+  log('info', 'Initialization complete');
+}
+
+/**
+ * Handle a single-page navigation: start over when it leads to a different game
+ * @param {string} url - New page URL
+ */
+function handleUrlChange(url) {
+  const page = classifyChessComPage(url);
+  const gameId = page ? page.gameId : null;
+
+  // Same game on the same kind of page (move anchor or query changed), or still not on a game
+  if (gameId === currentGameId && (!page || page.type === currentPage.type)) return;
+
+  log('info', gameId ? `Navigated to game ${gameId}` : 'Navigated away from the game');
+
+  teardownGame();
+  initializeGame({ navigated: true }).catch(logInitializationError);
+}
+
+/**
+ * Log a failed initialization, unless it was only cut short by navigating to another game
+ * @param {Error} error - Initialization error
+ */
+function logInitializationError(error) {
+  if (error.name === 'AbortError') {
+    log('debug', 'Initialization stopped: the page moved to another game');
+    return;
+  }
+
+  log('error', 'Initialization failed:', error);
+}
+
+/**
+ * Drop everything tied to the current game: the buttons and their observer, pending
+ * resets, the last validation and its notifications (their actions act on the old game)
+ * A send still in flight sees the generation change and leaves the new game alone
+ */
+function teardownGame() {
+  gameGeneration++;
+
+  if (gameController) {
+    gameController.abort();
+    gameController = null;
+  }
+
+  clearTimeout(buttonResetTimeoutId);
+  buttonResetTimeoutId = null;
+
+  removeButtons();
+  dismissAllNotifications();
+
+  isProcessing = false;
+  lastValidation = null;
+  currentVariant = null;
+  currentPage = null;
+  currentGameId = null;
+}
+
 /**
  * Inject the "Send to Lichess" button
+ * Each button is a real <button> inside its own shadow root, so Chess.com's CSS can't restyle
+ * it and ours can't leak into the page
  */
 function injectButton() {
   // Check if button already exists
-  if (document.querySelector('#atomic-to-lichess-btn')) {
+  if (document.querySelector(BUTTON_HOST_SELECTOR)) {
     log('debug', 'Button already exists');
     return;
   }
 
-  // Find the moves controls container
-  const movesControls = document.querySelector('.moves-controls .moves-controls-row');
+  // Find where this kind of page keeps its controls
+  const placement = BUTTON_PLACEMENTS[currentPage.placement];
+  const controls = getButtonContainer();
 
-  if (!movesControls) {
-    log('warn', 'Moves controls not found, falling back to fixed position');
+  if (!controls) {
+    log('warn', `Controls for the ${currentPage.label} not found, falling back to fixed position`);
     injectButtonFixed();
     return;
   }
 
-  // Create button container (matching Chess.com's style)
-  const buttonContainer = createElement('div', {
-    attrs: {
-      class: 'moves-btn-icon',
-      id: 'atomic-to-lichess-btn-container',
-      title: 'Send this game to Lichess for analysis',
-    },
-    styles: {
-      cursor: 'pointer',
-    },
+  // Host keeps Chess.com's class (if any) so it's sized like the neighbouring icons
+  const sendHost = createButtonHost({ class: placement.hostClass, id: 'atomic-to-lichess-btn-container' });
+  sendButton = createShadowButton(sendHost.root, 'send icon', getVariantIcon(currentVariant), handleButtonClick);
+
+  // Insert after the download button where there is one
+  const anchor = placement.after ? controls.querySelector(CHESS_COM_SELECTORS[placement.after]) : null;
+  if (anchor) {
+    anchor.parentNode.insertBefore(sendHost.host, anchor.nextSibling);
+  } else {
+    // Fallback: append to the end of the row
+    controls.appendChild(sendHost.host);
+  }
+
+  // Position-only action goes right after the main button
+  const fenHost = createButtonHost({ class: placement.hostClass, id: 'atomic-to-lichess-fen-btn' });
+  fenButton = createShadowButton(fenHost.root, 'fen', 'FEN', handleFenButtonClick);
+  sendHost.host.parentNode.insertBefore(fenHost.host, sendHost.host.nextSibling);
+
+  buttonHosts = [sendHost.host, fenHost.host];
+  updateButtonLabels();
+
+  log('info', `Button injected into the ${currentPage.label} controls`);
+}
+
+/**
+ * Find the controls the buttons go into on this kind of page
+ * @returns {Element|null}
+ */
+function getButtonContainer() {
+  const placement = BUTTON_PLACEMENTS[currentPage.placement];
+  return document.querySelector(CHESS_COM_SELECTORS[placement.container]);
+}
+
+/**
+ * Inject button in fixed position (fallback)
+ */
+function injectButtonFixed() {
+  const fixedHost = createButtonHost({ id: 'atomic-to-lichess-btn-fixed' }, {
+    position: 'fixed',
+    top: `${BUTTON_CONFIG.DEFAULT_TOP}px`,
+    right: `${BUTTON_CONFIG.DEFAULT_RIGHT}px`,
+    zIndex: BUTTON_CONFIG.Z_INDEX,
   });
 
-  // Create icon span (matching Chess.com's icon style)
-  const iconSpan = createElement('span', {
-    attrs: {
-      class: 'moves-icon icon-font-chess',
-      id: 'atomic-to-lichess-btn',
-    },
-    styles: {
-      color: '#4CAF50',
-      fontSize: '20px',
-      fontWeight: 'bold',
-      transition: 'color 0.2s ease',
-    },
-    text: '⚛',  // Atomic symbol
+  sendButton = createShadowButton(fixedHost.root, 'send fixed', getFixedButtonLabel(), handleButtonClick);
+  fenButton = createShadowButton(fixedHost.root, 'fen fixed', 'Position → Lichess', handleFenButtonClick);
+
+  document.body.appendChild(fixedHost.host);
+  buttonHosts = [fixedHost.host];
+  updateButtonLabels();
+
+  log('info', 'Button injected in fixed position (fallback)');
+}
+
+/**
+ * Create a host element with a shadow root holding the button styles
+ * @param {Object} attrs - Host attributes
+ * @param {Object} styles - Host inline styles (optional)
+ * @returns {{host: Element, root: ShadowRoot}}
+ */
+function createButtonHost(attrs, styles = {}) {
+  return createShadowHost('div', { attrs, styles }, getButtonStyles());
+}
+
+/**
+ * Add a button to a shadow root
+ * @param {ShadowRoot} root - Shadow root
+ * @param {string} className - Button classes
+ * @param {string} text - Button text
+ * @param {Function} onClick - Click handler (debounced)
+ * @returns {Element} - Button
+ */
+function createShadowButton(root, className, text, onClick) {
+  const button = createElement('button', {
+    attrs: { type: 'button', class: className },
+    text,
   });
 
-  buttonContainer.appendChild(iconSpan);
-  sendButton = buttonContainer;
+  button.addEventListener('click', debounce(onClick, 300));
+  root.appendChild(button);
+  return button;
+}
 
-  // Add hover effect
-  buttonContainer.addEventListener('mouseenter', () => {
-    if (!isProcessing) {
-      iconSpan.style.color = '#45a049';
+/**
+ * Set the tooltips and accessible names for the current variant
+ */
+function updateButtonLabels() {
+  if (sendButton) {
+    sendButton.title = getButtonTitle();
+    sendButton.setAttribute('aria-label', `Send this ${getVariantName(currentVariant)} game to Lichess`);
+  }
+
+  if (fenButton) {
+    fenButton.title = getFenButtonTitle();
+    fenButton.setAttribute('aria-label', 'Open this position on Lichess');
+  }
+}
+
+/**
+ * Get the CSS for the button shadow roots
+ * @returns {string} - CSS
+ */
+function getButtonStyles() {
+  return `
+    :host {
+      display: flex;
+      flex-direction: column;
+      align-items: stretch;
+      gap: 8px;
     }
-  });
 
-  buttonContainer.addEventListener('mouseleave', () => {
-    if (!isProcessing) {
-      iconSpan.style.color = '#4CAF50';
+    button {
+      cursor: pointer;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-weight: 600;
+      color: #4CAF50;
+      background: none;
+      border: none;
+      border-radius: 4px;
+      padding: 0;
+      transition: color 0.2s ease, background-color 0.2s ease;
     }
-  });
 
-  // Add click handler with debounce
-  buttonContainer.addEventListener('click', debounce(handleButtonClick, 300));
+    button:hover {
+      color: #45a049;
+    }
 
-  // Insert after the download button
-  const downloadButton = movesControls.querySelector('.moves-btn-icon.moves-reset');
-  if (downloadButton) {
-    downloadButton.parentNode.insertBefore(buttonContainer, downloadButton.nextSibling);
-  } else {
-    // Fallback: append to the end of the row
-    movesControls.appendChild(buttonContainer);
-  }
+    button:focus {
+      outline: 2px solid #2196F3;
+      outline-offset: 2px;
+    }
+
+    button::-moz-focus-inner {
+      border: 0;
+    }
+
+    .icon {
+      width: 100%;
+      height: 100%;
+      font-size: 20px;
+      font-weight: bold;
+    }
+
+    .fen {
+      font-size: 11px;
+    }
+
+    .fixed {
+      padding: 8px 12px;
+      font-size: 13px;
+      min-width: ${BUTTON_CONFIG.MIN_WIDTH}px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    }
+
+    .send.fixed {
+      color: white;
+      background-color: #4CAF50;
+    }
+
+    .send.fixed:hover {
+      background-color: #45a049;
+    }
 
-  log('info', 'Button injected successfully next to download button');
+    .fen.fixed {
+      padding: 6px 12px;
+      font-size: 12px;
+      background-color: white;
+      border: 1px solid #4CAF50;
+    }
+
+    .loading {
+      cursor: wait;
+      pointer-events: none;
+      color: #FF9800;
+    }
+
+    .success {
+      cursor: default;
+    }
+
+    .error {
+      color: #f44336;
+    }
+
+    .fixed.loading {
+      color: white;
+      background-color: #FF9800;
+    }
+
+    .fixed.error {
+      color: white;
+      background-color: #f44336;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      button {
+        transition: none;
+      }
+    }
+  `;
 }
 
 /**
- * Inject button in fixed position (fallback)
+ * Get the button tooltip for the current variant
+ * @returns {string}
  */
-function injectButtonFixed() {
-  sendButton = createElement('button', {
-    attrs: {
-      id: 'atomic-to-lichess-btn',
-      type: 'button',
-      title: 'Send this game to Lichess for analysis',
-    },
-    styles: {
-      position: 'fixed',
-      top: `${BUTTON_CONFIG.DEFAULT_TOP}px`,
-      right: `${BUTTON_CONFIG.DEFAULT_RIGHT}px`,
-      zIndex: BUTTON_CONFIG.Z_INDEX,
-      backgroundColor: '#4CAF50',
-      color: 'white',
-      padding: '8px 12px',
-      border: 'none',
-      borderRadius: '4px',
-      cursor: 'pointer',
-      fontSize: '13px',
-      fontWeight: '600',
-      boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
-    },
-    text: '⚛ Lichess',
-  });
+function getButtonTitle() {
+  return `Send this ${getVariantName(currentVariant)} game to Lichess for analysis (shift-click to view from your opponent's side)`;
+}
 
-  sendButton.addEventListener('click', debounce(handleButtonClick, 300));
-  document.body.appendChild(sendButton);
-  log('info', 'Button injected in fixed position (fallback)');
+/**
+ * Get the tooltip for the position (FEN) button
+ * @returns {string}
+ */
+function getFenButtonTitle() {
+  return `Open the position on the board in the Lichess ${getVariantName(currentVariant)} analysis board`;
+}
+
+/**
+ * Get the label for the fixed-position fallback button
+ * @returns {string}
+ */
+function getFixedButtonLabel() {
+  return `${getVariantIcon(currentVariant)} ${getVariantName(currentVariant)} → Lichess`;
+}
+
+/**
+ * Handle messages from the background script
+ * @param {Object} message - Runtime message
+ */
+function handleRuntimeMessage(message) {
+  if (message && message.type === MESSAGE_TYPES.TRIGGER_SEND) {
+    if (!sendButton) {
+      log('debug', 'Send shortcut ignored: no game set up on this page');
+      return;
+    }
+
+    log('debug', 'Send triggered by keyboard shortcut');
+    handleButtonClick();
+  }
 }
 
 /**
  * Handle button click event
+ * @param {MouseEvent} event - Click event (shift flips the board orientation)
  */
-async function handleButtonClick() {
+async function handleButtonClick(event) {
   if (isProcessing) {
     log('debug', 'Already processing, ignoring click');
     return;
@@ -164,7 +462,15 @@ async function handleButtonClick() {
   log('info', 'Send to Lichess button clicked');
   isProcessing = true;
 
+  // Navigating to another game mid-send abandons this one (see teardownGame)
+  const generation = gameGeneration;
+  const isStale = () => generation !== gameGeneration;
+
   let notificationId = null;
+  let extractedPGN = null;
+  let preparedPGN = null;
+
+  lastValidation = null;
 
   try {
     // Update button to loading state
@@ -174,53 +480,101 @@ async function handleButtonClick() {
     notificationId = showLoading(LOADING_MESSAGES.EXTRACTING_PGN);
 
     // Extract PGN
-    const pgn = await extractPGN();
+    const { pgn, strategy } = await extractPGN();
+    extractedPGN = pgn;
 
-    if (!pgn) {
-      throw new Error(ERROR_MESSAGES.PGN_NOT_FOUND);
+    if (isStale()) {
+      log('info', 'Page moved to another game, dropping the extracted PGN');
+      return;
     }
 
-    log('debug', `PGN extracted, length: ${pgn.length} characters`);
+    log('debug', `PGN extracted via ${strategy.name}, length: ${pgn.length} characters`);
 
     // Update notification
     updateNotification(notificationId, LOADING_MESSAGES.OPENING_LICHESS, 'loading');
 
-    // Sanitize PGN before copying (fixes resignation/timeout comments breaking import)
-    const cleanPGN = sanitizePGN(pgn);
+    // Sanitize, set the Variant header and validate (fixes resignation/timeout comments breaking import)
+    // Only /variants/ URLs name the variant; elsewhere it came from the game data
+    const variant = detectVariant(window.location.href, pgn) || currentVariant;
+    const prepared = prepareForLichess(pgn, variant);
+    lastValidation = prepared;
 
-    // Copy PGN to clipboard
-    await copyToClipboard(cleanPGN);
+    if (!prepared.valid) {
+      log('error', 'PGN validation failed:', prepared.error);
+      throw createError(ERROR_CODES.INVALID_PGN, { detail: prepared.error });
+    }
 
-    // Open Lichess in new tab
-    await openLichessTab();
+    prepared.warnings.forEach(warning => log('warn', warning));
+    preparedPGN = prepared.pgn;
+
+    // Hand the PGN to the background script, which imports it and opens Lichess
+    const settings = await loadSettings();
+
+    if (isStale()) {
+      log('info', 'Page moved to another game, dropping the extracted PGN');
+      return;
+    }
+
+    const view = {
+      orientation: getBoardOrientation(prepared.pgn, settings, Boolean(event && event.shiftKey)),
+      ply: readSelectedPly(),
+    };
+    const result = await sendToLichess(prepared.pgn, settings, view);
+
+    // Sent, but the button and notifications now belong to another game
+    if (isStale()) {
+      log('info', `Sent via ${result.method} after the page moved to another game`);
+      return;
+    }
 
     // Update button to success state
     updateButtonState('success');
 
     // Show success notification
-    updateNotification(notificationId, SUCCESS_MESSAGES.SENT_TO_LICHESS, 'success', 3000);
+    const successMessages = {
+      import: SUCCESS_MESSAGES.IMPORTED_TO_LICHESS,
+      study: SUCCESS_MESSAGES.ADDED_TO_STUDY,
+      library: SUCCESS_MESSAGES.OPENED_FROM_LIBRARY,
+    };
+    const successMessage = successMessages[result.method] || SUCCESS_MESSAGES.SENT_TO_LICHESS;
+    updateNotification(
+      notificationId,
+      `${successMessage} ${SUCCESS_MESSAGES.PGN_EXTRACTED_VIA} ${strategy.label}.`,
+      'success',
+      3000
+    );
 
     // Reset button after delay
-    setTimeout(() => {
+    buttonResetTimeoutId = setTimeout(() => {
       updateButtonState('idle');
       isProcessing = false;
     }, 2000);
 
-  } catch (error) {
-    log('error', 'Error processing game:', error);
+  } catch (caught) {
+    const error = toExtensionError(caught);
+
+    log('error', `Error processing game [${error.code}]:`, caught);
+
+    if (isStale()) return;
+
+    // Keep it for the toolbar popup
+    recordSendFailure(error.message, window.location.href)
+      .catch(storageError => log('warn', 'Could not record the failed send:', storageError));
 
     // Update button to error state
     updateButtonState('error');
 
-    // Show error notification
+    // Show error notification, with a way forward where there is one
+    const actions = getFailureActions(error, preparedPGN, extractedPGN);
+
     if (notificationId) {
-      updateNotification(notificationId, error.message || ERROR_MESSAGES.GENERIC_ERROR, 'error', 8000);
+      updateNotification(notificationId, error.message, 'error', TIMEOUTS.NOTIFICATION_ACTION_DURATION, actions);
     } else {
-      showError(error.message || ERROR_MESSAGES.GENERIC_ERROR);
+      showError(error.message, TIMEOUTS.NOTIFICATION_ACTION_DURATION, actions);
     }
 
     // Reset button after delay
-    setTimeout(() => {
+    buttonResetTimeoutId = setTimeout(() => {
       updateButtonState('idle');
       isProcessing = false;
     }, 3000);
@@ -228,10 +582,198 @@ async function handleButtonClick() {
 }
 
 /**
- * Extract PGN from the Chess.com page
- * @returns {Promise<string>} - PGN string
+ * Pick the notification actions for a failed send
+ * @param {ExtensionError} error - Send error
+ * @param {string|null} pgn - Prepared PGN, if extraction got that far
+ * @param {string|null} extractedPGN - PGN as extracted, for redacting the diagnostics
+ * @returns {Object[]} - Notification actions
+ */
+function getFailureActions(error, pgn, extractedPGN) {
+  const actions = [];
+
+  // The game may just not have loaded yet, or the network blipped
+  if (error.hint === RECOVERY_HINTS.RETRY) {
+    actions.push({ label: 'Retry', onClick: retrySend });
+  }
+
+  // We have the game but couldn't get it to Lichess: let the user take it there
+  if (pgn && error.hint === RECOVERY_HINTS.COPY_PGN) {
+    actions.push({ label: 'Copy PGN', onClick: () => copyPGN(pgn) });
+    actions.push({
+      label: 'Download PGN',
+      onClick: () => downloadTextFile(pgn, getPGNFileName(getPGNInfo(pgn)), PGN_MIME_TYPE),
+    });
+  }
+
+  actions.push(createDiagnosticsAction(() => getDiagnosticsContext(error, extractedPGN)));
+
+  return actions;
+}
+
+/**
+ * Collect what a diagnostic report needs from this page
+ * @param {Error} error - Error being reported
+ * @param {string|null} pgn - PGN involved, if any
+ * @returns {Object} - Report context (see buildDiagnosticReport)
+ */
+function getDiagnosticsContext(error, pgn) {
+  const players = readPlayers();
+
+  return {
+    error,
+    pgn,
+    selectorGroup: 'chesscom',
+    validation: lastValidation,
+    names: [players.white.name, players.black.name],
+  };
+}
+
+/**
+ * Send again straight away, without waiting for the button to reset
+ */
+function retrySend() {
+  clearTimeout(buttonResetTimeoutId);
+  isProcessing = false;
+  handleButtonClick();
+}
+
+/**
+ * Copy a PGN from a notification action and say whether it worked
+ * @param {string} pgn - PGN to copy
+ */
+async function copyPGN(pgn) {
+  try {
+    await copyToClipboard(pgn);
+    showSuccess(SUCCESS_MESSAGES.PGN_COPIED);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+/**
+ * Handle position (FEN) button click
+ * Works without a PGN, so it's also the way out when game extraction fails
+ * @param {MouseEvent} event - Click event (shift flips the board orientation)
+ */
+async function handleFenButtonClick(event) {
+  log('info', 'Send position button clicked');
+
+  try {
+    const fen = readCurrentFEN();
+    const flipped = isBoardFlipped() !== Boolean(event && event.shiftKey);
+
+    log('debug', `Position: ${fen}`);
+
+    const response = await browser.runtime.sendMessage({
+      type: MESSAGE_TYPES.OPEN_POSITION,
+      fen,
+      variant: currentVariant,
+      orientation: flipped ? 'black' : 'white',
+    });
+
+    if (!response || !response.success) {
+      throw createErrorFromResponse(response);
+    }
+
+    showSuccess(SUCCESS_MESSAGES.POSITION_SENT, 3000);
+  } catch (caught) {
+    const error = toExtensionError(caught);
+
+    log('error', `Error sending position [${error.code}]:`, caught);
+    showError(error.message, TIMEOUTS.NOTIFICATION_ACTION_DURATION, [
+      createDiagnosticsAction(() => getDiagnosticsContext(error, null)),
+    ]);
+  }
+}
+
+/**
+ * Work out the FEN of the position on the board
+ * Replaying the move list gives exact castling and en passant rights; the board DOM is
+ * used when that doesn't match what's shown (puzzles, custom setups, unreadable move list)
+ * @returns {string} - FEN
+ */
+function readCurrentFEN() {
+  const moveList = document.querySelector(CHESS_COM_SELECTORS.MOVE_LIST);
+  const moves = moveList ? readMoveList(moveList) : [];
+  const ply = readSelectedPly() || moves.length;
+
+  const replay = moveList ? replayGame(buildGame({}, moves.slice(0, ply)), currentVariant) : null;
+  const replayedFEN = replay && replay.ok ? positionToFEN(replay.position) : null;
+
+  const boardElement = document.querySelector(CHESS_COM_SELECTORS.BOARD);
+  const boardFEN = boardElement
+    ? readBoardFEN(boardElement, { variant: currentVariant, turn: ply % 2 ? 'b' : 'w' })
+    : null;
+
+  if (replayedFEN && (!boardFEN || samePlacement(replayedFEN, boardFEN))) {
+    return replayedFEN;
+  }
+
+  if (boardFEN) {
+    return boardFEN;
+  }
+
+  throw createError(ERROR_CODES.BOARD_NOT_FOUND);
+}
+
+/**
+ * Check whether the board is shown from Black's side
+ * @returns {boolean}
+ */
+function isBoardFlipped() {
+  const board = document.querySelector(CHESS_COM_SELECTORS.BOARD);
+  return board ? board.classList.contains('flipped') : false;
+}
+
+/**
+ * Extract PGN from the Chess.com page, trying each strategy in order
+ * @returns {Promise<Object>} - { pgn: string, strategy: Object }
  */
 async function extractPGN() {
+  const strategies = currentPage.strategies.map(name => PGN_EXTRACTION_STRATEGIES[name]);
+
+  for (const strategy of strategies) {
+    try {
+      log('debug', `Trying PGN extraction strategy: ${strategy.name}`);
+      const pgn = await strategy.extract();
+
+      if (pgn) {
+        log('info', `PGN extracted via ${strategy.name}`);
+        return { pgn, strategy };
+      }
+    } catch (error) {
+      log('warn', `PGN extraction strategy ${strategy.name} failed:`, error.message);
+    }
+  }
+
+  throw createError(ERROR_CODES.PGN_NOT_FOUND);
+}
+
+/**
+ * Fetch the game by ID from Chess.com's game data and build the PGN from it
+ * Doesn't depend on the page UI, so it works with a collapsed sidebar or mid-game
+ * @returns {Promise<string|null>} - PGN string, or null if the URL has no game ID
+ */
+async function extractPGNFromGameData() {
+  const gameId = getGameIdFromUrl(window.location.href);
+
+  if (!gameId) {
+    log('debug', 'No game ID in URL');
+    return null;
+  }
+
+  return extractGameById(gameId, {
+    variant: currentVariant,
+    url: window.location.href,
+    endpoints: getGameEndpoints(currentPage.gameKind),
+  });
+}
+
+/**
+ * Extract PGN by clicking Chess.com's download button and intercepting the data URL
+ * @returns {Promise<string>} - PGN string
+ */
+async function extractPGNFromDownload() {
   log('debug', 'Attempting to extract PGN');
 
   return new Promise((resolve, reject) => {
@@ -244,7 +786,7 @@ async function extractPGN() {
 
     if (!pgnButton) {
       log('error', 'PGN button not found');
-      reject(new Error(ERROR_MESSAGES.PGN_BUTTON_NOT_FOUND));
+      reject(createError(ERROR_CODES.PGN_BUTTON_NOT_FOUND));
       return;
     }
 
@@ -289,7 +831,7 @@ async function extractPGN() {
           }
 
           log('error', 'Failed to extract PGN from data URL:', error);
-          reject(new Error(ERROR_MESSAGES.INVALID_PGN));
+          reject(createError(ERROR_CODES.INVALID_PGN, { cause: error }));
         }
       }
     }
@@ -304,7 +846,7 @@ async function extractPGN() {
         interceptorRemoved = true;
       }
       log('error', 'PGN extraction timeout');
-      reject(new Error(ERROR_MESSAGES.PGN_NOT_FOUND));
+      reject(createError(ERROR_CODES.PGN_NOT_FOUND));
     }, 5000);
 
     // Click the PGN button
@@ -318,11 +860,231 @@ async function extractPGN() {
         interceptorRemoved = true;
       }
       log('error', 'Failed to click PGN button:', error);
-      reject(new Error(ERROR_MESSAGES.PGN_BUTTON_NOT_FOUND));
+      reject(createError(ERROR_CODES.PGN_BUTTON_NOT_FOUND, { cause: error }));
     }
   });
 }
 
+/**
+ * Build a PGN from the move list and the player header
+ * Used when the download button is missing or doesn't produce a PGN
+ * @returns {Promise<string|null>} - PGN string, or null if the move list is empty
+ */
+async function extractPGNFromMoveList() {
+  const moveList = document.querySelector(CHESS_COM_SELECTORS.MOVE_LIST);
+
+  if (!moveList) {
+    log('debug', 'Move list not found');
+    return null;
+  }
+
+  const moves = readMoveList(moveList);
+
+  if (moves.length === 0) {
+    log('debug', 'Move list is empty');
+    return null;
+  }
+
+  const players = readPlayers();
+  const resultElement = moveList.querySelector(CHESS_COM_SELECTORS.GAME_RESULT)
+    || document.querySelector(CHESS_COM_SELECTORS.GAME_RESULT);
+  const resultText = resultElement ? resultElement.textContent.trim() : '';
+  const result = PGN_RESULTS.includes(resultText) ? resultText : '*';
+
+  const timeControl = readTimeControlLabel();
+
+  const game = buildGame({
+    Event: `${getVariantName(currentVariant)} game`,
+    Site: 'Chess.com',
+    Date: '????.??.??',
+    Round: '-',
+    White: players.white.name || '?',
+    Black: players.black.name || '?',
+    Result: result,
+    WhiteElo: players.white.rating,
+    BlackElo: players.black.rating,
+    TimeControl: timeControl,
+    Variant: LICHESS_VARIANT_CODES[currentVariant],
+    Link: window.location.href,
+  }, moves, result);
+
+  // Timestamps show time spent per move; only usable when every ply has one
+  const spentTimes = readMoveTimestamps(moveList);
+
+  if (spentTimes.length === moves.length) {
+    applyClockComments(game, clocksFromSpentTimes(spentTimes, timeControl));
+  }
+
+  log('debug', `Built PGN from ${moves.length} move list plies`);
+  return serializePGN(game);
+}
+
+/**
+ * Read the mainline moves from the move list
+ * Piece letters are rendered as figurine icons, so they're read from data-figurine
+ * @param {Element} moveList - Move list element
+ * @returns {string[]} - SAN moves
+ */
+function readMoveList(moveList) {
+  return readMoveListPlies(moveList).map(readPlySAN);
+}
+
+/**
+ * Get the move list elements that hold a mainline move
+ * @param {Element} moveList - Move list element
+ * @returns {Element[]} - Ply elements in game order
+ */
+function readMoveListPlies(moveList) {
+  return Array.from(moveList.querySelectorAll(CHESS_COM_SELECTORS.MOVE_LIST_PLY))
+    .filter(ply => REGEX_PATTERNS.SAN_TOKEN.test(readPlySAN(ply)));
+}
+
+/**
+ * Read the SAN of one move list element
+ * @param {Element} ply - Ply element
+ * @returns {string} - SAN as displayed (not yet checked)
+ */
+function readPlySAN(ply) {
+  const content = ply.querySelector(CHESS_COM_SELECTORS.MOVE_LIST_PLY_TEXT) || ply;
+  const figurine = content.querySelector(CHESS_COM_SELECTORS.MOVE_FIGURINE);
+  const text = content.textContent.replace(/\s+/g, '');
+
+  // Figurine goes before the move for piece moves, after "=" for promotions
+  if (!figurine) return text;
+  const letter = figurine.getAttribute('data-figurine');
+  return text.endsWith('=') ? `${text}${letter}` : `${letter}${text}`;
+}
+
+/**
+ * Get the ply currently selected in the move list
+ * @returns {number|null} - 1-based ply, or null if no move is selected
+ */
+function readSelectedPly() {
+  const moveList = document.querySelector(CHESS_COM_SELECTORS.MOVE_LIST);
+  if (!moveList) return null;
+
+  const selector = CHESS_COM_SELECTORS.MOVE_LIST_SELECTED;
+  const index = readMoveListPlies(moveList)
+    .findIndex(ply => ply.matches(selector) || ply.querySelector(selector));
+
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Read the time spent on each move from the move list timestamps
+ * @param {Element} moveList - Move list element
+ * @returns {number[]} - Seconds per ply (empty if timestamps aren't shown)
+ */
+function readMoveTimestamps(moveList) {
+  const timestamps = Array.from(moveList.querySelectorAll(CHESS_COM_SELECTORS.MOVE_TIMESTAMP))
+    .map(element => parseClock(element.textContent));
+
+  return timestamps.includes(null) ? [] : timestamps;
+}
+
+/**
+ * Read the time control from the game header ("3 min", "3 | 2", "1 day")
+ * @returns {string|null} - TimeControl value in Lichess form, or null if not shown
+ */
+function readTimeControlLabel() {
+  const label = document.querySelector(CHESS_COM_SELECTORS.TIME_CONTROL_LABEL);
+  if (!label) return null;
+
+  const text = label.textContent.trim().toLowerCase();
+  const withIncrement = text.match(/^(\d+)\s*\|\s*(\d+)$/);
+  const minutes = text.match(/^(\d+)\s*min/);
+  const seconds = text.match(/^(\d+)\s*sec/);
+
+  if (withIncrement) return `${withIncrement[1] * 60}+${withIncrement[2]}`;
+  if (minutes) return `${minutes[1] * 60}+0`;
+  if (seconds) return `${seconds[1]}+0`;
+  if (/day/.test(text)) return '-';
+
+  return null;
+}
+
+/**
+ * Read player names and ratings from the board header
+ * The bottom player is White unless the board is flipped
+ * @returns {Object} - { white: { name, rating }, black: { name, rating } }
+ */
+function readPlayers() {
+  const readPlayer = (selector) => {
+    const container = document.querySelector(selector);
+    if (!container) return { name: null, rating: null };
+
+    const username = container.querySelector(CHESS_COM_SELECTORS.PLAYER_USERNAME);
+    const rating = container.querySelector(CHESS_COM_SELECTORS.PLAYER_RATING);
+    const ratingMatch = rating ? rating.textContent.match(/\d+/) : null;
+
+    return {
+      name: username ? username.textContent.trim() : null,
+      rating: ratingMatch ? ratingMatch[0] : null,
+    };
+  };
+
+  const top = readPlayer(CHESS_COM_SELECTORS.PLAYER_TOP);
+  const bottom = readPlayer(CHESS_COM_SELECTORS.PLAYER_BOTTOM);
+
+  return isBoardFlipped()
+    ? { white: top, black: bottom }
+    : { white: bottom, black: top };
+}
+
+/**
+ * Work out which side Lichess should show the board from
+ * Uses the colour of a registered username, White if neither player is registered
+ * @param {string} pgn - PGN string
+ * @param {Object} settings - Settings object
+ * @param {boolean} flip - Show the other side instead
+ * @returns {string} - 'white' or 'black'
+ */
+function getBoardOrientation(pgn, settings, flip) {
+  const color = getPlayerColor(pgn, getMyUsernames(settings)) || 'white';
+
+  if (!flip) return color;
+  return color === 'white' ? 'black' : 'white';
+}
+
+/**
+ * Send PGN to Lichess through the background script
+ * Falls back to the clipboard handoff only when the clipboardFallback setting is on
+ * @param {string} pgn - Sanitized PGN
+ * @param {Object} settings - Settings object
+ * @param {Object} view - { orientation: 'white'|'black', ply: number|null } to open Lichess at
+ * @returns {Promise<Object>} - { method: 'import'|'study'|'library'|'paste'|'clipboard', url?: string }
+ */
+async function sendToLichess(pgn, settings, view) {
+  let response;
+
+  try {
+    response = await browser.runtime.sendMessage({
+      type: MESSAGE_TYPES.SEND_TO_LICHESS,
+      pgn,
+      source: window.location.href,
+      view,
+    });
+  } catch (error) {
+    log('error', 'Background relay unavailable:', error);
+
+    if (!settings.clipboardFallback) {
+      throw createError(ERROR_CODES.HANDOFF_FAILED, { cause: error });
+    }
+
+    log('info', 'Falling back to clipboard handoff');
+    await copyToClipboard(pgn);
+    await openLichessTab();
+    return { method: 'clipboard' };
+  }
+
+  if (!response || !response.success) {
+    throw createErrorFromResponse(response);
+  }
+
+  log('debug', `PGN handed to background script (${response.method})`);
+  return response;
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -335,7 +1097,7 @@ async function copyToClipboard(text) {
     log('debug', 'Copied to clipboard successfully');
   } catch (error) {
     log('error', 'Failed to copy to clipboard:', error);
-    throw new Error(ERROR_MESSAGES.CLIPBOARD_WRITE_DENIED);
+    throw createError(ERROR_CODES.CLIPBOARD_WRITE_DENIED, { cause: error });
   }
 }
 
@@ -346,7 +1108,7 @@ async function openLichessTab() {
   log('debug', 'Opening Lichess tab');
 
   try {
-    const newTab = window.open('https://lichess.org/paste', '_blank');
+    const newTab = window.open(LICHESS_URLS.PASTE, '_blank');
 
     if (!newTab) {
       throw new Error('Failed to open new tab');
@@ -355,7 +1117,7 @@ async function openLichessTab() {
     log('debug', 'Lichess tab opened successfully');
   } catch (error) {
     log('error', 'Failed to open Lichess tab:', error);
-    throw new Error(ERROR_MESSAGES.LICHESS_TAB_FAILED);
+    throw createError(ERROR_CODES.LICHESS_TAB_FAILED, { cause: error });
   }
 }
 
@@ -366,60 +1128,64 @@ async function openLichessTab() {
 function updateButtonState(state) {
   if (!sendButton) return;
 
-  const iconSpan = sendButton.querySelector('.moves-icon') || sendButton;
+  const isFixed = sendButton.classList.contains('fixed');
+
+  sendButton.classList.remove('loading', 'success', 'error');
+  sendButton.removeAttribute('aria-busy');
 
   switch (state) {
     case 'loading':
-      iconSpan.textContent = '⟳';  // Spinning arrow
-      iconSpan.style.color = '#FF9800';
-      sendButton.style.cursor = 'wait';
-      sendButton.style.pointerEvents = 'none';
+      sendButton.textContent = '⟳';  // Spinning arrow
+      sendButton.classList.add('loading');
+      sendButton.setAttribute('aria-busy', 'true');
       break;
 
     case 'success':
-      iconSpan.textContent = '✓';  // Checkmark
-      iconSpan.style.color = '#4CAF50';
-      sendButton.style.cursor = 'default';
+      sendButton.textContent = '✓';  // Checkmark
+      sendButton.classList.add('success');
       break;
 
     case 'error':
-      iconSpan.textContent = '✗';  // X mark
-      iconSpan.style.color = '#f44336';
-      sendButton.style.cursor = 'pointer';
-      sendButton.style.pointerEvents = 'auto';
+      sendButton.textContent = '✗';  // X mark
+      sendButton.classList.add('error');
       break;
 
     case 'idle':
     default:
-      iconSpan.textContent = '⚛';  // Atomic symbol
-      iconSpan.style.color = '#4CAF50';
-      sendButton.style.cursor = 'pointer';
-      sendButton.style.pointerEvents = 'auto';
+      // The fixed fallback button shows a full label rather than the icon
+      sendButton.textContent = isFixed ? getFixedButtonLabel() : getVariantIcon(currentVariant);
       break;
   }
 }
 
+/**
+ * Remove the injected buttons from the page
+ */
+function removeButtons() {
+  buttonHosts.forEach(host => removeElement(host));
+  buttonHosts = [];
+  sendButton = null;
+  fenButton = null;
+}
+
 /**
  * Watch for moves controls to appear or change in the DOM.
  * Chess.com may not have the moves controls ready when we first initialize
  * (e.g., during a live game), and recreates them when a game ends.
- * This observer detects those changes and injects our button.
+ * This watch detects those changes and injects our button.
+ * On the analysis board the same goes for its controls (see BUTTON_PLACEMENTS).
+ * Only the sidebar is watched (the whole page until it's there), and the check runs
+ * in idle time, so clocks and move animations during a live game cost next to nothing.
  */
 function observeMovesControls() {
-  // Disconnect any existing observer
-  if (buttonObserver) {
-    buttonObserver.disconnect();
-  }
-
-  // Watch document.body since the game container itself may not exist yet
-  buttonObserver = new MutationObserver(debounce(() => {
-    const buttonExists = document.querySelector('#atomic-to-lichess-btn');
-    const movesControls = document.querySelector('.moves-controls .moves-controls-row');
+  observeDOM([CHESS_COM_SELECTORS.SIDEBAR], () => {
+    const buttonExists = document.querySelector(BUTTON_HOST_SELECTOR);
+    const movesControls = getButtonContainer();
 
     if (!buttonExists && movesControls) {
       // Moves controls appeared but our button isn't in the DOM — inject it
       log('info', 'Moves controls detected, injecting button');
-      sendButton = null;
+      removeButtons();
       injectButton();
     } else if (!buttonExists && !movesControls) {
       // Neither exists — nothing to do yet
@@ -427,20 +1193,12 @@ function observeMovesControls() {
       // Button exists (maybe fixed fallback) but moves controls appeared —
       // remove the fallback and inject into the proper location
       log('info', 'Moves controls appeared, re-injecting button into proper location');
-      if (sendButton && sendButton.parentNode) {
-        removeElement(sendButton);
-      }
-      sendButton = null;
+      removeButtons();
       injectButton();
     }
-  }, 500));
-
-  buttonObserver.observe(document.body, {
-    childList: true,
-    subtree: true,
-  });
+  }, { signal: gameController.signal });
 
-  log('debug', 'MutationObserver set up for moves controls');
+  log('debug', 'DOM watch set up for moves controls');
 }
 
 // Initialize when DOM is ready
@@ -453,10 +1211,8 @@ if (document.readyState === 'loading') {
 
 // Clean up on page unload
 window.addEventListener('beforeunload', () => {
-  if (buttonObserver) {
-    buttonObserver.disconnect();
-  }
-  if (sendButton) {
-    removeElement(sendButton);
+  if (stopWatchingUrl) {
+    stopWatchingUrl();
   }
+  teardownGame();
 });
@@ -0,0 +1,305 @@
+/**
+ * Chess.com Game Archive Content Script
+ * Adds a checkbox to each variant game in the archive and sends the selected
+ * games to Lichess as one multi-game PGN
+ */
+
+// "Send selected" control, and the DOM watch keeping row checkboxes in place (stops it)
+let sendSelectedButton = null;
+let stopArchiveWatch = null;
+let isSending = false;
+
+// Notification showing the progress of the current batch
+let batchNotificationId = null;
+
+// Rows already looked at (or being looked at), so each game's variant is only resolved once
+const checkedRows = new WeakSet();
+
+/**
+ * Main entry point for the archive page
+ */
+async function initializeArchive() {
+  log('info', 'Initializing Chess.com archive page');
+
+  try {
+    await loadSettings();
+    browser.runtime.onMessage.addListener(createSelfTestListener('chesscom'));
+
+    const table = await waitForElement(CHESS_COM_SELECTORS.ARCHIVE_TABLE, 10000);
+
+    injectSendSelectedButton();
+    decorateArchiveRows(table).catch(error => log('warn', 'Could not check the archive rows:', error));
+
+    // Rows are replaced when paging or filtering; the watch follows the table when it is replaced too
+    stopArchiveWatch = observeDOM([CHESS_COM_SELECTORS.ARCHIVE_TABLE], () => {
+      const currentTable = document.querySelector(CHESS_COM_SELECTORS.ARCHIVE_TABLE);
+      if (currentTable) {
+        decorateArchiveRows(currentTable).catch(error => log('warn', 'Could not check the archive rows:', error));
+      }
+    });
+
+    browser.runtime.onMessage.addListener(handleBatchProgress);
+
+    log('info', 'Archive initialization complete');
+  } catch (error) {
+    log('error', 'Archive initialization failed:', error);
+  }
+}
+
+/**
+ * Add a checkbox to every variant game row that doesn't have one yet
+ * Rows are done one at a time, since games linked as live or daily games need their game data
+ * @param {Element} table - Archive table
+ */
+async function decorateArchiveRows(table) {
+  for (const row of table.querySelectorAll(CHESS_COM_SELECTORS.ARCHIVE_ROW)) {
+    if (checkedRows.has(row)) continue;
+    checkedRows.add(row);
+
+    const game = await readArchiveRow(row);
+    if (!game || !row.isConnected) continue;
+
+    const checkbox = createElement('input', {
+      attrs: {
+        type: 'checkbox',
+        class: 'atl-archive-checkbox',
+        title: `Select this ${getVariantName(game.variant)} game`,
+        'data-game-id': game.id,
+        'data-game-kind': game.kind,
+        'data-variant': game.variant,
+        'data-url': game.url,
+      },
+      styles: {
+        marginRight: '6px',
+        cursor: 'pointer',
+      },
+    });
+
+    // Keep the row link from opening the game
+    checkbox.addEventListener('click', event => event.stopPropagation());
+    checkbox.addEventListener('change', updateSendSelectedButton);
+
+    const firstCell = row.querySelector('td') || row;
+    firstCell.insertBefore(checkbox, firstCell.firstChild);
+    updateSendSelectedButton();
+  }
+}
+
+/**
+ * Read the game a row links to
+ * The archive links variant games as live or daily games too, so the variant comes from
+ * the game data when the link doesn't name it
+ * @param {Element} row - Archive table row
+ * @returns {Promise<Object|null>} - { id, kind, variant, url } or null for games we can't send
+ */
+async function readArchiveRow(row) {
+  const link = row.querySelector(CHESS_COM_SELECTORS.ARCHIVE_GAME_LINK);
+  if (!link) return null;
+
+  const url = link.href;
+  const page = classifyChessComPage(url);
+  if (!page) return null;
+
+  const variant = await resolvePageVariant(page, url);
+
+  return variant ? { id: page.gameId, kind: page.gameKind, variant, url } : null;
+}
+
+/**
+ * Inject the "Send selected" control
+ */
+function injectSendSelectedButton() {
+  if (document.querySelector('#atomic-to-lichess-send-selected')) return;
+
+  sendSelectedButton = createElement('button', {
+    attrs: {
+      id: 'atomic-to-lichess-send-selected',
+      type: 'button',
+      title: 'Send the selected games to Lichess',
+    },
+    styles: {
+      position: 'fixed',
+      bottom: `${BUTTON_CONFIG.DEFAULT_TOP}px`,
+      right: `${BUTTON_CONFIG.DEFAULT_RIGHT}px`,
+      zIndex: BUTTON_CONFIG.Z_INDEX,
+      backgroundColor: '#4CAF50',
+      color: 'white',
+      padding: '8px 12px',
+      border: 'none',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      fontSize: '13px',
+      fontWeight: '600',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+    },
+  });
+
+  sendSelectedButton.addEventListener('click', debounce(handleSendSelected, 300));
+  document.body.appendChild(sendSelectedButton);
+  updateSendSelectedButton();
+}
+
+/**
+ * Get the games whose checkboxes are ticked
+ * @returns {Object[]} - { id, kind, variant, url }
+ */
+function getSelectedGames() {
+  return Array.from(document.querySelectorAll('.atl-archive-checkbox:checked'), checkbox => ({
+    id: checkbox.getAttribute('data-game-id'),
+    kind: checkbox.getAttribute('data-game-kind'),
+    variant: checkbox.getAttribute('data-variant'),
+    url: checkbox.getAttribute('data-url'),
+  }));
+}
+
+/**
+ * Show the selection count on the control (hidden when nothing can be selected)
+ */
+function updateSendSelectedButton() {
+  if (!sendSelectedButton) return;
+
+  const count = getSelectedGames().length;
+  const hasRows = Boolean(document.querySelector('.atl-archive-checkbox'));
+
+  const label = `${getVariantIcon('atomic')} Send selected (${count}) → Lichess`;
+
+  // Only touch the text when it changes, or the row observer would keep firing
+  if (sendSelectedButton.textContent !== label) {
+    sendSelectedButton.textContent = label;
+  }
+  sendSelectedButton.style.display = hasRows ? 'block' : 'none';
+  sendSelectedButton.style.opacity = count && !isSending ? '1' : '0.6';
+  sendSelectedButton.disabled = !count || isSending;
+}
+
+/**
+ * Extract the selected games, merge them into one PGN and import them
+ */
+async function handleSendSelected() {
+  if (isSending) return;
+
+  const selected = getSelectedGames();
+
+  if (selected.length === 0) {
+    showError(ERROR_MESSAGES.NO_GAMES_SELECTED);
+    return;
+  }
+
+  isSending = true;
+  updateSendSelectedButton();
+  batchNotificationId = showLoading(`${LOADING_MESSAGES.EXTRACTING_GAME} 1 of ${selected.length}...`);
+
+  try {
+    const { pgns, skipped } = await extractSelectedGames(selected);
+
+    if (pgns.length === 0) {
+      throw createError(ERROR_CODES.NO_GAMES_EXTRACTED);
+    }
+
+    updateNotification(batchNotificationId, `${LOADING_MESSAGES.IMPORTING_GAME} 1 of ${pgns.length}...`, 'loading');
+
+    const response = await browser.runtime.sendMessage({
+      type: MESSAGE_TYPES.SEND_BATCH,
+      pgn: pgns.join('\n\n'),
+    });
+
+    if (!response || !response.success) {
+      throw createErrorFromResponse(response);
+    }
+
+    const notSent = skipped + response.failures.length;
+    const summary = `${response.urls.length} ${SUCCESS_MESSAGES.BATCH_IMPORTED}`;
+
+    updateNotification(
+      batchNotificationId,
+      notSent ? `${summary} (${notSent} could not be sent, see the console)` : summary,
+      'success',
+      5000
+    );
+
+    response.failures.forEach(failure => log('warn', `Game ${failure.index} not imported:`, failure.error));
+  } catch (caught) {
+    const error = toExtensionError(caught);
+
+    log('error', `Error sending selected games [${error.code}]:`, caught);
+    recordSendFailure(error.message, window.location.href)
+      .catch(storageError => log('warn', 'Could not record the failed send:', storageError));
+    updateNotification(batchNotificationId, error.message, 'error', TIMEOUTS.NOTIFICATION_ACTION_DURATION, [
+      createDiagnosticsAction(() => ({ error, selectorGroup: 'chesscom' })),
+    ]);
+  } finally {
+    batchNotificationId = null;
+    isSending = false;
+    updateSendSelectedButton();
+  }
+}
+
+/**
+ * Fetch and prepare each selected game, one at a time
+ * @param {Object[]} selected - { id, kind, variant, url }
+ * @returns {Promise<Object>} - { pgns: string[], skipped: number }
+ */
+async function extractSelectedGames(selected) {
+  const pgns = [];
+  let skipped = 0;
+
+  for (let index = 0; index < selected.length; index++) {
+    const game = selected[index];
+
+    updateNotification(
+      batchNotificationId,
+      `${LOADING_MESSAGES.EXTRACTING_GAME} ${index + 1} of ${selected.length}...`,
+      'loading'
+    );
+
+    try {
+      const pgn = await extractGameById(game.id, {
+        variant: game.variant,
+        url: game.url,
+        endpoints: getGameEndpoints(game.kind),
+      });
+      const prepared = prepareForLichess(pgn, game.variant);
+
+      if (!prepared.valid) {
+        throw createError(ERROR_CODES.INVALID_PGN, { detail: prepared.error });
+      }
+
+      pgns.push(prepared.pgn);
+    } catch (error) {
+      log('warn', `Skipping game ${game.id}:`, error.message);
+      skipped++;
+    }
+  }
+
+  return { pgns, skipped };
+}
+
+/**
+ * Show batch import progress reported by the background script
+ * @param {Object} message - { type, stage, done, total, retryAfter? }
+ */
+function handleBatchProgress(message) {
+  if (!message || message.type !== MESSAGE_TYPES.BATCH_PROGRESS || !batchNotificationId) return;
+
+  const text = message.stage === 'waiting'
+    ? `${LOADING_MESSAGES.RATE_LIMIT_WAIT} ${message.retryAfter}s...`
+    : `${LOADING_MESSAGES.IMPORTING_GAME} ${message.done + 1} of ${message.total}...`;
+
+  updateNotification(batchNotificationId, text, 'loading');
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeArchive);
+} else {
+  // DOM already loaded
+  initializeArchive();
+}
+
+// Clean up on page unload
+window.addEventListener('beforeunload', () => {
+  if (stopArchiveWatch) {
+    stopArchiveWatch();
+    stopArchiveWatch = null;
+  }
+});
@@ -1,6 +1,7 @@
 /**
  * Lichess Paste Page Content Script
- * Automatically pastes PGN from clipboard and submits for analysis
+ * Fallback for when the import API can't be used: pastes the PGN handed over
+ * by the background script into the paste form and submits it for analysis
  */
 
 // Run guard to prevent multiple executions
@@ -24,10 +25,22 @@ async function initializeLichessPaste() {
   hasRun = true;
 
   log('info', 'Initializing Lichess paste functionality');
+  browser.runtime.onMessage.addListener(createSelfTestListener('lichess'));
 
   let notificationId = null;
+  let pgn = null;
 
   try {
+    const settings = await loadSettings();
+
+    // Fetch the PGN handed to this tab (or the clipboard, if that fallback is enabled)
+    pgn = await getPendingPGN(settings);
+
+    if (!pgn) {
+      log('debug', 'No game handed to this tab, leaving paste page alone');
+      return;
+    }
+
     // Show loading notification
     notificationId = showLoading(LOADING_MESSAGES.PASTING_DATA);
 
@@ -36,30 +49,56 @@ async function initializeLichessPaste() {
 
     if (!textarea) {
       log('error', 'Textarea not found');
-      throw new Error(ERROR_MESSAGES.TEXTAREA_NOT_FOUND);
+      throw createError(ERROR_CODES.TEXTAREA_NOT_FOUND);
     }
 
-    // Paste PGN from clipboard
-    await pastePGN(textarea);
+    // Paste PGN into the form
+    pastePGN(textarea, pgn);
 
-    // Auto-submit (always enabled)
-    updateNotification(notificationId, LOADING_MESSAGES.SUBMITTING_FORM, 'loading');
-    await submitForm(textarea);
-    updateNotification(notificationId, SUCCESS_MESSAGES.READY_FOR_ANALYSIS, 'success', 3000);
+    if (settings.autoSubmit) {
+      updateNotification(notificationId, LOADING_MESSAGES.SUBMITTING_FORM, 'loading');
+      await submitForm(textarea);
+      updateNotification(notificationId, SUCCESS_MESSAGES.READY_FOR_ANALYSIS, 'success', 3000);
+    } else {
+      updateNotification(notificationId, SUCCESS_MESSAGES.PASTED_SUCCESSFULLY, 'success', 3000);
+    }
 
     log('info', 'Lichess paste completed successfully');
-  } catch (error) {
-    log('error', 'Error in Lichess paste:', error);
+  } catch (caught) {
+    const error = toExtensionError(caught);
+
+    log('error', `Error in Lichess paste [${error.code}]:`, caught);
+
+    // Show error notification (offering manual pasting when the clipboard or paste box lets us down)
+    const actions = [];
+
+    if (error.hint === RECOVERY_HINTS.PASTE_MANUALLY) {
+      actions.push({ label: 'Paste manually', onClick: showPasteInstructions });
+    }
+
+    actions.push(createDiagnosticsAction(() => ({ error, pgn, selectorGroup: 'lichess' })));
 
-    // Show error notification
     if (notificationId) {
-      updateNotification(notificationId, error.message || ERROR_MESSAGES.GENERIC_ERROR, 'error', 8000);
+      updateNotification(notificationId, error.message, 'error', TIMEOUTS.NOTIFICATION_ACTION_DURATION, actions);
     } else {
-      showError(error.message || ERROR_MESSAGES.GENERIC_ERROR);
+      showError(error.message, TIMEOUTS.NOTIFICATION_ACTION_DURATION, actions);
     }
   }
 }
 
+/**
+ * Explain how to paste the game by hand and put the cursor in the paste box
+ */
+function showPasteInstructions() {
+  const textarea = querySelectorFallback([LICHESS_SELECTORS.PASTE_TEXTAREA, LICHESS_SELECTORS.PASTE_TEXTAREA_FALLBACK]);
+
+  if (textarea) {
+    textarea.focus();
+  }
+
+  showInfo(INSTRUCTION_MESSAGES.PASTE_MANUALLY, TIMEOUTS.NOTIFICATION_ACTION_DURATION);
+}
+
 /**
  * Wait for the paste textarea to appear
  * @returns {Promise<HTMLTextAreaElement>}
@@ -77,19 +116,43 @@ async function waitForTextarea() {
     return textarea;
   } catch (error) {
     log('error', 'Textarea not found within timeout');
-    throw new Error(ERROR_MESSAGES.TEXTAREA_NOT_FOUND);
+    throw createError(ERROR_CODES.TEXTAREA_NOT_FOUND, { cause: error });
   }
 }
 
 /**
- * Paste PGN from clipboard into textarea
- * @param {HTMLTextAreaElement} textarea
+ * Get the PGN for this tab
+ * Asks the background script first; reads the clipboard only when the fallback is enabled
+ * @param {Object} settings - Settings object
+ * @returns {Promise<string|null>} - PGN, or null if nothing was handed to this tab
+ */
+async function getPendingPGN(settings) {
+  try {
+    const response = await browser.runtime.sendMessage({ type: MESSAGE_TYPES.REQUEST_PGN });
+
+    if (response && response.pgn) {
+      log('debug', `Received PGN from background, length: ${response.pgn.length} characters`);
+      return response.pgn;
+    }
+  } catch (error) {
+    log('warn', 'Background relay unavailable:', error);
+  }
+
+  if (!settings.clipboardFallback) {
+    return null;
+  }
+
+  return readClipboard();
+}
+
+/**
+ * Read PGN from the clipboard (fallback handoff)
+ * @returns {Promise<string>}
  */
-async function pastePGN(textarea) {
+async function readClipboard() {
   log('debug', 'Reading from clipboard...');
 
   try {
-    // Read from clipboard
     const text = await navigator.clipboard.readText();
 
     if (!text || text.trim().length === 0) {
@@ -97,26 +160,33 @@ async function pastePGN(textarea) {
     }
 
     log('debug', `Clipboard content length: ${text.length} characters`);
-
-    // Set textarea value
-    textarea.value = text;
-
-    // Trigger input event (some forms need this)
-    textarea.dispatchEvent(new Event('input', { bubbles: true }));
-    textarea.dispatchEvent(new Event('change', { bubbles: true }));
-
-    log('info', 'PGN pasted successfully');
+    return text;
   } catch (error) {
     if (error.name === 'NotAllowedError') {
       log('error', 'Clipboard permission denied');
-      throw new Error(ERROR_MESSAGES.CLIPBOARD_READ_DENIED);
     } else {
       log('error', 'Failed to read clipboard:', error);
-      throw new Error(ERROR_MESSAGES.CLIPBOARD_READ_DENIED);
     }
+    throw createError(ERROR_CODES.CLIPBOARD_READ_DENIED, { cause: error });
   }
 }
 
+/**
+ * Paste PGN into textarea
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} pgn - PGN to paste
+ */
+function pastePGN(textarea, pgn) {
+  // Set textarea value
+  textarea.value = pgn;
+
+  // Trigger input event (some forms need this)
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  textarea.dispatchEvent(new Event('change', { bubbles: true }));
+
+  log('info', 'PGN pasted successfully');
+}
+
 /**
  * Submit the form to start analysis
  * @param {HTMLTextAreaElement} textarea
@@ -156,9 +226,6 @@ async function submitForm(textarea) {
   }
 }
 
-// Settings removed - auto-submit is always enabled
-
-
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeLichessPaste);
@@ -0,0 +1,72 @@
+/**
+ * Lichess Game Page Content Script
+ * After a paste-page import, shows the board from the side and at the ply the
+ * background script was asked for (the import API route puts both in the URL instead).
+ * Runs on every Lichess page except the paste page, so it also answers the popup's selector check there
+ */
+
+/**
+ * Main entry point for Lichess game pages
+ */
+async function initializeLichessAnalysis() {
+  // Applies any selector overrides
+  await loadSettings();
+  onSettingsChanged(() => log('debug', 'Settings updated'));
+  browser.runtime.onMessage.addListener(createSelfTestListener('lichess'));
+
+  const match = location.pathname.match(REGEX_PATTERNS.LICHESS_GAME_PATH);
+
+  // Any 8-letter path fits the ID pattern (/analysis, /tutorial), so the page has to show a game too
+  if (!match || !document.querySelector(LICHESS_SELECTORS.GAME_META)) {
+    log('debug', 'Not on a game page, skipping initialization');
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({ type: MESSAGE_TYPES.REQUEST_BOARD_VIEW });
+    const view = response && response.view;
+
+    if (!view) return;
+
+    // Switching sides reloads the page; Lichess reads the ply from the hash on load
+    if (view.orientation && view.orientation !== (match[2] || 'white')) {
+      log('info', `Showing the board from ${view.orientation}'s side`);
+      location.replace(`/${match[1]}/${view.orientation}${view.ply ? `#${view.ply}` : ''}`);
+      return;
+    }
+
+    if (view.ply) {
+      await navigateToPly(view.ply);
+    }
+  } catch (error) {
+    log('warn', 'Could not apply board view:', error);
+  }
+}
+
+/**
+ * Jump the analysis board to a ply by selecting it in the move list
+ * @param {number} ply - 1-based ply
+ */
+async function navigateToPly(ply) {
+  await waitForElement(LICHESS_SELECTORS.ANALYSIS_BOARD, TIMEOUTS.ELEMENT_WAIT);
+
+  const moves = document.querySelectorAll(LICHESS_SELECTORS.ANALYSIS_MAINLINE_MOVE);
+  const move = moves[Math.min(ply, moves.length) - 1];
+
+  if (!move) {
+    log('warn', `Move list has no ply ${ply}`);
+    return;
+  }
+
+  // Lichess selects moves on mousedown
+  move.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, button: 0 }));
+  log('info', `Jumped to ply ${ply}`);
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeLichessAnalysis);
+} else {
+  // DOM already loaded
+  initializeLichessAnalysis();
+}
@@ -0,0 +1,295 @@
+/**
+ * Options Page Script
+ * Renders a form from SETTINGS_SCHEMA and saves each change to storage.sync (secrets to storage.local)
+ * (object settings are edited as JSON and only saved once they pass the schema's validate hook)
+ */
+
+// Timer for clearing the status message
+let statusTimeoutId = null;
+
+/**
+ * Main entry point
+ */
+async function initializeOptions() {
+  const settings = await loadSettings();
+
+  renderSettings(settings);
+
+  document.getElementById('reset-button').addEventListener('click', handleReset);
+
+  // Keep the form in sync with changes made elsewhere (e.g. another window)
+  onSettingsChanged(updateFields);
+}
+
+/**
+ * Build one field per setting
+ * @param {Object} settings - Current settings
+ */
+function renderSettings(settings) {
+  const container = document.getElementById('settings-fields');
+
+  for (const [name, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    container.appendChild(createField(name, definition));
+  }
+
+  renderStudyPicker();
+  renderSelectorReset();
+  updateFields(settings);
+}
+
+/**
+ * Create the field for a setting
+ * @param {string} name - Setting name
+ * @param {Object} definition - Schema entry
+ * @returns {Element} - Field element
+ */
+function createField(name, definition) {
+  const field = document.createElement('label');
+  field.className = 'setting';
+
+  const input = document.createElement(definition.type === 'object' ? 'textarea' : 'input');
+  input.id = `setting-${name}`;
+  input.name = name;
+
+  if (definition.type === 'boolean') {
+    input.type = 'checkbox';
+    input.addEventListener('change', () => handleChange(name, input.checked));
+  } else if (definition.type === 'object') {
+    input.rows = 4;
+    input.spellcheck = false;
+    input.placeholder = '{}';
+    input.addEventListener('change', () => handleObjectChange(name, definition, input));
+    field.classList.add('setting-text');
+  } else {
+    input.type = definition.secret ? 'password' : 'text';
+    input.addEventListener('change', () => handleChange(name, input.value.trim()));
+    field.classList.add('setting-text');
+  }
+
+  const text = document.createElement('div');
+
+  const label = document.createElement('div');
+  label.className = 'setting-label';
+  label.textContent = definition.label;
+
+  const description = document.createElement('div');
+  description.className = 'setting-description';
+  description.textContent = definition.description;
+
+  text.appendChild(label);
+  text.appendChild(description);
+
+  // Problems with entered JSON are listed under the field
+  if (definition.type === 'object') {
+    const errors = document.createElement('ul');
+    errors.id = `setting-${name}-errors`;
+    errors.className = 'setting-errors';
+    errors.hidden = true;
+    text.appendChild(errors);
+  }
+
+  field.appendChild(input);
+  field.appendChild(text);
+
+  return field;
+}
+
+/**
+ * Add a button restoring the built-in selectors below the overrides field
+ */
+function renderSelectorReset() {
+  const overridesField = document.getElementById('setting-selectorOverrides').parentNode;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.id = 'reset-selectors-button';
+  button.className = 'field-action';
+  button.textContent = 'Restore default selectors';
+  button.addEventListener('click', () => {
+    showFieldErrors('selectorOverrides', []);
+    handleChange('selectorOverrides', {});
+  });
+
+  overridesField.parentNode.insertBefore(button, overridesField.nextSibling);
+}
+
+/**
+ * Add a dropdown of the user's studies below the study field
+ * It stays empty until the studies are loaded with the API token
+ */
+function renderStudyPicker() {
+  const studyField = document.getElementById('setting-studyId').parentNode;
+
+  const picker = document.createElement('div');
+  picker.className = 'study-picker';
+
+  const select = document.createElement('select');
+  select.id = 'study-select';
+  select.disabled = true;
+  select.appendChild(new Option('Load your studies to pick one', ''));
+  select.addEventListener('change', () => {
+    if (!select.value) return;
+
+    document.getElementById('setting-studyId').value = select.value;
+    handleChange('studyId', select.value);
+  });
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.id = 'load-studies-button';
+  button.textContent = 'Load my studies';
+  button.addEventListener('click', () => handleLoadStudies(select));
+
+  picker.appendChild(select);
+  picker.appendChild(button);
+  studyField.parentNode.insertBefore(picker, studyField.nextSibling);
+}
+
+/**
+ * Fill the study dropdown using the saved API token
+ * @param {Element} select - Study dropdown
+ */
+async function handleLoadStudies(select) {
+  const settings = await loadSettings();
+  let studies;
+
+  try {
+    studies = await fetchMyStudies(settings.lichessToken);
+  } catch (error) {
+    log('error', 'Failed to load studies:', error);
+    showStatus(error.message, true);
+    return;
+  }
+
+  const current = parseStudyId(settings.studyId);
+
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+
+  select.options[0].text = studies.length ? 'Choose a study' : 'You have no studies yet';
+
+  for (const study of studies) {
+    select.appendChild(new Option(study.name, study.id, false, study.id === current));
+  }
+
+  select.disabled = studies.length === 0;
+  showStatus(`${studies.length} studies loaded`);
+}
+
+/**
+ * Show settings in the form
+ * @param {Object} settings - Settings object
+ */
+function updateFields(settings) {
+  for (const name of Object.keys(SETTINGS_SCHEMA)) {
+    const input = document.getElementById(`setting-${name}`);
+    if (!input) continue;
+
+    if (input.type === 'checkbox') {
+      input.checked = settings[name];
+    } else if (SETTINGS_SCHEMA[name].type === 'object') {
+      // Empty objects show the placeholder; the saved value replaces whatever was wrong with the last entry
+      input.value = Object.keys(settings[name]).length ? JSON.stringify(settings[name], null, 2) : '';
+      showFieldErrors(name, []);
+    } else {
+      input.value = settings[name];
+    }
+  }
+}
+
+/**
+ * Save a changed setting
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ */
+async function handleChange(name, value) {
+  try {
+    await saveSettings({ [name]: value });
+    showStatus('Saved');
+  } catch (error) {
+    log('error', 'Failed to save settings:', error);
+    showStatus('Could not save settings', true);
+  }
+}
+
+/**
+ * Check and save a changed JSON setting
+ * @param {string} name - Setting name
+ * @param {Object} definition - Schema entry
+ * @param {Element} input - Textarea holding the JSON
+ */
+function handleObjectChange(name, definition, input) {
+  let value;
+
+  try {
+    value = input.value.trim() ? JSON.parse(input.value) : {};
+  } catch (error) {
+    showFieldErrors(name, [`Not valid JSON: ${error.message}`]);
+    showStatus(ERROR_MESSAGES.INVALID_SETTING, true);
+    return;
+  }
+
+  const errors = definition.validate ? definition.validate(value) : [];
+  showFieldErrors(name, errors);
+
+  if (errors.length) {
+    showStatus(ERROR_MESSAGES.INVALID_SETTING, true);
+    return;
+  }
+
+  handleChange(name, value);
+}
+
+/**
+ * List the problems with a field's value (an empty list hides them)
+ * @param {string} name - Setting name
+ * @param {string[]} errors - Problems found
+ */
+function showFieldErrors(name, errors) {
+  const list = document.getElementById(`setting-${name}-errors`);
+
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+
+  for (const error of errors) {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  }
+
+  list.hidden = errors.length === 0;
+}
+
+/**
+ * Restore the default settings
+ */
+async function handleReset() {
+  try {
+    updateFields(await resetSettings());
+    showStatus('Defaults restored');
+  } catch (error) {
+    log('error', 'Failed to reset settings:', error);
+    showStatus('Could not restore defaults', true);
+  }
+}
+
+/**
+ * Show a short status message next to the buttons
+ * @param {string} message - Message text
+ * @param {boolean} isError - Show as an error
+ */
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    status.textContent = '';
+  }, 2000);
+}
+
+initializeOptions();
@@ -0,0 +1,270 @@
+/**
+ * Toolbar Popup Script
+ * Lists recently sent games from the library with reopen, resend, copy and
+ * download actions, shows the last failed send, and runs the selector self-test
+ * on the current page
+ */
+
+// Number of games listed
+const RECENT_GAMES_LIMIT = 20;
+
+// Timer for clearing the status message
+let statusTimeoutId = null;
+
+/**
+ * Main entry point
+ */
+async function initializePopup() {
+  document.getElementById('dismiss-failure').addEventListener('click', handleDismissFailure);
+  document.getElementById('run-self-test').addEventListener('click', handleSelfTest);
+
+  try {
+    const [entries, failure] = await Promise.all([queryLibrary(), loadLastFailure()]);
+
+    renderRecentGames(entries.slice(0, RECENT_GAMES_LIMIT));
+    renderLastFailure(failure, entries[0]);
+  } catch (error) {
+    log('error', 'Failed to load the game library:', error);
+    showStatus(ERROR_MESSAGES.GENERIC_ERROR, true);
+  }
+}
+
+/**
+ * Show the last failed send, unless a game was sent successfully since
+ * @param {Object|null} failure - { message, sourceUrl, failedAt }
+ * @param {Object} latestEntry - Most recent library entry (optional)
+ */
+function renderLastFailure(failure, latestEntry) {
+  const panel = document.getElementById('last-failure');
+
+  if (!failure || (latestEntry && latestEntry.sentAt > failure.failedAt)) {
+    panel.hidden = true;
+    return;
+  }
+
+  document.getElementById('last-failure-message').textContent =
+    `${failure.message} (${formatSentTime(failure.failedAt)})`;
+  panel.hidden = false;
+}
+
+/**
+ * Build the list of recent games
+ * @param {Object[]} entries - Library entries, newest first
+ */
+function renderRecentGames(entries) {
+  const list = document.getElementById('recent-games');
+
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+
+  document.getElementById('empty-library').hidden = entries.length > 0;
+
+  for (const entry of entries) {
+    list.appendChild(createGameItem(entry));
+  }
+}
+
+/**
+ * Create the list item for a game
+ * @param {Object} entry - Library entry
+ * @returns {Element} - List item
+ */
+function createGameItem(entry) {
+  const { info } = entry;
+  const item = document.createElement('li');
+  item.className = 'game';
+
+  const players = document.createElement('div');
+  players.className = 'game-players';
+  players.textContent = `${info.white} – ${info.black}`;
+
+  const details = document.createElement('div');
+  details.className = 'game-details';
+  details.textContent = `${info.result} · ${info.variant} · ${formatSentTime(entry.sentAt)}`;
+
+  const actions = document.createElement('div');
+  actions.className = 'game-actions';
+  actions.appendChild(createActionButton('Open', 'Open the Lichess analysis', () => handleReopen(entry)));
+  actions.appendChild(createActionButton('Resend', 'Import the game to Lichess again', () => handleResend(entry)));
+  actions.appendChild(createActionButton('Copy', 'Copy the PGN', () => handleCopy(entry)));
+  actions.appendChild(createActionButton('Download', 'Save the PGN as a file', () => handleDownload(entry)));
+
+  item.appendChild(players);
+  item.appendChild(details);
+  item.appendChild(actions);
+
+  return item;
+}
+
+/**
+ * Create an action button
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {Element} - Button
+ */
+function createActionButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Open the game's Lichess analysis
+ * @param {Object} entry - Library entry
+ */
+async function handleReopen(entry) {
+  try {
+    await browser.tabs.create({ url: entry.lichessUrl });
+    window.close();
+  } catch (error) {
+    log('error', 'Failed to open Lichess tab:', error);
+    showStatus(ERROR_MESSAGES.LICHESS_TAB_FAILED, true);
+  }
+}
+
+/**
+ * Import the game again (to the current destination) and open it
+ * @param {Object} entry - Library entry
+ */
+async function handleResend(entry) {
+  showStatus(LOADING_MESSAGES.OPENING_LICHESS);
+
+  let response;
+
+  try {
+    response = await browser.runtime.sendMessage({
+      type: MESSAGE_TYPES.SEND_TO_LICHESS,
+      pgn: entry.pgn,
+      source: entry.chessComUrl,
+      resend: true,
+    });
+  } catch (error) {
+    log('error', 'Background relay unavailable:', error);
+    response = { success: false, error: ERROR_MESSAGES.HANDOFF_FAILED };
+  }
+
+  if (!response || !response.success) {
+    const message = (response && response.error) || ERROR_MESSAGES.HANDOFF_FAILED;
+
+    showStatus(message, true);
+    recordSendFailure(message, entry.chessComUrl)
+      .catch(error => log('warn', 'Could not record the failed send:', error));
+    return;
+  }
+
+  window.close();
+}
+
+/**
+ * Copy the game's PGN to the clipboard
+ * @param {Object} entry - Library entry
+ */
+async function handleCopy(entry) {
+  try {
+    await navigator.clipboard.writeText(entry.pgn);
+    showStatus(SUCCESS_MESSAGES.PGN_COPIED);
+  } catch (error) {
+    log('error', 'Failed to copy PGN:', error);
+    showStatus(ERROR_MESSAGES.CLIPBOARD_WRITE_DENIED, true);
+  }
+}
+
+/**
+ * Save the game's PGN as a .pgn file
+ * @param {Object} entry - Library entry
+ */
+function handleDownload(entry) {
+  downloadTextFile(entry.pgn, getPGNFileName(entry.info), PGN_MIME_TYPE);
+}
+
+/**
+ * Forget the last failed send
+ */
+async function handleDismissFailure() {
+  document.getElementById('last-failure').hidden = true;
+
+  try {
+    await clearLastFailure();
+  } catch (error) {
+    log('warn', 'Could not clear the failed send:', error);
+  }
+}
+
+/**
+ * Ask the current page's content script to check its selectors, and show what it found
+ */
+async function handleSelfTest() {
+  const summary = document.getElementById('self-test-summary');
+  const problems = document.getElementById('self-test-problems');
+  let report;
+
+  while (problems.firstChild) {
+    problems.removeChild(problems.firstChild);
+  }
+
+  try {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    report = await browser.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.RUN_SELF_TEST });
+  } catch (error) {
+    log('debug', 'No content script answered the self-test:', error);
+  }
+
+  if (!report) {
+    summary.textContent = ERROR_MESSAGES.SELF_TEST_UNAVAILABLE;
+    summary.classList.add('error');
+    return;
+  }
+
+  const counts = report.summary;
+  summary.textContent = `${counts.matched} matched, ${counts.ambiguous} ambiguous, ${counts.missing} missing` +
+    (counts.invalid ? `, ${counts.invalid} invalid` : '');
+  summary.classList.toggle('error', counts.ambiguous + counts.missing + counts.invalid > 0);
+
+  // Only the selectors that need a look; all of them are in the page's console
+  for (const result of report.results.filter(item => item.status !== 'matched')) {
+    const item = document.createElement('li');
+    item.className = `self-test-${result.status}`;
+    item.textContent = `${result.name}: ${result.status}${result.overridden ? ' (override)' : ''}`;
+    item.title = result.selector;
+    problems.appendChild(item);
+  }
+}
+
+/**
+ * Format a timestamp relative to now (e.g. "5 min ago"), or as a date when older than a day
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {string} - Formatted time
+ */
+function formatSentTime(time) {
+  const minutes = Math.floor((Date.now() - time) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+
+  return new Date(time).toLocaleDateString();
+}
+
+/**
+ * Show a short status message at the bottom of the popup
+ * @param {string} message - Message text
+ * @param {boolean} isError - Show as an error
+ */
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    status.textContent = '';
+  }, 3000);
+}
+
+initializePopup();
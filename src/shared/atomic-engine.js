@@ -0,0 +1,810 @@
+/**
+ * Atomic Chess Rules Engine
+ * Board representation, legal move generation and SAN handling for atomic chess
+ * (captures explode, kings can't capture, adjacent kings can't be checked).
+ * Other variants can be replayed with standard move rules by passing their variant key;
+ * crazyhouse additionally gets pockets and drops.
+ *
+ * Position:
+ *   { board: (string|null)[64], turn: 'w'|'b', castling: string, epSquare: number|null,
+ *     halfmove: number, fullmove: number, variant: string,
+ *     pockets: { w: Object, b: Object }|null, promoted: boolean[64]|null }
+ * Squares are indexed rank * 8 + file (a1 = 0, h8 = 63); pieces use FEN letters.
+ */
+
+const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const FILES = 'abcdefgh';
+
+const KNIGHT_OFFSETS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_OFFSETS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Castling setup: king and rook home squares per castling right
+ */
+const CASTLING_SQUARES = {
+  K: { king: 4, rook: 7, kingTo: 6, rookTo: 5, empty: [5, 6], safe: [5, 6] },
+  Q: { king: 4, rook: 0, kingTo: 2, rookTo: 3, empty: [1, 2, 3], safe: [3, 2] },
+  k: { king: 60, rook: 63, kingTo: 62, rookTo: 61, empty: [61, 62], safe: [61, 62] },
+  q: { king: 60, rook: 56, kingTo: 58, rookTo: 59, empty: [57, 58, 59], safe: [59, 58] },
+};
+
+/**
+ * Get the algebraic name of a square
+ * @param {number} square - Square index
+ * @returns {string} - e.g. "e4"
+ */
+function squareName(square) {
+  return FILES[square % 8] + (Math.floor(square / 8) + 1);
+}
+
+/**
+ * Get the index of a square from its algebraic name
+ * @param {string} name - e.g. "e4"
+ * @returns {number} - Square index, or -1 if invalid
+ */
+function parseSquare(name) {
+  if (!/^[a-h][1-8]$/.test(name || '')) return -1;
+  return (parseInt(name[1], 10) - 1) * 8 + FILES.indexOf(name[0]);
+}
+
+/**
+ * Move from a square by a file/rank offset
+ * @returns {number} - Target square index, or -1 if off the board
+ */
+function offsetSquare(square, fileOffset, rankOffset) {
+  const file = (square % 8) + fileOffset;
+  const rank = Math.floor(square / 8) + rankOffset;
+
+  if (file < 0 || file > 7 || rank < 0 || rank > 7) return -1;
+  return rank * 8 + file;
+}
+
+function pieceColor(piece) {
+  return piece === piece.toUpperCase() ? 'w' : 'b';
+}
+
+function pieceType(piece) {
+  return piece.toLowerCase();
+}
+
+function oppositeColor(color) {
+  return color === 'w' ? 'b' : 'w';
+}
+
+function makePiece(color, type) {
+  return color === 'w' ? type.toUpperCase() : type;
+}
+
+function explodesOnCapture(variant) {
+  return variant === 'atomic';
+}
+
+function hasPockets(variant) {
+  return variant === 'crazyhouse';
+}
+
+/**
+ * Build crazyhouse pockets from a FEN pocket string (e.g. "Nnp")
+ * @param {string} pocketString - Pocket pieces in FEN letters
+ * @returns {Object} - { w: { p, n, b, r, q }, b: { p, n, b, r, q } }
+ */
+function createPockets(pocketString = '') {
+  const pockets = {
+    w: { p: 0, n: 0, b: 0, r: 0, q: 0 },
+    b: { p: 0, n: 0, b: 0, r: 0, q: 0 },
+  };
+
+  for (const ch of pocketString) {
+    const type = pieceType(ch);
+    if (type in pockets.w) {
+      pockets[pieceColor(ch)][type]++;
+    }
+  }
+
+  return pockets;
+}
+
+/**
+ * Create a position from a FEN string
+ * @param {string} fen - FEN (default: standard starting position)
+ * @param {string} variant - Variant key (default: atomic)
+ * @returns {Object} - Position
+ * @throws {Error} - On malformed FEN
+ */
+function createPosition(fen = STARTING_FEN, variant = 'atomic') {
+  const fields = fen.trim().split(/\s+/);
+  let placement = fields[0] || '';
+  let pocketString = '';
+
+  // Crazyhouse pockets: "...[Nnp]" or a ninth "rank"
+  const bracketPocket = placement.match(/^(.*)\[([PNBRQKpnbrqk]*)\]$/);
+  if (bracketPocket) {
+    [, placement, pocketString] = bracketPocket;
+  }
+
+  const rows = placement.split('/');
+  if (rows.length === 9) {
+    pocketString = rows.pop();
+  }
+
+  if (rows.length !== 8) {
+    throw new Error(`Invalid FEN: ${fen}`);
+  }
+
+  const board = new Array(64).fill(null);
+  const promoted = new Array(64).fill(false);
+
+  rows.forEach((row, index) => {
+    const rank = 7 - index;
+    let file = 0;
+
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) {
+        file += parseInt(ch, 10);
+      } else if (/[pnbrqkPNBRQK]/.test(ch)) {
+        if (file > 7) throw new Error(`Invalid FEN: ${fen}`);
+        board[rank * 8 + file] = ch;
+        file++;
+      } else if (ch === '~' && file > 0) {
+        // Promoted piece marker (crazyhouse)
+        promoted[rank * 8 + file - 1] = true;
+      } else {
+        throw new Error(`Invalid FEN: ${fen}`);
+      }
+    }
+
+    if (file !== 8) {
+      throw new Error(`Invalid FEN: ${fen}`);
+    }
+  });
+
+  return {
+    board,
+    turn: fields[1] === 'b' ? 'b' : 'w',
+    castling: fields[2] && fields[2] !== '-' ? fields[2] : '',
+    epSquare: fields[3] && fields[3] !== '-' ? parseSquare(fields[3]) : null,
+    halfmove: parseInt(fields[4], 10) || 0,
+    fullmove: parseInt(fields[5], 10) || 1,
+    variant,
+    pockets: hasPockets(variant) ? createPockets(pocketString) : null,
+    promoted: hasPockets(variant) ? promoted : null,
+  };
+}
+
+/**
+ * Serialize a position to FEN
+ * @param {Object} position - Position
+ * @returns {string} - FEN
+ */
+function positionToFEN(position) {
+  const rows = [];
+
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = '';
+    let empty = 0;
+
+    for (let file = 0; file < 8; file++) {
+      const piece = position.board[rank * 8 + file];
+
+      if (piece) {
+        if (empty) row += empty;
+        row += piece;
+        if (position.promoted && position.promoted[rank * 8 + file]) row += '~';
+        empty = 0;
+      } else {
+        empty++;
+      }
+    }
+
+    rows.push(empty ? row + empty : row);
+  }
+
+  let placement = rows.join('/');
+
+  if (position.pockets) {
+    const pocket = ['w', 'b'].map(color =>
+      ['q', 'r', 'b', 'n', 'p']
+        .map(type => makePiece(color, type).repeat(position.pockets[color][type]))
+        .join('')).join('');
+    placement += `[${pocket}]`;
+  }
+
+  return [
+    placement,
+    position.turn,
+    position.castling || '-',
+    position.epSquare === null ? '-' : squareName(position.epSquare),
+    position.halfmove,
+    position.fullmove,
+  ].join(' ');
+}
+
+/**
+ * Find the king of a color
+ * @param {Array} board - Board array
+ * @param {string} color - 'w' or 'b'
+ * @returns {number} - Square index, or -1 if the king is gone (exploded)
+ */
+function findKing(board, color) {
+  return board.indexOf(makePiece(color, 'k'));
+}
+
+/**
+ * Check whether two squares touch (including diagonally)
+ */
+function areAdjacent(a, b) {
+  return a !== b &&
+    Math.abs((a % 8) - (b % 8)) <= 1 &&
+    Math.abs(Math.floor(a / 8) - Math.floor(b / 8)) <= 1;
+}
+
+/**
+ * Check whether a square is attacked by a color
+ * @param {Array} board - Board array
+ * @param {number} square - Target square
+ * @param {string} attacker - Attacking color
+ * @param {boolean} includeKing - Whether king attacks count (kings can't capture in atomic)
+ * @returns {boolean}
+ */
+function isSquareAttacked(board, square, attacker, includeKing) {
+  // Pawns attack diagonally forward, so look one rank "behind" the target
+  const pawnRank = attacker === 'w' ? -1 : 1;
+  for (const fileOffset of [-1, 1]) {
+    const from = offsetSquare(square, fileOffset, pawnRank);
+    if (from >= 0 && board[from] === makePiece(attacker, 'p')) return true;
+  }
+
+  for (const [df, dr] of KNIGHT_OFFSETS) {
+    const from = offsetSquare(square, df, dr);
+    if (from >= 0 && board[from] === makePiece(attacker, 'n')) return true;
+  }
+
+  if (includeKing) {
+    for (const [df, dr] of KING_OFFSETS) {
+      const from = offsetSquare(square, df, dr);
+      if (from >= 0 && board[from] === makePiece(attacker, 'k')) return true;
+    }
+  }
+
+  const sliders = [
+    [BISHOP_DIRECTIONS, ['b', 'q']],
+    [ROOK_DIRECTIONS, ['r', 'q']],
+  ];
+
+  for (const [directions, types] of sliders) {
+    for (const [df, dr] of directions) {
+      let from = offsetSquare(square, df, dr);
+
+      while (from >= 0) {
+        const piece = board[from];
+        if (piece) {
+          if (pieceColor(piece) === attacker && types.includes(pieceType(piece))) return true;
+          break;
+        }
+        from = offsetSquare(from, df, dr);
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a color's king is in check
+ * In atomic, touching kings can never be in check (capturing one would explode the other)
+ * @param {Array} board - Board array
+ * @param {string} color - Color of the king
+ * @param {string} variant - Variant key
+ * @returns {boolean}
+ */
+function isInCheck(board, color, variant) {
+  const king = findKing(board, color);
+  if (king < 0) return false;
+
+  if (explodesOnCapture(variant)) {
+    const enemyKing = findKing(board, oppositeColor(color));
+    if (enemyKing >= 0 && areAdjacent(king, enemyKing)) return false;
+    return isSquareAttacked(board, king, oppositeColor(color), false);
+  }
+
+  return isSquareAttacked(board, king, oppositeColor(color), true);
+}
+
+/**
+ * Generate pseudo-legal moves (ignoring king safety), including castling
+ * @param {Object} position - Position
+ * @returns {Object[]} - Moves { from, to, piece, captured, promotion, enPassant, castle, doublePush }
+ */
+function generatePseudoMoves(position) {
+  const { board, turn, variant } = position;
+  const moves = [];
+
+  const addMove = (from, to, extra = {}) => {
+    moves.push({
+      from,
+      to,
+      piece: board[from],
+      captured: board[to],
+      promotion: null,
+      enPassant: false,
+      castle: null,
+      doublePush: false,
+      drop: null,
+      ...extra,
+    });
+  };
+
+  for (let from = 0; from < 64; from++) {
+    const piece = board[from];
+    if (!piece || pieceColor(piece) !== turn) continue;
+
+    const type = pieceType(piece);
+
+    if (type === 'p') {
+      const direction = turn === 'w' ? 1 : -1;
+      const startRank = turn === 'w' ? 1 : 6;
+      const promotionRank = turn === 'w' ? 7 : 0;
+
+      const addPawnMove = (to, extra = {}) => {
+        if (Math.floor(to / 8) === promotionRank) {
+          for (const promotion of ['q', 'r', 'b', 'n']) {
+            addMove(from, to, { ...extra, promotion });
+          }
+        } else {
+          addMove(from, to, extra);
+        }
+      };
+
+      const one = offsetSquare(from, 0, direction);
+      if (one >= 0 && !board[one]) {
+        addPawnMove(one);
+
+        const two = offsetSquare(from, 0, 2 * direction);
+        if (Math.floor(from / 8) === startRank && !board[two]) {
+          addMove(from, two, { doublePush: true });
+        }
+      }
+
+      for (const fileOffset of [-1, 1]) {
+        const to = offsetSquare(from, fileOffset, direction);
+        if (to < 0) continue;
+
+        if (board[to] && pieceColor(board[to]) !== turn) {
+          addPawnMove(to);
+        } else if (to === position.epSquare && !board[to]) {
+          addMove(from, to, { enPassant: true, captured: makePiece(oppositeColor(turn), 'p') });
+        }
+      }
+    } else if (type === 'n' || type === 'k') {
+      for (const [df, dr] of (type === 'n' ? KNIGHT_OFFSETS : KING_OFFSETS)) {
+        const to = offsetSquare(from, df, dr);
+        if (to < 0) continue;
+
+        const target = board[to];
+        if (!target) {
+          addMove(from, to);
+        } else if (pieceColor(target) !== turn && !(type === 'k' && explodesOnCapture(variant))) {
+          // Kings can't capture in atomic
+          addMove(from, to);
+        }
+      }
+    } else {
+      const directions = type === 'b' ? BISHOP_DIRECTIONS
+        : type === 'r' ? ROOK_DIRECTIONS
+          : BISHOP_DIRECTIONS.concat(ROOK_DIRECTIONS);
+
+      for (const [df, dr] of directions) {
+        let to = offsetSquare(from, df, dr);
+
+        while (to >= 0) {
+          const target = board[to];
+          if (target) {
+            if (pieceColor(target) !== turn) addMove(from, to);
+            break;
+          }
+          addMove(from, to);
+          to = offsetSquare(to, df, dr);
+        }
+      }
+    }
+  }
+
+  moves.push(...generateCastlingMoves(position));
+  moves.push(...generateDropMoves(position));
+  return moves;
+}
+
+/**
+ * Generate crazyhouse drops (pawns can't be dropped on the first or last rank)
+ * @param {Object} position - Position
+ * @returns {Object[]} - Drop moves
+ */
+function generateDropMoves(position) {
+  if (!position.pockets) return [];
+
+  const moves = [];
+  const pocket = position.pockets[position.turn];
+
+  for (const type of Object.keys(pocket)) {
+    if (pocket[type] === 0) continue;
+
+    for (let to = 0; to < 64; to++) {
+      const rank = Math.floor(to / 8);
+      if (position.board[to] || (type === 'p' && (rank === 0 || rank === 7))) continue;
+
+      moves.push({
+        from: -1,
+        to,
+        piece: makePiece(position.turn, type),
+        captured: null,
+        promotion: null,
+        enPassant: false,
+        castle: null,
+        doublePush: false,
+        drop: type,
+      });
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Generate castling moves (king may not castle out of, through or into check)
+ * @param {Object} position - Position
+ * @returns {Object[]} - Castling moves
+ */
+function generateCastlingMoves(position) {
+  const { board, turn, variant } = position;
+  const moves = [];
+  const rights = turn === 'w' ? ['K', 'Q'] : ['k', 'q'];
+
+  for (const right of rights) {
+    if (!position.castling.includes(right)) continue;
+
+    const setup = CASTLING_SQUARES[right];
+    if (board[setup.king] !== makePiece(turn, 'k') || board[setup.rook] !== makePiece(turn, 'r')) continue;
+    if (setup.empty.some(square => board[square])) continue;
+    if (isInCheck(board, turn, variant)) continue;
+
+    const passesThroughCheck = setup.safe.some((square) => {
+      const trial = board.slice();
+      trial[setup.king] = null;
+      trial[square] = makePiece(turn, 'k');
+      return isInCheck(trial, turn, variant);
+    });
+
+    if (!passesThroughCheck) {
+      moves.push({
+        from: setup.king,
+        to: setup.kingTo,
+        piece: board[setup.king],
+        captured: null,
+        promotion: null,
+        enPassant: false,
+        castle: right.toUpperCase(),
+        doublePush: false,
+        drop: null,
+      });
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Apply a move and return the resulting position (the input is not modified)
+ * @param {Object} position - Position
+ * @param {Object} move - Move from generateLegalMoves/parseSAN
+ * @returns {Object} - New position
+ */
+function applyMove(position, move) {
+  const board = position.board.slice();
+  const color = position.turn;
+  const type = pieceType(move.piece);
+  const pockets = position.pockets && {
+    w: { ...position.pockets.w },
+    b: { ...position.pockets.b },
+  };
+  const promoted = position.promoted && position.promoted.slice();
+
+  if (move.drop) {
+    board[move.to] = move.piece;
+    pockets[color][move.drop]--;
+  } else {
+    board[move.from] = null;
+  }
+
+  if (pockets && move.captured) {
+    // Captured pieces go to the capturer's pocket; promoted pieces revert to pawns
+    const capturedSquare = move.enPassant ? offsetSquare(move.to, 0, color === 'w' ? -1 : 1) : move.to;
+    const pocketType = promoted[capturedSquare] ? 'p' : pieceType(move.captured);
+    pockets[color][pocketType]++;
+  }
+
+  if (promoted && !move.drop) {
+    promoted[move.to] = promoted[move.from] || Boolean(move.promotion);
+    promoted[move.from] = false;
+  }
+
+  if (move.drop) {
+    // Already placed
+  } else if (move.castle) {
+    const setup = CASTLING_SQUARES[color === 'w' ? move.castle : move.castle.toLowerCase()];
+    board[setup.rook] = null;
+    board[setup.kingTo] = makePiece(color, 'k');
+    board[setup.rookTo] = makePiece(color, 'r');
+  } else {
+    const landing = move.promotion ? makePiece(color, move.promotion) : move.piece;
+
+    if (move.captured) {
+      const capturedSquare = move.enPassant
+        ? offsetSquare(move.to, 0, color === 'w' ? -1 : 1)
+        : move.to;
+      board[capturedSquare] = null;
+
+      if (explodesOnCapture(position.variant)) {
+        // The capturing piece and every non-pawn piece around the target go up too
+        board[move.to] = null;
+        for (const [df, dr] of KING_OFFSETS) {
+          const square = offsetSquare(move.to, df, dr);
+          if (square >= 0 && board[square] && pieceType(board[square]) !== 'p') {
+            board[square] = null;
+          }
+        }
+      } else {
+        board[move.to] = landing;
+      }
+    } else {
+      board[move.to] = landing;
+    }
+  }
+
+  // Castling rights survive only while king and rook stay home (covers moves, captures and explosions)
+  const castling = position.castling.split('').filter((right) => {
+    const setup = CASTLING_SQUARES[right];
+    const rightColor = right === right.toUpperCase() ? 'w' : 'b';
+    return setup &&
+      board[setup.king] === makePiece(rightColor, 'k') &&
+      board[setup.rook] === makePiece(rightColor, 'r');
+  }).join('');
+
+  return {
+    board,
+    turn: oppositeColor(color),
+    castling,
+    epSquare: move.doublePush ? offsetSquare(move.from, 0, color === 'w' ? 1 : -1) : null,
+    halfmove: type === 'p' || move.captured ? 0 : position.halfmove + 1,
+    fullmove: color === 'b' ? position.fullmove + 1 : position.fullmove,
+    variant: position.variant,
+    pockets,
+    promoted,
+  };
+}
+
+/**
+ * Check whether a pseudo-legal move is legal
+ * In atomic, a move is legal if it keeps our king alive and either explodes
+ * the enemy king or leaves our king out of check
+ * @param {Object} position - Position before the move
+ * @param {Object} move - Pseudo-legal move
+ * @returns {boolean}
+ */
+function isLegalMove(position, move) {
+  const next = applyMove(position, move);
+  const color = position.turn;
+
+  if (explodesOnCapture(position.variant)) {
+    if (findKing(next.board, color) < 0) return false;
+    if (findKing(next.board, oppositeColor(color)) < 0) return true;
+  }
+
+  return !isInCheck(next.board, color, position.variant);
+}
+
+/**
+ * Generate all legal moves
+ * @param {Object} position - Position
+ * @returns {Object[]} - Legal moves (empty once a king has exploded)
+ */
+function generateLegalMoves(position) {
+  if (findKing(position.board, 'w') < 0 || findKing(position.board, 'b') < 0) {
+    return [];
+  }
+
+  return generatePseudoMoves(position).filter(move => isLegalMove(position, move));
+}
+
+/**
+ * Work out whether the game is over in this position
+ * @param {Object} position - Position
+ * @returns {Object} - { over: boolean, winner: 'w'|'b'|null, reason: 'explosion'|'checkmate'|'stalemate'|null }
+ */
+function getGameStatus(position) {
+  const whiteKing = findKing(position.board, 'w');
+  const blackKing = findKing(position.board, 'b');
+
+  if (whiteKing < 0 || blackKing < 0) {
+    return { over: true, winner: whiteKing < 0 ? 'b' : 'w', reason: 'explosion' };
+  }
+
+  if (generateLegalMoves(position).length > 0) {
+    return { over: false, winner: null, reason: null };
+  }
+
+  if (isInCheck(position.board, position.turn, position.variant)) {
+    return { over: true, winner: oppositeColor(position.turn), reason: 'checkmate' };
+  }
+
+  return { over: true, winner: null, reason: 'stalemate' };
+}
+
+/**
+ * Get the PGN result string implied by a game status
+ * @param {Object} status - From getGameStatus
+ * @returns {string|null} - "1-0", "0-1", "1/2-1/2" or null if the game isn't over
+ */
+function getStatusResult(status) {
+  if (!status.over) return null;
+  if (status.winner === 'w') return '1-0';
+  if (status.winner === 'b') return '0-1';
+  return '1/2-1/2';
+}
+
+/**
+ * Convert a legal move to SAN
+ * @param {Object} position - Position before the move
+ * @param {Object} move - Legal move
+ * @returns {string} - SAN including check/mate suffix
+ */
+function moveToSAN(position, move) {
+  let san;
+  const type = pieceType(move.piece);
+
+  if (move.drop) {
+    san = `${move.drop.toUpperCase()}@${squareName(move.to)}`;
+  } else if (move.castle) {
+    san = move.castle === 'K' ? 'O-O' : 'O-O-O';
+  } else if (type === 'p') {
+    san = move.captured ? `${FILES[move.from % 8]}x${squareName(move.to)}` : squareName(move.to);
+    if (move.promotion) san += `=${move.promotion.toUpperCase()}`;
+  } else {
+    const rivals = generateLegalMoves(position).filter(other =>
+      other.to === move.to &&
+      other.from !== move.from &&
+      !other.castle &&
+      !other.drop &&
+      other.piece === move.piece);
+
+    let disambiguation = '';
+    if (rivals.length > 0) {
+      const sameFile = rivals.some(other => other.from % 8 === move.from % 8);
+      const sameRank = rivals.some(other => Math.floor(other.from / 8) === Math.floor(move.from / 8));
+
+      if (!sameFile) {
+        disambiguation = FILES[move.from % 8];
+      } else if (!sameRank) {
+        disambiguation = String(Math.floor(move.from / 8) + 1);
+      } else {
+        disambiguation = squareName(move.from);
+      }
+    }
+
+    san = type.toUpperCase() + disambiguation + (move.captured ? 'x' : '') + squareName(move.to);
+  }
+
+  const next = applyMove(position, move);
+  const status = getGameStatus(next);
+
+  if (status.over && status.winner) return `${san}#`;
+  if (isInCheck(next.board, next.turn, next.variant)) return `${san}+`;
+  return san;
+}
+
+/**
+ * Find the legal move a SAN string refers to
+ * Tolerates missing or redundant disambiguation, 0-0 castling and annotation suffixes
+ * @param {Object} position - Position
+ * @param {string} san - SAN move
+ * @returns {Object} - { move: Object|null, error: string|null }
+ */
+function parseSAN(position, san) {
+  const clean = (san || '').replace(/[+#!?]+$/, '').replace(/^0-0(-0)?$/, castle => castle.replace(/0/g, 'O'));
+  const legalMoves = generateLegalMoves(position);
+
+  if (clean === 'O-O' || clean === 'O-O-O') {
+    const side = clean === 'O-O' ? 'K' : 'Q';
+    const move = legalMoves.find(candidate => candidate.castle === side);
+    return move ? { move, error: null } : { move: null, error: 'castling is not legal here' };
+  }
+
+  const dropMatch = clean.match(/^([PNBRQ])?@([a-h][1-8])$/);
+
+  if (dropMatch) {
+    const dropType = (dropMatch[1] || 'P').toLowerCase();
+    const to = parseSquare(dropMatch[2]);
+    const move = legalMoves.find(candidate => candidate.drop === dropType && candidate.to === to);
+    return move ? { move, error: null } : { move: null, error: 'illegal drop' };
+  }
+
+  const match = clean.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/);
+
+  if (!match) {
+    return { move: null, error: 'not a valid SAN move' };
+  }
+
+  const [, pieceLetter, fromFile, fromRank, target, promotion] = match;
+  const type = pieceLetter ? pieceLetter.toLowerCase() : 'p';
+  const to = parseSquare(target);
+
+  const candidates = legalMoves.filter(move =>
+    !move.castle &&
+    !move.drop &&
+    pieceType(move.piece) === type &&
+    move.to === to &&
+    (!fromFile || FILES[move.from % 8] === fromFile) &&
+    (!fromRank || String(Math.floor(move.from / 8) + 1) === fromRank) &&
+    (promotion ? move.promotion === promotion.toLowerCase() : !move.promotion));
+
+  if (candidates.length === 1) {
+    return { move: candidates[0], error: null };
+  }
+
+  if (candidates.length > 1) {
+    return { move: null, error: 'ambiguous move' };
+  }
+
+  const status = getGameStatus(position);
+  if (status.over) {
+    return { move: null, error: `the game is already over (${status.reason})` };
+  }
+
+  return { move: null, error: 'illegal move' };
+}
+
+/**
+ * Replay a parsed game's mainline
+ * @param {Object} game - Game object from parsePGN
+ * @param {string} variant - Variant key (default: atomic)
+ * @returns {Object} - { ok: true, position, status, plies } or
+ *                     { ok: false, ply, san, label, error }
+ */
+function replayGame(game, variant = 'atomic') {
+  let position;
+
+  try {
+    position = createPosition(game.tags.FEN || STARTING_FEN, variant);
+  } catch (error) {
+    return { ok: false, ply: 0, san: null, label: 'FEN', error: error.message };
+  }
+
+  for (const node of game.moves) {
+    const { move, error } = parseSAN(position, node.san);
+
+    if (!move) {
+      return { ok: false, ply: node.ply, san: node.san, label: formatMoveLabel(node), error };
+    }
+
+    position = applyMove(position, move);
+  }
+
+  return {
+    ok: true,
+    position,
+    status: getGameStatus(position),
+    plies: game.moves.length,
+  };
+}
+
+/**
+ * Format a move node as "12. Nxe5" / "12... Nxe5"
+ * @param {Object} node - Move node
+ * @returns {string}
+ */
+function formatMoveLabel(node) {
+  const moveNumber = Math.ceil(node.ply / 2);
+  return `${moveNumber}${node.ply % 2 === 1 ? '.' : '...'} ${node.san}`;
+}
@@ -0,0 +1,137 @@
+/**
+ * Chess.com Board Module
+ * Reads the position shown on the Chess.com board and builds a FEN for it
+ */
+
+/**
+ * Read piece placement from the board
+ * Pieces are elements like <div class="piece wp square-52"> (colour + type, file 1-8 + rank 1-8)
+ * @param {Element} boardElement - Board element
+ * @returns {Array} - 64 squares (a1 = 0) holding FEN piece letters or null
+ */
+function readBoardPieces(boardElement) {
+  const board = new Array(64).fill(null);
+
+  for (const element of boardElement.querySelectorAll(CHESS_COM_SELECTORS.BOARD_PIECE)) {
+    const pieceClass = Array.from(element.classList).find(name => /^[wb][pnbrqk]$/.test(name));
+    const square = readSquareClass(element);
+
+    if (!pieceClass || square === null) continue;
+
+    board[square] = pieceClass[0] === 'w' ? pieceClass[1].toUpperCase() : pieceClass[1];
+  }
+
+  return board;
+}
+
+/**
+ * Read the square from an element's square-XY class
+ * @param {Element} element - Piece or highlight element
+ * @returns {number|null} - Square index, or null if the element has no square class
+ */
+function readSquareClass(element) {
+  const squareClass = Array.from(element.classList).find(name => /^square-[1-8][1-8]$/.test(name));
+  if (!squareClass) return null;
+
+  const file = parseInt(squareClass[7], 10) - 1;
+  const rank = parseInt(squareClass[8], 10) - 1;
+  return rank * 8 + file;
+}
+
+/**
+ * Read the last move from the board's move highlights
+ * @param {Element} boardElement - Board element
+ * @param {Array} board - Piece placement from readBoardPieces
+ * @returns {Object|null} - { from, to } or null if it can't be told
+ */
+function readLastMove(boardElement, board) {
+  const squares = Array.from(boardElement.querySelectorAll(CHESS_COM_SELECTORS.BOARD_HIGHLIGHT))
+    .map(readSquareClass)
+    .filter(square => square !== null);
+  const unique = squares.filter((square, index) => squares.indexOf(square) === index);
+
+  if (unique.length !== 2) return null;
+
+  // The moved piece stands on the destination (an atomic capture leaves both empty)
+  const occupied = unique.filter(square => board[square]);
+  if (occupied.length !== 1) return null;
+
+  return {
+    from: unique.find(square => square !== occupied[0]),
+    to: occupied[0],
+  };
+}
+
+/**
+ * Work out castling rights from kings and rooks on their starting squares
+ * A piece that moved and came back can't be told apart, so this may allow too much
+ * @param {Array} board - Piece placement
+ * @returns {string} - Castling field
+ */
+function inferCastling(board) {
+  const homes = [
+    { right: 'K', king: 4, rook: 7, color: 'w' },
+    { right: 'Q', king: 4, rook: 0, color: 'w' },
+    { right: 'k', king: 60, rook: 63, color: 'b' },
+    { right: 'q', king: 60, rook: 56, color: 'b' },
+  ];
+
+  return homes
+    .filter(home => board[home.king] === makePiece(home.color, 'k') && board[home.rook] === makePiece(home.color, 'r'))
+    .map(home => home.right)
+    .join('') || '-';
+}
+
+/**
+ * Work out the en passant square from a double pawn push
+ * @param {Array} board - Piece placement
+ * @param {Object} lastMove - { from, to } or null
+ * @returns {number|null} - En passant square, or null
+ */
+function inferEnPassant(board, lastMove) {
+  if (!lastMove || pieceType(board[lastMove.to] || '') !== 'p') return null;
+  if (Math.abs(lastMove.to - lastMove.from) !== 16) return null;
+
+  return (lastMove.from + lastMove.to) / 2;
+}
+
+/**
+ * Build a FEN from the board DOM alone
+ * Side to move comes from the last-move highlight, falling back to the given default
+ * @param {Element} boardElement - Board element
+ * @param {Object} options - Options object
+ * @param {string} options.turn - Side to move when the board doesn't show a last move (default: 'w')
+ * @param {string} options.variant - Variant key
+ * @returns {string|null} - FEN, or null if the board shows no pieces
+ */
+function readBoardFEN(boardElement, options = {}) {
+  const board = readBoardPieces(boardElement);
+
+  if (!board.some(Boolean)) return null;
+
+  const lastMove = readLastMove(boardElement, board);
+  const turn = lastMove ? oppositeColor(pieceColor(board[lastMove.to])) : options.turn || 'w';
+
+  return positionToFEN({
+    board,
+    turn,
+    castling: inferCastling(board),
+    epSquare: inferEnPassant(board, lastMove),
+    halfmove: 0,
+    fullmove: 1,
+    variant: options.variant,
+    pockets: null,
+    promoted: null,
+  });
+}
+
+/**
+ * Check whether two FENs have the same piece placement
+ * @param {string} a - FEN
+ * @param {string} b - FEN
+ * @returns {boolean}
+ */
+function samePlacement(a, b) {
+  const placement = fen => fen.split(' ')[0].replace(/\[.*\]|~/g, '');
+  return placement(a) === placement(b);
+}
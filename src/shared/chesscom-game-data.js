@@ -0,0 +1,275 @@
+/**
+ * Chess.com Game Data Module
+ * Fetches a game's JSON by ID from Chess.com's callback endpoints and turns it into PGN.
+ * Independent of the page UI, so it works with a collapsed sidebar or during a live game.
+ */
+
+/**
+ * Alphabet of Chess.com's compact move encoding (two characters per move)
+ * Indices 0-63 are squares (a1 = 0), 64+ encode promotions, 79+ encode drops
+ */
+const TCN_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!?{~}(^)[_]@#$,./&-*++=';
+const TCN_PIECES = 'qnrbkp';
+
+/**
+ * Get the game ID from a Chess.com game URL
+ * @param {string} url - Page URL
+ * @returns {string|null} - Game ID or null
+ */
+function getGameIdFromUrl(url) {
+  const match = (url || '').match(REGEX_PATTERNS.CHESS_COM_GAME_ID);
+  return match ? match[1] : null;
+}
+
+/**
+ * Fetch game JSON by ID, trying each callback endpoint in order
+ * @param {string} gameId - Chess.com game ID
+ * @param {Object} options - Options object
+ * @param {string} options.baseUrl - Base URL (default: CHESS_COM_API.BASE_URL)
+ * @param {string[]} options.endpoints - Endpoint templates (default: CHESS_COM_API.GAME_ENDPOINTS)
+ * @returns {Promise<Object>} - Game JSON ({ game, players })
+ */
+async function fetchGameData(gameId, options = {}) {
+  const baseUrl = options.baseUrl || CHESS_COM_API.BASE_URL;
+  const endpoints = options.endpoints || CHESS_COM_API.GAME_ENDPOINTS;
+
+  for (const endpoint of endpoints) {
+    const url = `${baseUrl}${endpoint.replace('{id}', encodeURIComponent(gameId))}`;
+
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/json' },
+        credentials: 'include',
+      });
+
+      if (!response.ok) {
+        log('debug', `Game data not available from ${endpoint} (${response.status})`);
+        continue;
+      }
+
+      const data = await response.json();
+
+      if (data && data.game && typeof data.game.moveList === 'string') {
+        log('debug', `Game data fetched from ${endpoint}`);
+        return data;
+      }
+
+      log('debug', `Game data from ${endpoint} has no move list`);
+    } catch (error) {
+      log('debug', `Game data request to ${endpoint} failed:`, error.message);
+    }
+  }
+
+  throw createError(ERROR_CODES.PGN_NOT_FOUND);
+}
+
+/**
+ * Decode Chess.com's compact move list
+ * @param {string} moveList - Encoded moves
+ * @returns {Object[]} - { from: number (-1 for drops), to: number, promotion: string|null, drop: string|null }
+ */
+function decodeMoveList(moveList) {
+  const moves = [];
+
+  for (let i = 0; i + 1 < moveList.length; i += 2) {
+    const from = TCN_ALPHABET.indexOf(moveList[i]);
+    let to = TCN_ALPHABET.indexOf(moveList[i + 1]);
+    let promotion = null;
+
+    if (from < 0 || to < 0) {
+      throw new Error(`Unknown move encoding at position ${i}: ${moveList.substr(i, 2)}`);
+    }
+
+    // Promotions encode piece and direction (capture left, straight, capture right) in the target
+    if (to > 63) {
+      promotion = TCN_PIECES[Math.floor((to - 64) / 3)];
+      to = from + (from < 16 ? -8 : 8) + ((to - 1) % 3) - 1;
+    }
+
+    if (from > 75) {
+      moves.push({ from: -1, to, promotion: null, drop: TCN_PIECES[from - 79] });
+    } else {
+      moves.push({ from, to, promotion, drop: null });
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Convert decoded moves to SAN by replaying them with the rules engine
+ * @param {Object[]} decodedMoves - From decodeMoveList
+ * @param {string} fen - Starting position
+ * @param {string} variant - Variant key
+ * @returns {string[]} - SAN moves
+ */
+function decodedMovesToSAN(decodedMoves, fen, variant) {
+  let position = createPosition(fen || STARTING_FEN, variant);
+  const sanMoves = [];
+
+  decodedMoves.forEach((decoded, index) => {
+    const move = generateLegalMoves(position).find(candidate =>
+      candidate.to === decoded.to &&
+      (decoded.drop
+        ? candidate.drop === decoded.drop
+        : candidate.from === decoded.from && (candidate.promotion || null) === decoded.promotion));
+
+    if (!move) {
+      const description = decoded.drop
+        ? `${decoded.drop.toUpperCase()}@${squareName(decoded.to)}`
+        : `${squareName(decoded.from)}${squareName(decoded.to)}`;
+      throw new Error(`Illegal move in game data at ply ${index + 1}: ${description}`);
+    }
+
+    sanMoves.push(moveToSAN(position, move));
+    position = applyMove(position, move);
+  });
+
+  return sanMoves;
+}
+
+/**
+ * Read per-ply remaining clock times from game data
+ * Chess.com stores them as comma-separated deciseconds
+ * @param {Object} game - data.game
+ * @returns {number[]} - Remaining seconds after each ply (empty if unavailable)
+ */
+function readClockTimes(game) {
+  if (!game.moveTimestamps) return [];
+
+  return String(game.moveTimestamps)
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => !isNaN(value))
+    .map(deciseconds => deciseconds / 10);
+}
+
+/**
+ * Work out the time control in PGN form ("base+increment" in seconds)
+ * @param {Object} game - data.game
+ * @returns {string|null}
+ */
+function readTimeControl(game) {
+  const headers = game.pgnHeaders || {};
+
+  if (headers.TimeControl) {
+    return normalizeTimeControl(headers.TimeControl);
+  }
+
+  if (game.baseTime1) {
+    // Base time and increment are in deciseconds
+    const base = Math.round(game.baseTime1 / 10);
+    const increment = Math.round((game.timeIncrement1 || 0) / 10);
+    return `${base}+${increment}`;
+  }
+
+  return null;
+}
+
+/**
+ * Work out the result from game data
+ * @param {Object} game - data.game
+ * @returns {string} - PGN result
+ */
+function readResult(game) {
+  const headers = game.pgnHeaders || {};
+
+  if (PGN_RESULTS.includes(headers.Result)) {
+    return headers.Result;
+  }
+
+  if (!game.isFinished) return '*';
+  if (game.colorOfWinner === 'white') return '1-0';
+  if (game.colorOfWinner === 'black') return '0-1';
+  return '1/2-1/2';
+}
+
+/**
+ * Get player info by colour from game data
+ * @param {Object} data - Game JSON
+ * @param {string} color - 'white' or 'black'
+ * @returns {Object} - { username, rating } (fields may be undefined)
+ */
+function readPlayer(data, color) {
+  const players = data.players || {};
+  return Object.values(players).find(player => player && player.color === color) || {};
+}
+
+/**
+ * Work out the variant from game data
+ * Pages other than /variants/ don't name the variant in their URL
+ * @param {Object} data - Game JSON ({ game, players })
+ * @returns {string|null} - Variant key, or null for standard chess and unsupported variants
+ */
+function readGameDataVariant(data) {
+  const game = (data && data.game) || {};
+  const headers = game.pgnHeaders || {};
+
+  return normalizeVariant(headers.Variant) || normalizeVariant(game.typeName) || normalizeVariant(game.type);
+}
+
+/**
+ * Build a PGN from Chess.com game JSON
+ * @param {Object} data - Game JSON ({ game, players })
+ * @param {Object} options - Options object
+ * @param {string} options.variant - Variant key
+ * @param {string} options.url - Game URL (for the Link header)
+ * @returns {string} - PGN string
+ */
+function buildPGNFromGameData(data, options = {}) {
+  const game = data.game;
+  const headers = game.pgnHeaders || {};
+  const white = readPlayer(data, 'white');
+  const black = readPlayer(data, 'black');
+  const fen = headers.FEN || game.initialSetup || null;
+  const result = readResult(game);
+
+  const sanMoves = decodedMovesToSAN(decodeMoveList(game.moveList), fen, options.variant);
+
+  // Chess.com headers first, then fill in what they don't carry
+  const tags = {
+    Event: headers.Event || `${getVariantName(options.variant)} game`,
+    Site: headers.Site || 'Chess.com',
+    Date: headers.Date || '????.??.??',
+    Round: headers.Round || '-',
+    White: headers.White || white.username || '?',
+    Black: headers.Black || black.username || '?',
+    Result: result,
+  };
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (!(name in tags)) tags[name] = value;
+  }
+
+  tags.WhiteElo = headers.WhiteElo || white.rating;
+  tags.BlackElo = headers.BlackElo || black.rating;
+  tags.TimeControl = readTimeControl(game);
+  tags.Termination = headers.Termination || game.resultMessage;
+  tags.Variant = LICHESS_VARIANT_CODES[options.variant] || headers.Variant;
+  tags.Link = options.url || headers.Link;
+
+  if (fen) {
+    tags.SetUp = '1';
+    tags.FEN = fen;
+  }
+
+  const pgnGame = buildGame(tags, sanMoves, result);
+
+  // Daily games have no running clock worth charting
+  if (parseTimeControl(tags.TimeControl)) {
+    applyClockComments(pgnGame, readClockTimes(game));
+  }
+
+  return serializePGN(pgnGame);
+}
+
+/**
+ * Extract a game by ID
+ * @param {string} gameId - Chess.com game ID
+ * @param {Object} options - { variant, url, baseUrl, endpoints }
+ * @returns {Promise<string>} - PGN string
+ */
+async function extractGameById(gameId, options = {}) {
+  const data = await fetchGameData(gameId, options);
+  return buildPGNFromGameData(data, options);
+}
@@ -0,0 +1,126 @@
+/**
+ * Clock Utilities Module
+ * Per-move clock times (%clk comments) and TimeControl headers in the form Lichess reads
+ */
+
+/**
+ * Format seconds as a %clk value (h:mm:ss, with tenths when present)
+ * @param {number} seconds - Remaining time in seconds
+ * @returns {string} - e.g. "0:02:59.9"
+ */
+function formatClock(seconds) {
+  const tenths = Math.max(0, Math.round(seconds * 10));
+  const hours = Math.floor(tenths / 36000);
+  const minutes = Math.floor((tenths % 36000) / 600);
+  const wholeSeconds = Math.floor((tenths % 600) / 10);
+  const fraction = tenths % 10;
+
+  const clock = `${hours}:${String(minutes).padStart(2, '0')}:${String(wholeSeconds).padStart(2, '0')}`;
+  return fraction ? `${clock}.${fraction}` : clock;
+}
+
+/**
+ * Parse a clock or duration as shown by Chess.com ("2.3s", "0:05", "1:02:05.4")
+ * @param {string} text - Displayed time
+ * @returns {number|null} - Seconds, or null if unreadable
+ */
+function parseClock(text) {
+  const trimmed = (text || '').trim().replace(/s$/, '');
+
+  if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(trimmed)) {
+    return null;
+  }
+
+  return trimmed
+    .split(':')
+    .reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parse a PGN TimeControl value
+ * @param {string} timeControl - TimeControl header (normalized or Chess.com form)
+ * @returns {Object|null} - { base: number, increment: number } in seconds, or null if not a clock game
+ */
+function parseTimeControl(timeControl) {
+  const match = String(timeControl || '').trim().match(/^(\d+)(?:\+(\d+))?$/);
+
+  if (!match) return null;
+
+  return { base: parseInt(match[1], 10), increment: parseInt(match[2] || '0', 10) };
+}
+
+/**
+ * Translate a TimeControl value into the form Lichess expects
+ * Chess.com writes "180" for 3|0 and "1/86400" for daily games; Lichess wants "180+0" and "-"
+ * @param {string} timeControl - TimeControl header value
+ * @returns {string|null} - Normalized value, or null if empty
+ */
+function normalizeTimeControl(timeControl) {
+  const value = String(timeControl || '').trim();
+
+  if (!value) return null;
+  if (value === '-' || value === '?') return value;
+
+  const clock = parseTimeControl(value);
+
+  if (clock) {
+    return `${clock.base}+${clock.increment}`;
+  }
+
+  // Moves-per-period and multi-period controls (daily games) have no Lichess equivalent
+  return '-';
+}
+
+/**
+ * Normalize the TimeControl header of a PGN string (leaves the PGN untouched if there is none)
+ * @param {string} pgn - PGN string
+ * @returns {string} - PGN with a Lichess-style TimeControl header
+ */
+function applyTimeControlHeader(pgn) {
+  if (!pgn) return pgn;
+
+  return pgn.replace(/^\[TimeControl\s+"([^"]*)"\][ \t]*$/m, (line, value) => {
+    const normalized = normalizeTimeControl(value);
+    return normalized ? `[TimeControl "${normalized}"]` : line;
+  });
+}
+
+/**
+ * Work out remaining clock times from the time spent on each move
+ * @param {number[]} spentTimes - Seconds spent per ply, starting with White
+ * @param {string} timeControl - TimeControl value
+ * @returns {number[]} - Remaining seconds after each ply (empty if the time control isn't a clock)
+ */
+function clocksFromSpentTimes(spentTimes, timeControl) {
+  const clock = parseTimeControl(timeControl);
+
+  if (!clock) return [];
+
+  const remaining = [clock.base, clock.base];
+
+  return spentTimes.map((spent, index) => {
+    const side = index % 2;
+    remaining[side] = remaining[side] - spent + clock.increment;
+    return remaining[side];
+  });
+}
+
+/**
+ * Add [%clk] comments to the mainline, replacing any already there
+ * @param {Object} game - Game object (modified in place)
+ * @param {number[]} clocks - Remaining seconds after each ply
+ * @returns {Object} - The game
+ */
+function applyClockComments(game, clocks) {
+  game.moves.forEach((node, index) => {
+    const seconds = clocks[index];
+    if (typeof seconds !== 'number' || isNaN(seconds)) return;
+
+    node.comments = node.comments
+      .map(comment => comment.replace(REGEX_PATTERNS.CLOCK_COMMENT, '').trim())
+      .filter(Boolean);
+    node.comments.unshift(`[%clk ${formatClock(seconds)}]`);
+  });
+
+  return game;
+}
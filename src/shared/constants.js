@@ -14,12 +14,46 @@ const CHESS_COM_SELECTORS = {
   PGN_BUTTON_FALLBACK_2: '.icon-font-chess.download',
   PGN_BUTTON_CONTAINER: '.moves-controls',
 
+  // Where the buttons go (see CHESS_COM_PAGE_TYPES)
+  MOVES_CONTROLS_ROW: '.moves-controls .moves-controls-row',
+  ANALYSIS_CONTROLS: '.analysis-controls-component, .board-controls-bottom',
+
+  // Sidebar holding the move list and controls; stays put while they're re-rendered,
+  // so watching it rather than the whole page skips the board and clocks
+  SIDEBAR: '#board-layout-sidebar, .board-layout-sidebar',
+
   // Game board and container selectors
   GAME_BOARD: '.container-four-board-wrapper',
   GAME_CONTAINER: '[class*="board"]',
 
   // Data attributes for PGN extraction
   PGN_DATA_LINK: 'a[href^="data:text/plain"]',
+
+  // Move list (read directly when the download button is missing)
+  MOVE_LIST: 'wc-simple-move-list, vertical-move-list, .move-list',
+  MOVE_LIST_PLY: '.node.main-line-ply, .move-list-row .node, [data-ply]',
+  MOVE_LIST_PLY_TEXT: '.node-highlight-content',
+  MOVE_FIGURINE: '[data-figurine]',
+  GAME_RESULT: '.game-result',
+  MOVE_LIST_SELECTED: '.selected',
+  MOVE_TIMESTAMP: '.time-white, .time-black',
+  TIME_CONTROL_LABEL: '.cc-game-header-time-control, [data-cy="game-info-time-control"]',
+  // Game header labels naming the variant, if the game is one (see readPageVariant)
+  GAME_TYPE_LABEL: '.cc-game-header-game-type, [data-cy="game-info-game-type"]',
+
+  // Board and player header (names and ratings)
+  BOARD: 'wc-chess-board, chess-board, .board',
+  BOARD_PIECE: '.piece',
+  BOARD_HIGHLIGHT: '.highlight',
+  PLAYER_TOP: '.player-component.player-top, #board-layout-player-top',
+  PLAYER_BOTTOM: '.player-component.player-bottom, #board-layout-player-bottom',
+  PLAYER_USERNAME: '.user-username-component, .cc-user-username-component, [data-test-element="user-tagline-username"]',
+  PLAYER_RATING: '.user-tagline-rating, .cc-user-rating-white, [data-cy="user-tagline-rating"]',
+
+  // Game archive (history) page
+  ARCHIVE_TABLE: '.archive-games-table, table.table-component',
+  ARCHIVE_ROW: 'tbody tr',
+  ARCHIVE_GAME_LINK: 'a[href*="/game/"]',
 };
 
 /**
@@ -34,6 +68,101 @@ const LICHESS_SELECTORS = {
 
   // Analysis board elements
   ANALYSIS_BOARD: '.analyse__board',
+  ANALYSIS_MAINLINE_MOVE: '.tview2 > move',
+  // Game info box, only shown on a game's own page (not on the analysis board or
+  // other pages whose path looks like a game ID)
+  GAME_META: '.game__meta',
+};
+
+/**
+ * Lichess URLs
+ */
+const LICHESS_URLS = {
+  BASE: 'https://lichess.org',
+  PASTE: 'https://lichess.org/paste',
+  ANALYSIS: 'https://lichess.org/analysis',
+};
+
+/**
+ * Lichess API configuration
+ */
+const LICHESS_API = {
+  // Point this at a local stand-in server to exercise the import client offline
+  BASE_URL: 'https://lichess.org',
+  IMPORT_PATH: '/api/import',
+  ACCOUNT_PATH: '/api/account',
+  STUDY_PATH: '/api/study',
+
+  // Used when a 429 response carries no Retry-After header (seconds)
+  DEFAULT_RETRY_AFTER: 60,
+};
+
+/**
+ * Chess.com game data endpoints (used to extract games by ID)
+ */
+const CHESS_COM_API = {
+  // Point this at a local stand-in server to replay recorded game JSON
+  BASE_URL: 'https://www.chess.com',
+
+  // Callback endpoints tried in order; {id} is replaced by the game ID
+  GAME_ENDPOINTS: [
+    '/callback/variants/game/{id}',
+    '/callback/live/game/{id}',
+    '/callback/daily/game/{id}',
+  ],
+};
+
+/**
+ * Runtime message types exchanged between content scripts and the background script
+ */
+const MESSAGE_TYPES = {
+  // Chess.com content script -> background: open Lichess with this PGN
+  SEND_TO_LICHESS: 'atl:send-to-lichess',
+
+  // Lichess content script -> background: fetch the PGN handed to this tab
+  REQUEST_PGN: 'atl:request-pgn',
+
+  // Lichess game page -> background: which side and ply to show the board at
+  REQUEST_BOARD_VIEW: 'atl:request-board-view',
+
+  // Chess.com content script -> background: open this position on the analysis board
+  OPEN_POSITION: 'atl:open-position',
+
+  // Archive content script -> background: import a multi-game PGN
+  SEND_BATCH: 'atl:send-batch',
+
+  // Background -> archive content script: batch import progress
+  BATCH_PROGRESS: 'atl:batch-progress',
+
+  // Background -> Chess.com content script: send the game, as if the button was clicked
+  TRIGGER_SEND: 'atl:trigger-send',
+
+  // Toolbar popup -> content script: check the page's selectors and report back
+  RUN_SELF_TEST: 'atl:run-self-test',
+};
+
+/**
+ * Keyboard commands (names match the manifest's commands section)
+ */
+const COMMANDS = {
+  SEND_GAME: 'send-to-lichess',
+};
+
+/**
+ * Context menu configuration
+ */
+const CONTEXT_MENU = {
+  SEND_GAME_LINK_ID: 'atl-send-game-link',
+
+  // Links the menu item is shown on. Live and daily links don't say the variant, so
+  // standard games among them are only turned away once their game data is read
+  GAME_LINK_PATTERNS: [
+    'https://www.chess.com/variants/*/game/*',
+    'https://www.chess.com/game/live/*',
+    'https://www.chess.com/game/daily/*',
+    'https://www.chess.com/live/game/*',
+    'https://www.chess.com/daily/game/*',
+  ],
 };
 
 /**
@@ -46,6 +175,7 @@ const TIMEOUTS = {
   // Notification display duration
   NOTIFICATION_DURATION: 5000,
   NOTIFICATION_ERROR_DURATION: 8000,
+  NOTIFICATION_ACTION_DURATION: 15000, // Errors offering actions stay up longer
 
   // Debounce delay for button clicks
   BUTTON_DEBOUNCE: 300,
@@ -55,6 +185,20 @@ const TIMEOUTS = {
   MAX_RETRIES: 50, // Combined with RETRY_INTERVAL = 5 seconds max
 };
 
+/**
+ * Shared DOM observer registry (see observeDOM)
+ */
+const OBSERVER_CONFIG = {
+  // Time observer callbacks may take per frame before the rest wait for the next idle period
+  FRAME_BUDGET: 8,
+
+  // Longest a batch waits for the browser to be idle
+  IDLE_TIMEOUT: 200,
+
+  // Batch delay where requestIdleCallback isn't available
+  FALLBACK_DELAY: 50,
+};
+
 /**
  * Button positioning and styling
  */
@@ -104,6 +248,18 @@ const VARIANT_PATTERNS = {
   // Add more variants as needed
 };
 
+/**
+ * Chess.com pages a game can be shown on, by page type (see CHESS_COM_PAGE_TYPES)
+ * Checked in order; the game ID is the last group
+ */
+const CHESS_COM_PAGE_PATTERNS = {
+  analysis: /chess\.com\/analysis\/game\/(live|daily|computer|variants?)\/(?:[\w-]+\/)?(\d+)/i,
+  variant: /chess\.com\/variants?\/[\w-]+\/game\/(\d+)/i,
+  live: /chess\.com\/(?:game\/live|live\/game)\/(\d+)/i,
+  daily: /chess\.com\/(?:game\/daily|daily\/game)\/(\d+)/i,
+  computer: /chess\.com\/(?:game\/computer|computer\/game)\/(\d+)/i,
+};
+
 /**
  * Lichess variant URL mappings
  * Maps Chess.com variant names to Lichess variant codes
@@ -115,6 +271,41 @@ const LICHESS_VARIANT_CODES = {
   kingOfTheHill: 'kingOfTheHill',
 };
 
+/**
+ * Human-readable variant names (button labels, tooltips, validation messages)
+ */
+const VARIANT_DISPLAY_NAMES = {
+  atomic: 'Atomic',
+  crazyhouse: 'Crazyhouse',
+  threeCheck: 'Three-check',
+  kingOfTheHill: 'King of the Hill',
+};
+
+/**
+ * Button icon per variant
+ */
+const VARIANT_BUTTON_ICONS = {
+  atomic: '⚛',
+  crazyhouse: '♞',
+  threeCheck: '✚',
+  kingOfTheHill: '♔',
+};
+
+/**
+ * Variant header spellings seen in the wild, keyed by normalized form
+ * (lowercase, letters and digits only)
+ */
+const VARIANT_ALIASES = {
+  atomic: 'atomic',
+  atomicchess: 'atomic',
+  crazyhouse: 'crazyhouse',
+  zh: 'crazyhouse',
+  threecheck: 'threeCheck',
+  '3check': 'threeCheck',
+  kingofthehill: 'kingOfTheHill',
+  koth: 'kingOfTheHill',
+};
+
 /**
  * Error messages for user display
  */
@@ -124,22 +315,69 @@ const ERROR_MESSAGES = {
   CLIPBOARD_WRITE_DENIED: 'Clipboard access denied. Please check browser permissions.',
   CLIPBOARD_READ_DENIED: 'Could not read clipboard. Please check browser permissions or paste manually.',
   LICHESS_TAB_FAILED: 'Could not open Lichess tab. Please check if pop-ups are blocked.',
+  HANDOFF_FAILED: 'Could not hand the game over to Lichess. Please reload the page and try again.',
+  LICHESS_IMPORT_REJECTED: 'Lichess rejected the game',
+  LICHESS_RATE_LIMITED: 'Lichess is limiting imports right now. Please wait and try again.',
   TEXTAREA_NOT_FOUND: 'Paste area not found. Please try manually.',
   NETWORK_ERROR: 'Network error occurred. Please check your connection.',
   INVALID_PGN: 'Invalid game data format. Please try downloading the PGN manually.',
+  INVALID_STUDY_ID: 'The Lichess study in the options is not a study ID or link.',
+  STUDY_NOT_FOUND: 'Lichess study not found, or the API token cannot write to it.',
+  LICHESS_TOKEN_MISSING: 'Add a Lichess API token in the options to send games to a study.',
+  LICHESS_TOKEN_REJECTED: 'Lichess did not accept the API token. Check it in the options.',
+  BOARD_NOT_FOUND: 'Could not read the position from the board.',
+  NO_GAMES_SELECTED: 'No games selected.',
+  NO_GAMES_EXTRACTED: 'None of the selected games could be read.',
+  UNSUPPORTED_GAME_LINK: 'That link is not a Chess.com variant game we can send.',
+  SELF_TEST_UNAVAILABLE: 'Open a Chess.com variant game, the game archive or a Lichess page to check its selectors.',
+  INVALID_SETTING: 'Not saved: see the problems listed under the field.',
   GENERIC_ERROR: 'An error occurred. Please try again.',
 };
 
+/**
+ * Error codes (see errors.js)
+ * The ERROR_MESSAGES keys double as codes, so they stay stable across releases even when the wording changes
+ */
+const ERROR_CODES = Object.keys(ERROR_MESSAGES).reduce((codes, key) => Object.assign(codes, { [key]: key }), {});
+
+/**
+ * What the user can do about an error (see ERROR_RECOVERY in errors.js)
+ */
+const RECOVERY_HINTS = {
+  RETRY: 'retry',
+  WAIT: 'wait',
+  COPY_PGN: 'copyPgn',
+  PASTE_MANUALLY: 'pasteManually',
+  CHECK_OPTIONS: 'checkOptions',
+  CHECK_PERMISSIONS: 'checkPermissions',
+  REPORT: 'report',
+};
+
 /**
  * Success messages for user display
  */
 const SUCCESS_MESSAGES = {
   PGN_EXTRACTED: 'Game data extracted successfully!',
+  PGN_EXTRACTED_VIA: 'Game data read from',
   SENT_TO_LICHESS: 'Game sent to Lichess!',
+  IMPORTED_TO_LICHESS: 'Game imported to Lichess!',
+  ADDED_TO_STUDY: 'Game added to your Lichess study!',
+  OPENED_FROM_LIBRARY: 'Opened your earlier analysis of this game!',
+  PGN_COPIED: 'PGN copied to the clipboard.',
+  DIAGNOSTICS_COPIED: 'Diagnostics copied. Paste them into your bug report.',
+  POSITION_SENT: 'Position opened on Lichess!',
+  BATCH_IMPORTED: 'games imported to Lichess!',
   PASTED_SUCCESSFULLY: 'Game data pasted successfully!',
   READY_FOR_ANALYSIS: 'Ready for analysis!',
 };
 
+/**
+ * Instructions for user display
+ */
+const INSTRUCTION_MESSAGES = {
+  PASTE_MANUALLY: 'Copy the game on Chess.com, click in the box below and press Ctrl+V (⌘V on a Mac), then click "Import game".',
+};
+
 /**
  * Loading messages for user display
  */
@@ -149,21 +387,30 @@ const LOADING_MESSAGES = {
   PASTING_DATA: 'Pasting game data...',
   SUBMITTING_FORM: 'Loading analysis...',
   PROCESSING: 'Processing...',
+  EXTRACTING_GAME: 'Extracting game',
+  IMPORTING_GAME: 'Importing game',
+  RATE_LIMIT_WAIT: 'Lichess is limiting imports, waiting',
 };
 
-// Settings removed - extension now works with sensible defaults only
-
 /**
  * Regular expressions for validation
  */
 const REGEX_PATTERNS = {
-  // Basic PGN validation (checks for required headers and moves)
+  // A PGN header line (move tokens are checked per variant, see SAN_GRAMMAR)
   PGN_HEADER: /\[(\w+)\s+"([^"]+)"\]/,
-  PGN_MOVE: /\d+\.\s*(?:[NBRQK]?[a-h]?[1-8]?x?[a-h][1-8](?:=[NBRQK])?|O-O(?:-O)?)[+#]?/,
+
+  // A single SAN move token as read by the PGN parser (incl. drops, 0-0 castling and null moves)
+  SAN_TOKEN: /^(?:[NBRQK]?[a-h]?[1-8]?x?[a-h][1-8](?:=?[NBRQK])?|[PNBRQK]?@[a-h][1-8]|[O0]-[O0](?:-[O0])?|--|Z0)[+#]?$/,
+
+  // Clock comment inside a move comment
+  CLOCK_COMMENT: /\[%clk\s+[^\]]*\]/g,
 
   // URL patterns
-  CHESS_COM_GAME_URL: /chess\.com\/.*\/game\/\d+/,
+  CHESS_COM_GAME_ID: /chess\.com\/(?:.*\/)?game\/(?:[a-z]+\/)?(\d+)/,
   LICHESS_URL: /lichess\.org/,
+  LICHESS_GAME_PATH: /^\/([a-zA-Z0-9]{8})(?:\/(white|black))?\/?$/,
+  // A bare study ID, or a study link (ID in group 1 or 2)
+  LICHESS_STUDY_ID: /^(?:([a-zA-Z0-9]{8})|(?:https?:\/\/)?lichess\.org\/study\/([a-zA-Z0-9]{8})(?:[/?#].*)?)$/,
 
   // Data URL for PGN extraction
   DATA_URL_PGN: /^data:text\/plain;charset=utf-8,(.+)$/,
@@ -184,17 +431,44 @@ const EXTENSION_INFO = {
  */
 const LOG_CONFIG = {
   PREFIX: '[Atomic→Lichess]',
-  ENABLE_DEBUG: true, // Set to false in production
+  ENABLE_DEBUG: false, // Set from the enableDebug setting once settings load
+  HISTORY_SIZE: 200, // Lines kept for diagnostic reports (debug lines included)
 };
 
+// Recent log lines, oldest first ({ time, level, text })
+const logHistory = [];
+
 /**
  * Helper function to log with consistent prefix
+ * Every line is also kept in logHistory, so a diagnostic report can include it
  * @param {string} level - Log level (info, warn, error, debug)
  * @param {...any} args - Arguments to log
  */
 function log(level, ...args) {
+  logHistory.push({ time: Date.now(), level, text: args.map(formatLogArgument).join(' ') });
+
+  if (logHistory.length > LOG_CONFIG.HISTORY_SIZE) {
+    logHistory.shift();
+  }
+
   if (!LOG_CONFIG.ENABLE_DEBUG && level === 'debug') return;
 
   const method = console[level] || console.log;
   method(LOG_CONFIG.PREFIX, ...args);
 }
+
+/**
+ * Turn a log argument into text for the log history
+ * @param {any} value - Logged value
+ * @returns {string}
+ */
+function formatLogArgument(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+
+  try {
+    return JSON.stringify(value).slice(0, 200);
+  } catch (error) {
+    return String(value);
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Diagnostics Module
+ * Builds the report behind the "Copy diagnostics" action on error notifications:
+ * extension version, page URL pattern, the selector self-test, the last validation
+ * result, DOM watching counters, the error chain and recent log lines. Player names
+ * and game IDs are redacted so the report can go into a public issue
+ */
+
+/**
+ * Number of log lines included in a report
+ */
+const DIAGNOSTIC_LOG_LINES = 50;
+
+/**
+ * Create the "Copy diagnostics" notification action
+ * @param {Function} getContext - Returns the report context when clicked (see buildDiagnosticReport)
+ * @returns {Object} - Notification action
+ */
+function createDiagnosticsAction(getContext) {
+  return {
+    label: 'Copy diagnostics',
+    keepOpen: true,
+    onClick: () => copyDiagnostics(getContext()),
+  };
+}
+
+/**
+ * Copy a diagnostic report to the clipboard and say whether it worked
+ * @param {Object} context - Report context (see buildDiagnosticReport)
+ */
+async function copyDiagnostics(context) {
+  try {
+    await navigator.clipboard.writeText(buildDiagnosticReport(context));
+    showSuccess(SUCCESS_MESSAGES.DIAGNOSTICS_COPIED, 3000);
+  } catch (error) {
+    log('error', 'Failed to copy diagnostics:', error);
+    showError(ERROR_MESSAGES.CLIPBOARD_WRITE_DENIED);
+  }
+}
+
+/**
+ * Build a plain-text diagnostic report
+ * @param {Object} context - Context object (all optional)
+ * @param {Error} context.error - Error being reported
+ * @param {string} context.selectorGroup - Selector group to check against the page ('chesscom' or 'lichess')
+ * @param {Object} context.validation - Result of prepareForLichess ({ valid, error, warnings })
+ * @param {string} context.pgn - PGN involved, used only to find player names to redact
+ * @param {string[]} context.names - More names to redact (e.g. from the page header)
+ * @returns {string} - Report
+ */
+function buildDiagnosticReport(context = {}) {
+  const names = getPlayerNames(context.pgn).concat(context.names || []);
+  const lines = [
+    `${EXTENSION_INFO.NAME} ${EXTENSION_INFO.VERSION}`,
+    `Browser: ${navigator.userAgent}`,
+    `Page: ${getPageUrlPattern(window.location.href)}`,
+    `Time: ${new Date().toISOString()}`,
+    '',
+    '## Error',
+  ];
+
+  if (context.error) {
+    const error = toExtensionError(context.error);
+
+    lines.push(`Code: ${error.code}`, `Recovery: ${error.hint}`);
+    getErrorChain(context.error).forEach((link, index) => {
+      lines.push(`${index ? 'Caused by' : 'Error'}: ${link.name}${link.code ? ` [${link.code}]` : ''}: ${link.message}`);
+    });
+  } else {
+    lines.push('None');
+  }
+
+  lines.push('', '## Selectors');
+  lines.push(...(context.selectorGroup
+    ? runSelectorSelfTest(context.selectorGroup).map(describeSelfTestResult)
+    : ['Not checked']));
+
+  lines.push('', '## Validation');
+  lines.push(...describeValidation(context.validation));
+
+  const stats = getObserverStats();
+  lines.push('', '## DOM watching');
+  lines.push(
+    `${stats.watchers} watches on ${stats.observers} observers; ${stats.mutations} mutations in ${stats.batches} batches`,
+    `${stats.callbacks} callbacks, ${stats.slowCallbacks} over the ${OBSERVER_CONFIG.FRAME_BUDGET}ms budget ` +
+      `(longest ${stats.longestCallback.toFixed(1)}ms), ${stats.deferred} deferred to a later frame`
+  );
+
+  lines.push('', `## Log (last ${DIAGNOSTIC_LOG_LINES} lines)`);
+  logHistory.slice(-DIAGNOSTIC_LOG_LINES).forEach((entry) => {
+    lines.push(`${new Date(entry.time).toISOString().slice(11, 23)} ${entry.level.toUpperCase()} ${entry.text}`);
+  });
+
+  return redactReport(lines.join('\n'), names);
+}
+
+/**
+ * Reduce a URL to its pattern, e.g. https://www.chess.com/variants/atomic/game/:id
+ * Numeric IDs and usernames are replaced; the query and hash are dropped
+ * @param {string} url - Page URL
+ * @returns {string} - URL pattern
+ */
+function getPageUrlPattern(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname
+      .replace(/\/(member|@)\/[^/]+/g, '/$1/:user')
+      .replace(/\/\d+(?=\/|$)/g, '/:id')
+      // Lichess game and study IDs (words like /analysis have no digits)
+      .replace(/\/[a-zA-Z0-9]{8}(?=\/|$)/g, segment => (/\d/.test(segment) ? '/:id' : segment));
+
+    return `${parsed.origin}${path}`;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Describe a validation result
+ * @param {Object|null} validation - { valid, error, warnings } from prepareForLichess
+ * @returns {string[]} - Report lines
+ */
+function describeValidation(validation) {
+  if (!validation) return ['Not run'];
+
+  const lines = [validation.valid ? 'Valid' : `Invalid: ${validation.error}`];
+  (validation.warnings || []).forEach(warning => lines.push(`Warning: ${warning}`));
+  return lines;
+}
+
+/**
+ * Read the player names from a PGN's headers
+ * @param {string} pgn - PGN string (optional)
+ * @returns {string[]} - Names found
+ */
+function getPlayerNames(pgn) {
+  const names = [];
+  const pattern = /\[(?:White|Black)\s+"([^"]+)"\]/g;
+  let match;
+
+  while ((match = pattern.exec(pgn || '')) !== null) {
+    names.push(match[1]);
+  }
+
+  return names;
+}
+
+/**
+ * Remove player names, PGN player headers and game links from a report
+ * @param {string} text - Report text
+ * @param {string[]} names - Player names to redact
+ * @returns {string} - Redacted text
+ */
+function redactReport(text, names) {
+  let redacted = text
+    .replace(/\[(White|Black|Link)\s+"[^"]*"\]/g, '[$1 "<redacted>"]')
+    .replace(/(chess\.com\/[\w/-]*?)\d{4,}/g, '$1:id')
+    .replace(/(lichess\.org\/(?:study\/)?)([a-zA-Z0-9]{8})\b/g, (link, path, id) => (/\d/.test(id) ? `${path}:id` : link));
+
+  // Longest first, so a name that contains another is fully replaced.
+  // Chess.com names are at least 3 characters; shorter ones ('?') would mangle the report
+  names
+    .filter(name => name && name.length > 2)
+    .sort((a, b) => b.length - a.length)
+    .forEach((name) => {
+      redacted = redacted.split(name).join('<player>');
+    });
+
+  return redacted;
+}
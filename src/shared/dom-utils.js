@@ -5,55 +5,360 @@
 
 
 /**
- * Wait for an element to appear in the DOM using MutationObserver
+ * Shared DOM observer registry
+ * Every watch on the same root shares one MutationObserver. Callbacks don't run per
+ * mutation: they're batched into idle time (requestIdleCallback), each called at most once
+ * per batch, and a batch stops once OBSERVER_CONFIG.FRAME_BUDGET is spent, leaving the
+ * rest for the next idle period. Busy pages (clocks, move animations, chat) then cost a
+ * few cheap callbacks per frame instead of one per mutation
+ */
+
+// Root → { observer, watchers: Set }
+const domObservers = new Map();
+
+// Watchers with changes to look at in the next batch
+const pendingWatchers = new Set();
+let flushScheduled = false;
+
+// What the registry has done so far, for diagnostic reports (see getObserverStats)
+const observerStats = {
+  mutations: 0,
+  batches: 0,
+  callbacks: 0,
+  deferred: 0,
+  slowCallbacks: 0,
+  longestCallback: 0,
+};
+
+/**
+ * Watch part of the page for changes
+ * A watch scoped by selectors follows its container: until one is on the page it watches
+ * document.body, and it moves when the container is replaced (noticed by watching the
+ * child lists of the container's ancestors, which rarely change)
+ *
+ * @param {Node|string[]} scope - Node to watch, or container selectors to try in order
+ * @param {Function} callback - Called in idle time after changes (once per batch, no arguments)
+ * @param {Object} options - Options object
+ * @param {AbortSignal} options.signal - Stops watching when aborted
+ * @param {boolean} options.attributes - Also report style and class changes
+ * @returns {Function} - Stops watching
+ */
+function observeDOM(scope, callback, options = {}) {
+  const watcher = {
+    callback,
+    attributes: Boolean(options.attributes),
+    selectors: Array.isArray(scope) ? scope : null,
+    root: null,
+    removalObserver: null,
+  };
+
+  if (options.signal && options.signal.aborted) {
+    return () => {};
+  }
+
+  if (watcher.selectors) {
+    watcher.removalObserver = new MutationObserver(() => {
+      if (!watcher.root.isConnected) queueWatchers([watcher]);
+    });
+  }
+
+  attachWatcher(watcher, watcher.selectors ? findStableContainer(watcher.selectors) : scope);
+
+  const stop = () => {
+    detachWatcher(watcher);
+    pendingWatchers.delete(watcher);
+  };
+
+  if (options.signal) {
+    options.signal.addEventListener('abort', stop, { once: true });
+  }
+
+  return stop;
+}
+
+/**
+ * Find the container a selector-scoped watch should use
+ * @param {string[]} selectors - Container selectors, tried in order
+ * @returns {Element} - First container on the page, or document.body
+ */
+function findStableContainer(selectors) {
+  for (const selector of selectors) {
+    try {
+      const element = document.querySelector(selector);
+      if (element) return element;
+    } catch (error) {
+      log('warn', `Invalid selector: ${selector}`, error);
+    }
+  }
+
+  return document.body;
+}
+
+/**
+ * Move a selector-scoped watch when its container was removed or has now appeared
+ * Runs before the watch's callback, while it waits on document.body or has lost its container
+ * @param {Object} watcher - Watcher from observeDOM
+ */
+function rescopeWatcher(watcher) {
+  if (watcher.root !== document.body && watcher.root.isConnected) return;
+
+  const container = findStableContainer(watcher.selectors);
+  if (container === watcher.root) return;
+
+  log('debug', `DOM watch moved to ${container.id ? `#${container.id}` : container.tagName.toLowerCase()}`);
+
+  detachWatcher(watcher);
+  attachWatcher(watcher, container);
+}
+
+/**
+ * Add a watcher to its root's observer, creating the observer if needed
+ * @param {Object} watcher - Watcher from observeDOM
+ * @param {Node} root - Node to watch
+ */
+function attachWatcher(watcher, root) {
+  let entry = domObservers.get(root);
+
+  if (!entry) {
+    entry = { watchers: new Set() };
+    entry.observer = new MutationObserver((mutations) => {
+      observerStats.mutations += mutations.length;
+
+      // Watchers that don't care about attributes sleep through attribute-only changes
+      const structural = mutations.some(mutation => mutation.type !== 'attributes');
+      queueWatchers(Array.from(entry.watchers).filter(candidate => structural || candidate.attributes));
+    });
+    domObservers.set(root, entry);
+  }
+
+  watcher.root = root;
+  entry.watchers.add(watcher);
+  configureObserver(root, entry);
+
+  // Only the path from the container up can take it off the page
+  if (watcher.removalObserver && root !== document.body) {
+    for (let node = root.parentNode; node; node = node.parentNode) {
+      watcher.removalObserver.observe(node, { childList: true });
+    }
+  }
+}
+
+/**
+ * Remove a watcher from its root's observer, disconnecting it when nobody's left
+ * @param {Object} watcher - Watcher from observeDOM
+ */
+function detachWatcher(watcher) {
+  if (watcher.removalObserver) {
+    watcher.removalObserver.disconnect();
+  }
+
+  const entry = domObservers.get(watcher.root);
+  if (!entry) return;
+
+  entry.watchers.delete(watcher);
+
+  if (entry.watchers.size) {
+    configureObserver(watcher.root, entry);
+  } else {
+    entry.observer.disconnect();
+    domObservers.delete(watcher.root);
+  }
+}
+
+/**
+ * (Re)start a root's observer with what its watchers need
+ * Observing the same node again replaces the previous options
+ * @param {Node} root - Watched node
+ * @param {Object} entry - Registry entry
+ */
+function configureObserver(root, entry) {
+  const attributes = Array.from(entry.watchers).some(watcher => watcher.attributes);
+  const config = { childList: true, subtree: true };
+
+  if (attributes) {
+    config.attributes = true;
+    config.attributeFilter = ['style', 'class'];
+  }
+
+  entry.observer.observe(root, config);
+}
+
+/**
+ * Queue watchers for the next batch
+ * @param {Object[]} watchers - Watchers with changes to look at
+ */
+function queueWatchers(watchers) {
+  if (!watchers.length) return;
+
+  watchers.forEach(watcher => pendingWatchers.add(watcher));
+
+  if (!flushScheduled) {
+    flushScheduled = true;
+    scheduleIdle(flushWatchers);
+  }
+}
+
+/**
+ * Run a function when the browser is idle (or after a short delay where it can't tell)
+ * @param {Function} func - Function to run, given the idle deadline if there is one
+ */
+function scheduleIdle(func) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(func, { timeout: OBSERVER_CONFIG.IDLE_TIMEOUT });
+  } else {
+    setTimeout(func, OBSERVER_CONFIG.FALLBACK_DELAY);
+  }
+}
+
+/**
+ * Call the queued watchers until the frame budget is spent
+ * The first one always runs, so a slow callback can't starve the rest forever
+ * @param {IdleDeadline} deadline - From requestIdleCallback (optional)
+ */
+function flushWatchers(deadline) {
+  flushScheduled = false;
+  observerStats.batches++;
+
+  const budget = deadline && !deadline.didTimeout
+    ? Math.min(OBSERVER_CONFIG.FRAME_BUDGET, deadline.timeRemaining())
+    : OBSERVER_CONFIG.FRAME_BUDGET;
+  const start = performance.now();
+  let ran = 0;
+
+  for (const watcher of Array.from(pendingWatchers)) {
+    if (ran && performance.now() - start >= budget) {
+      observerStats.deferred += pendingWatchers.size;
+      flushScheduled = true;
+      scheduleIdle(flushWatchers);
+      return;
+    }
+
+    // Stopped by an earlier callback in this batch
+    if (!pendingWatchers.has(watcher)) continue;
+
+    pendingWatchers.delete(watcher);
+    ran++;
+
+    const callbackStart = performance.now();
+
+    try {
+      if (watcher.selectors) rescopeWatcher(watcher);
+      watcher.callback();
+    } catch (error) {
+      log('error', 'DOM watch callback failed:', error);
+    }
+
+    const duration = performance.now() - callbackStart;
+    observerStats.callbacks++;
+    observerStats.longestCallback = Math.max(observerStats.longestCallback, duration);
+
+    if (duration > OBSERVER_CONFIG.FRAME_BUDGET) {
+      observerStats.slowCallbacks++;
+      log('debug', `DOM watch callback took ${duration.toFixed(1)}ms (budget ${OBSERVER_CONFIG.FRAME_BUDGET}ms)`);
+    }
+  }
+}
+
+/**
+ * Get the registry's counters
+ * @returns {Object} - { observers, watchers, mutations, batches, callbacks, deferred, slowCallbacks, longestCallback }
+ */
+function getObserverStats() {
+  const watchers = Array.from(domObservers.values()).reduce((total, entry) => total + entry.watchers.size, 0);
+
+  return Object.assign({ observers: domObservers.size, watchers }, observerStats);
+}
+
+/**
+ * Settle a wait when its signal is aborted
+ * @param {AbortSignal} signal - Signal (optional)
+ * @param {Function} handler - Called once on abort
+ * @returns {boolean} - True if the signal was already aborted
+ */
+function whenAborted(signal, handler) {
+  if (!signal) return false;
+  if (signal.aborted) return true;
+
+  signal.addEventListener('abort', handler, { once: true });
+  return false;
+}
+
+/**
+ * Create the error a wait rejects with when it's cancelled
+ * @param {string} what - What was being waited for
+ * @returns {DOMException} - AbortError, like an aborted fetch
+ */
+function createAbortError(what) {
+  return new DOMException(`Stopped waiting for ${what}`, 'AbortError');
+}
+
+/**
+ * Wait for an element to appear in the DOM, using the shared observer registry
  * This is more efficient than polling with setInterval
  *
  * @param {string|string[]} selectors - CSS selector(s) to wait for (can be array of fallbacks)
  * @param {number} timeout - Maximum time to wait in milliseconds
  * @param {Element} root - Root element to search within (default: document)
+ * @param {Object} options - Options object
+ * @param {AbortSignal} options.signal - Stops waiting (rejects with an AbortError) when aborted
  * @returns {Promise<Element>} - Resolves with the element when found, rejects on timeout
  */
-function waitForElement(selectors, timeout = TIMEOUTS.ELEMENT_WAIT, root = document) {
+function waitForElement(selectors, timeout = TIMEOUTS.ELEMENT_WAIT, root = document, options = {}) {
   return new Promise((resolve, reject) => {
     const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    const description = selectorArray.join(' OR ');
 
-    // Try to find element immediately
-    for (const selector of selectorArray) {
-      const element = root.querySelector(selector);
-      if (element) {
-        log('debug', `Element found immediately: ${selector}`);
-        resolve(element);
-        return;
+    const find = () => {
+      for (const selector of selectorArray) {
+        const element = root.querySelector(selector);
+        if (element) return { selector, element };
       }
+      return null;
+    };
+
+    // Try to find element immediately
+    const found = find();
+    if (found) {
+      log('debug', `Element found immediately: ${found.selector}`);
+      resolve(found.element);
+      return;
     }
 
-    log('debug', `Waiting for element: ${selectorArray.join(' OR ')}`);
+    log('debug', `Waiting for element: ${description}`);
+
+    let stopWatching = null;
+    let timeoutId = null;
+
+    const finish = () => {
+      clearTimeout(timeoutId);
+      if (stopWatching) stopWatching();
+    };
+
+    const aborted = whenAborted(options.signal, () => {
+      finish();
+      log('debug', `Stopped waiting for element: ${description}`);
+      reject(createAbortError(description));
+    });
+
+    if (aborted) {
+      reject(createAbortError(description));
+      return;
+    }
 
     // Set up timeout
-    const timeoutId = setTimeout(() => {
-      observer.disconnect();
-      log('warn', `Timeout waiting for element: ${selectorArray.join(' OR ')}`);
-      reject(new Error(`Element not found within ${timeout}ms: ${selectorArray.join(' OR ')}`));
+    timeoutId = setTimeout(() => {
+      finish();
+      log('warn', `Timeout waiting for element: ${description}`);
+      reject(new Error(`Element not found within ${timeout}ms: ${description}`));
     }, timeout);
 
-    // Set up MutationObserver
-    const observer = new MutationObserver((mutations) => {
-      for (const selector of selectorArray) {
-        const element = root.querySelector(selector);
-        if (element) {
-          log('debug', `Element found via observer: ${selector}`);
-          clearTimeout(timeoutId);
-          observer.disconnect();
-          resolve(element);
-          return;
-        }
-      }
-    });
+    stopWatching = observeDOM(root, () => {
+      const match = find();
+      if (!match) return;
 
-    // Start observing
-    observer.observe(root, {
-      childList: true,
-      subtree: true,
+      log('debug', `Element found via observer: ${match.selector}`);
+      finish();
+      resolve(match.element);
     });
   });
 }
@@ -89,12 +394,13 @@ function querySelectorFallback(selectors, root = document) {
  * @param {Object} selectorMap - Object mapping names to selectors
  * @param {number} timeout - Maximum time to wait in milliseconds
  * @param {Element} root - Root element to search within (default: document)
+ * @param {Object} options - Options object (signal, as for waitForElement)
  * @returns {Promise<Object>} - Resolves with object mapping names to elements
  */
-async function waitForElements(selectorMap, timeout = TIMEOUTS.ELEMENT_WAIT, root = document) {
+async function waitForElements(selectorMap, timeout = TIMEOUTS.ELEMENT_WAIT, root = document, options = {}) {
   const results = {};
   const promises = Object.entries(selectorMap).map(async ([name, selector]) => {
-    const element = await waitForElement(selector, timeout, root);
+    const element = await waitForElement(selector, timeout, root, options);
     results[name] = element;
   });
 
@@ -109,9 +415,11 @@ async function waitForElements(selectorMap, timeout = TIMEOUTS.ELEMENT_WAIT, roo
  * @param {string} selector - CSS selector to wait for removal
  * @param {number} timeout - Maximum time to wait in milliseconds
  * @param {Element} root - Root element to search within (default: document)
+ * @param {Object} options - Options object
+ * @param {AbortSignal} options.signal - Stops waiting (rejects with an AbortError) when aborted
  * @returns {Promise<void>} - Resolves when element is removed or not present
  */
-function waitForElementRemoval(selector, timeout = TIMEOUTS.ELEMENT_WAIT, root = document) {
+function waitForElementRemoval(selector, timeout = TIMEOUTS.ELEMENT_WAIT, root = document, options = {}) {
   return new Promise((resolve, reject) => {
     const element = root.querySelector(selector);
 
@@ -124,28 +432,39 @@ function waitForElementRemoval(selector, timeout = TIMEOUTS.ELEMENT_WAIT, root =
 
     log('debug', `Waiting for element removal: ${selector}`);
 
+    let stopWatching = null;
+    let timeoutId = null;
+
+    const finish = () => {
+      clearTimeout(timeoutId);
+      if (stopWatching) stopWatching();
+    };
+
+    const aborted = whenAborted(options.signal, () => {
+      finish();
+      log('debug', `Stopped waiting for element removal: ${selector}`);
+      reject(createAbortError(`removal of ${selector}`));
+    });
+
+    if (aborted) {
+      reject(createAbortError(`removal of ${selector}`));
+      return;
+    }
+
     // Set up timeout
-    const timeoutId = setTimeout(() => {
-      observer.disconnect();
+    timeoutId = setTimeout(() => {
+      finish();
       log('warn', `Timeout waiting for element removal: ${selector}`);
       reject(new Error(`Element still present after ${timeout}ms: ${selector}`));
     }, timeout);
 
-    // Set up MutationObserver
-    const observer = new MutationObserver(() => {
+    stopWatching = observeDOM(root, () => {
       if (!root.querySelector(selector)) {
         log('debug', `Element removed: ${selector}`);
-        clearTimeout(timeoutId);
-        observer.disconnect();
+        finish();
         resolve();
       }
     });
-
-    // Start observing
-    observer.observe(root, {
-      childList: true,
-      subtree: true,
-    });
   });
 }
 
@@ -171,10 +490,11 @@ function isElementVisible(element) {
  * @param {string} selector - CSS selector
  * @param {number} timeout - Maximum time to wait in milliseconds
  * @param {Element} root - Root element to search within (default: document)
+ * @param {Object} options - Options object (signal, as for waitForElement)
  * @returns {Promise<Element>} - Resolves when element is visible
  */
-async function waitForVisibleElement(selector, timeout = TIMEOUTS.ELEMENT_WAIT, root = document) {
-  const element = await waitForElement(selector, timeout, root);
+async function waitForVisibleElement(selector, timeout = TIMEOUTS.ELEMENT_WAIT, root = document, options = {}) {
+  const element = await waitForElement(selector, timeout, root, options);
 
   return new Promise((resolve, reject) => {
     if (isElementVisible(element)) {
@@ -182,29 +502,36 @@ async function waitForVisibleElement(selector, timeout = TIMEOUTS.ELEMENT_WAIT,
       return;
     }
 
-    const timeoutId = setTimeout(() => {
-      observer.disconnect();
+    let stopWatching = null;
+    let timeoutId = null;
+
+    const finish = () => {
+      clearTimeout(timeoutId);
+      if (stopWatching) stopWatching();
+    };
+
+    const aborted = whenAborted(options.signal, () => {
+      finish();
+      reject(createAbortError(`${selector} to become visible`));
+    });
+
+    if (aborted) {
+      reject(createAbortError(`${selector} to become visible`));
+      return;
+    }
+
+    timeoutId = setTimeout(() => {
+      finish();
       reject(new Error(`Element not visible within ${timeout}ms: ${selector}`));
     }, timeout);
 
-    const observer = new MutationObserver(() => {
+    // Style and class changes on the element or around it can show it
+    stopWatching = observeDOM(element.parentElement || element, () => {
       if (isElementVisible(element)) {
-        clearTimeout(timeoutId);
-        observer.disconnect();
+        finish();
         resolve(element);
       }
-    });
-
-    observer.observe(element, {
-      attributes: true,
-      attributeFilter: ['style', 'class'],
-    });
-
-    observer.observe(element.parentElement, {
-      attributes: true,
-      childList: true,
-      subtree: true,
-    });
+    }, { attributes: true });
   });
 }
 
@@ -275,6 +602,86 @@ function createElement(tagName, options = {}) {
   return element;
 }
 
+/**
+ * Create an element with an open shadow root, so page CSS and ours stay apart
+ * Only the host is styled from outside (position, size); everything in the root uses the given CSS
+ *
+ * @param {string} tagName - HTML tag name for the host
+ * @param {Object} options - Host options, as for createElement
+ * @param {string} css - Styles for the shadow root
+ * @returns {{host: Element, root: ShadowRoot}}
+ */
+function createShadowHost(tagName, options = {}, css = '') {
+  const host = createElement(tagName, options);
+  const root = host.attachShadow({ mode: 'open' });
+
+  if (css) {
+    root.appendChild(createElement('style', { text: css }));
+  }
+
+  return { host, root };
+}
+
+/**
+ * Work out whether the page is using a light or dark theme
+ * Checks the usual theme classes/attributes first, then the page background,
+ * then the system preference
+ *
+ * @returns {string} - 'dark' or 'light'
+ */
+function detectPageTheme() {
+  const root = document.documentElement;
+  const body = document.body;
+
+  // Lichess sets body.dark/.light, Chess.com body.dark-mode; some pages use data-theme
+  for (const element of [root, body]) {
+    if (!element) continue;
+
+    const theme = (element.getAttribute('data-theme') || '').toLowerCase();
+    if (theme.includes('dark')) return 'dark';
+    if (theme.includes('light')) return 'light';
+
+    if (element.classList.contains('dark') || element.classList.contains('dark-mode')) return 'dark';
+    if (element.classList.contains('light') || element.classList.contains('light-mode')) return 'light';
+  }
+
+  // Fall back to how bright the page background actually is
+  for (const element of [body, root]) {
+    if (!element) continue;
+
+    const match = getComputedStyle(element).backgroundColor.match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/);
+
+    // Transparent backgrounds say nothing; try the next element
+    if (!match || match[4] === '0') continue;
+
+    const luminance = (0.299 * match[1] + 0.587 * match[2] + 0.114 * match[3]) / 255;
+    return luminance < 0.5 ? 'dark' : 'light';
+  }
+
+  return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type (default: text/plain)
+ */
+function downloadTextFile(text, fileName, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = createElement('a', {
+    attrs: { href: url, download: fileName },
+    styles: { display: 'none' },
+  });
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Debounce function calls
  * Useful for preventing rapid repeated actions (like button clicks)
@@ -291,6 +698,72 @@ function debounce(func, wait = TIMEOUTS.BUTTON_DEBOUNCE) {
   };
 }
 
+/**
+ * Watch for the page URL changing without a reload (single-page navigation)
+ * The URL is compared on back/forward (popstate) and after the page's own
+ * history.pushState/replaceState calls
+ *
+ * @param {Function} callback - Called with (url, previousUrl) after each change
+ * @returns {Function} - Stops watching
+ */
+function watchUrlChanges(callback) {
+  let lastUrl = window.location.href;
+
+  const check = () => {
+    const url = window.location.href;
+    if (url === lastUrl) return;
+
+    const previousUrl = lastUrl;
+    lastUrl = url;
+    callback(url, previousUrl);
+  };
+
+  const unhookHistory = hookHistoryMethods(check);
+  window.addEventListener('popstate', check);
+
+  return () => {
+    unhookHistory();
+    window.removeEventListener('popstate', check);
+  };
+}
+
+/**
+ * Call back after the page calls history.pushState or replaceState
+ * The methods are replaced on the page's own history object (Firefox's exportFunction);
+ * where that isn't available nothing is hooked
+ *
+ * @param {Function} callback - Called after each call, once the page has carried on
+ * @returns {Function} - Removes the hooks
+ */
+function hookHistoryMethods(callback) {
+  const pageHistory = window.history.wrappedJSObject;
+  if (!pageHistory || typeof exportFunction !== 'function') return () => {};
+
+  let hooked = true;
+  const hooks = {};
+
+  for (const method of ['pushState', 'replaceState']) {
+    const original = pageHistory[method];
+
+    hooks[method] = exportFunction((...args) => {
+      const result = original.apply(pageHistory, args);
+      if (hooked) setTimeout(callback, 0);
+      return result;
+    }, window);
+
+    pageHistory[method] = hooks[method];
+  }
+
+  return () => {
+    hooked = false;
+
+    // Uncover History.prototype again, unless the page has replaced our hook since
+    for (const method of Object.keys(hooks)) {
+      if (pageHistory[method] === hooks[method]) delete pageHistory[method];
+    }
+  };
+}
+
 /**
  * Run function with error boundary
  * Catches errors and logs them, preventing them from breaking the extension
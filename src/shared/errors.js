@@ -0,0 +1,192 @@
+/**
+ * Error Types
+ * Typed errors with stable codes (ERROR_CODES), a cause chain and a recovery hint,
+ * so callers can tell failures apart without matching message strings
+ *
+ * ExtensionError
+ *   PageError           - the Chess.com or Lichess page doesn't have what we need
+ *   GameValidationError - the game data can't be imported as it is
+ *   BrowserError        - the browser refused (clipboard, tabs, messaging)
+ *   LichessApiError     - Lichess rejected or couldn't be reached (kind, status, retryAfter)
+ */
+
+/**
+ * Base class for the extension's errors
+ */
+class ExtensionError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {Object} options - Options object (all optional)
+   * @param {string} options.message - Message to show instead of the code's ERROR_MESSAGES entry
+   * @param {string} options.detail - Extra detail, appended to the message in brackets
+   * @param {Error} options.cause - Error that led to this one
+   */
+  constructor(code, options = {}) {
+    const message = options.message || ERROR_MESSAGES[code] || ERROR_MESSAGES.GENERIC_ERROR;
+
+    super(options.detail ? `${message} (${options.detail})` : message);
+
+    this.name = this.constructor.name;
+    this.code = ERROR_CODES[code] || ERROR_CODES.GENERIC_ERROR;
+    this.cause = options.cause || null;
+    this.hint = ERROR_RECOVERY[this.code] || RECOVERY_HINTS.REPORT;
+  }
+}
+
+/**
+ * The page doesn't have what we need (game data, buttons, the paste box)
+ */
+class PageError extends ExtensionError {}
+
+/**
+ * The game can't be imported as it is
+ */
+class GameValidationError extends ExtensionError {}
+
+/**
+ * The browser refused something (clipboard, opening tabs, reaching the background script)
+ */
+class BrowserError extends ExtensionError {}
+
+/**
+ * Lichess rejected the request or couldn't be reached
+ */
+class LichessApiError extends ExtensionError {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {Object} options - As for ExtensionError, plus:
+   * @param {string} options.kind - One of IMPORT_ERROR_KINDS
+   * @param {number} options.status - HTTP status, if any
+   * @param {number} options.retryAfter - Seconds to wait before retrying (rate limits)
+   */
+  constructor(code, options = {}) {
+    super(code, options);
+
+    this.kind = options.kind || null;
+    this.status = options.status || null;
+    this.retryAfter = options.retryAfter || null;
+  }
+}
+
+/**
+ * Error class for each code (codes not listed get a plain ExtensionError)
+ */
+const ERROR_TYPES = {
+  PGN_NOT_FOUND: PageError,
+  PGN_BUTTON_NOT_FOUND: PageError,
+  TEXTAREA_NOT_FOUND: PageError,
+  BOARD_NOT_FOUND: PageError,
+  NO_GAMES_SELECTED: PageError,
+  NO_GAMES_EXTRACTED: PageError,
+  UNSUPPORTED_GAME_LINK: PageError,
+  INVALID_PGN: GameValidationError,
+  CLIPBOARD_WRITE_DENIED: BrowserError,
+  CLIPBOARD_READ_DENIED: BrowserError,
+  LICHESS_TAB_FAILED: BrowserError,
+  HANDOFF_FAILED: BrowserError,
+  LICHESS_IMPORT_REJECTED: LichessApiError,
+  LICHESS_RATE_LIMITED: LichessApiError,
+  NETWORK_ERROR: LichessApiError,
+  INVALID_STUDY_ID: LichessApiError,
+  STUDY_NOT_FOUND: LichessApiError,
+  LICHESS_TOKEN_MISSING: LichessApiError,
+  LICHESS_TOKEN_REJECTED: LichessApiError,
+};
+
+/**
+ * Recovery hint for each code (codes not listed get RECOVERY_HINTS.REPORT)
+ */
+const ERROR_RECOVERY = {
+  PGN_NOT_FOUND: RECOVERY_HINTS.RETRY,
+  PGN_BUTTON_NOT_FOUND: RECOVERY_HINTS.RETRY,
+  TEXTAREA_NOT_FOUND: RECOVERY_HINTS.PASTE_MANUALLY,
+  NETWORK_ERROR: RECOVERY_HINTS.RETRY,
+  LICHESS_RATE_LIMITED: RECOVERY_HINTS.WAIT,
+  CLIPBOARD_WRITE_DENIED: RECOVERY_HINTS.COPY_PGN,
+  CLIPBOARD_READ_DENIED: RECOVERY_HINTS.PASTE_MANUALLY,
+  LICHESS_TAB_FAILED: RECOVERY_HINTS.COPY_PGN,
+  HANDOFF_FAILED: RECOVERY_HINTS.COPY_PGN,
+  INVALID_STUDY_ID: RECOVERY_HINTS.CHECK_OPTIONS,
+  STUDY_NOT_FOUND: RECOVERY_HINTS.CHECK_OPTIONS,
+  LICHESS_TOKEN_MISSING: RECOVERY_HINTS.CHECK_OPTIONS,
+  LICHESS_TOKEN_REJECTED: RECOVERY_HINTS.CHECK_OPTIONS,
+};
+
+/**
+ * Create the right kind of error for a code
+ * @param {string} code - One of ERROR_CODES
+ * @param {Object} options - Constructor options (message, detail, cause, and kind/status/retryAfter for Lichess errors)
+ * @returns {ExtensionError}
+ */
+function createError(code, options = {}) {
+  const ErrorType = ERROR_TYPES[code] || ExtensionError;
+  return new ErrorType(code, options);
+}
+
+/**
+ * Make sure an error is an ExtensionError, wrapping anything else
+ * @param {Error} error - Caught error
+ * @param {string} code - Code for errors that don't have one (default: GENERIC_ERROR)
+ * @returns {ExtensionError}
+ */
+function toExtensionError(error, code = ERROR_CODES.GENERIC_ERROR) {
+  if (error instanceof ExtensionError) return error;
+
+  return createError(code, { cause: error });
+}
+
+/**
+ * Get an error's code
+ * @param {Error} error - Any error
+ * @returns {string} - One of ERROR_CODES (GENERIC_ERROR for errors without one)
+ */
+function getErrorCode(error) {
+  return (error && ERROR_CODES[error.code]) || ERROR_CODES.GENERIC_ERROR;
+}
+
+/**
+ * List an error and its causes, outermost first
+ * @param {Error} error - Any error
+ * @returns {Object[]} - [{ name, code, message }]
+ */
+function getErrorChain(error) {
+  const chain = [];
+  let current = error;
+
+  // Cap the depth in case of a cycle
+  while (current && chain.length < 10) {
+    chain.push({
+      name: current.name || 'Error',
+      code: current.code || null,
+      message: current.message || String(current),
+    });
+    current = current.cause;
+  }
+
+  return chain;
+}
+
+/**
+ * Build a failed runtime message response
+ * The code travels with the message so the other side can rebuild the error
+ * @param {Error|string} errorOrCode - Error, or one of ERROR_CODES
+ * @param {Object} extra - Extra response fields (optional)
+ * @returns {Object} - { success: false, error: string, code: string, ... }
+ */
+function createErrorResponse(errorOrCode, extra = {}) {
+  const error = typeof errorOrCode === 'string' ? createError(errorOrCode) : errorOrCode;
+
+  return Object.assign({ success: false, error: error.message, code: getErrorCode(error) }, extra);
+}
+
+/**
+ * Rebuild the error from a failed runtime message response
+ * @param {Object|undefined} response - Response from createErrorResponse (or nothing)
+ * @param {string} code - Code to use when the response doesn't say (default: HANDOFF_FAILED)
+ * @returns {ExtensionError}
+ */
+function createErrorFromResponse(response, code = ERROR_CODES.HANDOFF_FAILED) {
+  if (!response) return createError(code);
+
+  return createError(response.code || code, { message: response.error });
+}
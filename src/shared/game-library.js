@@ -0,0 +1,231 @@
+/**
+ * Game Library Module
+ * Keeps a record of every game sent to Lichess in storage.local, keyed by kind of
+ * Chess.com game and game ID (live and daily games can share a number), so a game
+ * sent twice to the same destination reuses its first analysis.
+ * Also remembers the last send that failed, for the toolbar popup
+ */
+
+/**
+ * Storage key holding the library object ({ [key]: entry })
+ * Entry: { key, chessComUrl, pgn, info, lichessUrl, sentAt, destinations: { [destination]: { lichessUrl, sentAt } } }
+ * lichessUrl and sentAt are those of the latest send
+ */
+const LIBRARY_STORAGE_KEY = 'library';
+
+/**
+ * Storage key holding the last failed send ({ message, sourceUrl, failedAt })
+ */
+const LAST_FAILURE_STORAGE_KEY = 'lastFailure';
+
+/**
+ * MIME type for saved PGN files
+ */
+const PGN_MIME_TYPE = 'application/x-chess-pgn';
+
+// Writes are chained so overlapping saves don't drop each other's entries
+let libraryWriteQueue = Promise.resolve();
+
+/**
+ * Work out the Chess.com page a PGN came from
+ * The Link header wins over the page it was sent from (archive games carry their own)
+ * @param {string} pgn - PGN string
+ * @param {string} fallbackUrl - Page the game was sent from (optional)
+ * @returns {string|null} - Chess.com game URL, or null if there is none
+ */
+function getChessComUrl(pgn, fallbackUrl) {
+  const link = extractHeaders(pgn).Link;
+
+  for (const url of [link, fallbackUrl]) {
+    if (url && REGEX_PATTERNS.CHESS_COM_GAME_ID.test(url)) return url;
+  }
+
+  return null;
+}
+
+/**
+ * Work out the library key of a Chess.com game, e.g. live:123
+ * @param {string|null} chessComUrl - Chess.com game URL
+ * @returns {string|null} - Key, or null if the URL isn't a game page
+ */
+function getLibraryKey(chessComUrl) {
+  const page = classifyChessComPage(chessComUrl);
+  return page ? `${page.gameKind}:${page.gameId}` : null;
+}
+
+/**
+ * Build a library entry for a sent game
+ * @param {string} pgn - Sanitized PGN
+ * @param {Object} options - Options object
+ * @param {string} options.chessComUrl - Chess.com game URL (optional)
+ * @param {string} options.lichessUrl - Lichess game or chapter URL
+ * @param {string} options.destination - Where it was imported ('import' or 'study:<id>')
+ * @returns {Object} - Library entry
+ */
+function createLibraryEntry(pgn, options) {
+  const sentAt = Date.now();
+
+  return {
+    // Games without a Chess.com game URL are kept under their send time and never deduplicated
+    key: getLibraryKey(options.chessComUrl) || `sent-${sentAt}`,
+    chessComUrl: options.chessComUrl || null,
+    pgn,
+    info: getPGNInfo(pgn),
+    lichessUrl: options.lichessUrl,
+    sentAt,
+    destinations: {
+      [options.destination]: { lichessUrl: options.lichessUrl, sentAt },
+    },
+  };
+}
+
+/**
+ * Read the whole library
+ * @returns {Promise<Object>} - Entries by key
+ */
+async function loadLibrary() {
+  const result = await browser.storage.local.get(LIBRARY_STORAGE_KEY);
+  return result[LIBRARY_STORAGE_KEY] || {};
+}
+
+/**
+ * Add an entry, keeping the destinations an earlier send of the game went to
+ * @param {Object} entry - Entry from createLibraryEntry
+ * @returns {Promise<Object>} - Saved entry
+ */
+function saveLibraryEntry(entry) {
+  const write = libraryWriteQueue.then(async () => {
+    const library = await loadLibrary();
+    const existing = library[entry.key];
+    const saved = Object.assign({}, entry, {
+      destinations: Object.assign({}, existing && existing.destinations, entry.destinations),
+    });
+
+    library[entry.key] = saved;
+
+    await browser.storage.local.set({ [LIBRARY_STORAGE_KEY]: library });
+    log('debug', `Library entry saved for ${entry.key}`);
+    return saved;
+  });
+
+  // Keep the queue going even if this write fails
+  libraryWriteQueue = write.catch(() => null);
+  return write;
+}
+
+/**
+ * Find the earlier analysis of a game sent to the same destination
+ * @param {string|null} chessComUrl - Chess.com game URL
+ * @param {string} destination - Destination the game is about to be sent to
+ * @returns {Promise<Object|null>} - { lichessUrl, sentAt }, or null if the game wasn't sent there before
+ */
+async function findSentGame(chessComUrl, destination) {
+  const key = getLibraryKey(chessComUrl);
+  if (!key) return null;
+
+  const entry = (await loadLibrary())[key];
+  const sent = entry && entry.destinations[destination];
+  return sent && sent.lichessUrl ? sent : null;
+}
+
+/**
+ * Query the library, newest first
+ * @param {Object} filters - Filters (all optional)
+ * @param {string} filters.opponent - Player name, matched against either side (case-insensitive)
+ * @param {string} filters.variant - Variant header value, e.g. 'Atomic'
+ * @param {string} filters.result - Result, e.g. '1-0'
+ * @param {string} filters.from - Earliest game date (YYYY-MM-DD or YYYY.MM.DD)
+ * @param {string} filters.to - Latest game date (YYYY-MM-DD or YYYY.MM.DD)
+ * @returns {Promise<Object[]>} - Matching entries
+ */
+async function queryLibrary(filters = {}) {
+  const library = await loadLibrary();
+  const opponent = (filters.opponent || '').trim().toLowerCase();
+  const from = filters.from ? normalizeGameDate(filters.from) : null;
+  const to = filters.to ? normalizeGameDate(filters.to) : null;
+
+  return Object.values(library)
+    .filter((entry) => {
+      const info = entry.info;
+
+      if (opponent && ![info.white, info.black].some(name => name.toLowerCase() === opponent)) return false;
+      if (filters.variant && info.variant.toLowerCase() !== filters.variant.toLowerCase()) return false;
+      if (filters.result && info.result !== filters.result) return false;
+
+      if (from || to) {
+        const date = normalizeGameDate(info.date);
+        if (!date || (from && date < from) || (to && date > to)) return false;
+      }
+
+      return true;
+    })
+    .sort((a, b) => b.sentAt - a.sentAt);
+}
+
+/**
+ * Remove a game from the library
+ * @param {string} key - Entry key (see getLibraryKey; sent-<time> for games without a Chess.com URL)
+ * @returns {Promise<void>}
+ */
+function removeLibraryEntry(key) {
+  const write = libraryWriteQueue.then(async () => {
+    const library = await loadLibrary();
+    delete library[key];
+    await browser.storage.local.set({ [LIBRARY_STORAGE_KEY]: library });
+  });
+
+  libraryWriteQueue = write.catch(() => null);
+  return write;
+}
+
+/**
+ * Turn a PGN or ISO date into a sortable YYYY-MM-DD string
+ * @param {string} date - Date like 2024.05.01 or 2024-05-01
+ * @returns {string|null} - Normalized date, or null for unknown dates (e.g. ????.??.??)
+ */
+function normalizeGameDate(date) {
+  const match = (date || '').match(/^(\d{4})[.-](\d{2})[.-](\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Build a file name for a game, like Alice_vs_Bob_2024-05-01.pgn
+ * @param {Object} info - Game info from getPGNInfo
+ * @returns {string} - File name (without the date if it's unknown)
+ */
+function getPGNFileName(info) {
+  const name = [info.white, 'vs', info.black, normalizeGameDate(info.date)]
+    .filter(Boolean)
+    .join('_');
+
+  return `${name.replace(/[^\w.-]+/g, '-')}.pgn`;
+}
+
+/**
+ * Remember a failed send
+ * @param {string} message - Error message shown to the user
+ * @param {string} sourceUrl - Page the game was sent from (optional)
+ * @returns {Promise<void>}
+ */
+function recordSendFailure(message, sourceUrl) {
+  return browser.storage.local.set({
+    [LAST_FAILURE_STORAGE_KEY]: { message, sourceUrl: sourceUrl || null, failedAt: Date.now() },
+  });
+}
+
+/**
+ * Read the last failed send
+ * @returns {Promise<Object|null>} - { message, sourceUrl, failedAt } or null
+ */
+async function loadLastFailure() {
+  const result = await browser.storage.local.get(LAST_FAILURE_STORAGE_KEY);
+  return result[LAST_FAILURE_STORAGE_KEY] || null;
+}
+
+/**
+ * Forget the last failed send
+ * @returns {Promise<void>}
+ */
+function clearLastFailure() {
+  return browser.storage.local.remove(LAST_FAILURE_STORAGE_KEY);
+}
@@ -0,0 +1,174 @@
+/**
+ * Lichess Import Client
+ * Imports a PGN through the Lichess import API and returns the game URL
+ */
+
+/**
+ * Import failure kinds
+ * VALIDATION, RATE_LIMIT and AUTH are shown to the user; the others trigger the paste-page fallback
+ */
+const IMPORT_ERROR_KINDS = {
+  VALIDATION: 'validation',
+  RATE_LIMIT: 'rateLimit',
+  AUTH: 'auth',
+  SERVER: 'server',
+  NETWORK: 'network',
+};
+
+/**
+ * Import a PGN through the Lichess import endpoint
+ * @param {string} pgn - Sanitized PGN
+ * @param {Object} options - Options object
+ * @param {string} options.baseUrl - API base URL (default: LICHESS_API.BASE_URL)
+ * @returns {Promise<Object>} - { id: string|null, url: string }
+ */
+async function importToLichess(pgn, options = {}) {
+  const baseUrl = options.baseUrl || LICHESS_API.BASE_URL;
+  const endpoint = `${baseUrl}${LICHESS_API.IMPORT_PATH}`;
+
+  log('debug', `Importing PGN via ${endpoint}`);
+
+  let response;
+
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: new URLSearchParams({ pgn }),
+      credentials: 'omit',
+    });
+  } catch (error) {
+    log('warn', 'Import request failed:', error);
+    throw createImportError(ERROR_CODES.NETWORK_ERROR, IMPORT_ERROR_KINDS.NETWORK, { cause: error });
+  }
+
+  await checkImportResponse(response);
+
+  const game = await readImportedGame(response, baseUrl);
+
+  log('info', `Game imported: ${game.url}`);
+  return game;
+}
+
+/**
+ * Throw the matching import error for a failed response
+ * @param {Response} response - Fetch response
+ */
+async function checkImportResponse(response) {
+  if (response.status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    log('warn', `Import rate limited, retry after ${retryAfter}s`);
+
+    throw createImportError(ERROR_CODES.LICHESS_RATE_LIMITED, IMPORT_ERROR_KINDS.RATE_LIMIT, {
+      status: 429,
+      detail: `retry in ${retryAfter}s`,
+      retryAfter,
+    });
+  }
+
+  if (response.status >= 400 && response.status < 500) {
+    const detail = await readErrorMessage(response);
+    log('warn', `Import rejected (${response.status}): ${detail}`);
+
+    throw createImportError(ERROR_CODES.LICHESS_IMPORT_REJECTED, IMPORT_ERROR_KINDS.VALIDATION, {
+      status: response.status,
+      message: detail ? `${ERROR_MESSAGES.LICHESS_IMPORT_REJECTED}: ${detail}` : null,
+    });
+  }
+
+  if (!response.ok) {
+    log('warn', `Import failed with status ${response.status}`);
+    throw createImportError(ERROR_CODES.GENERIC_ERROR, IMPORT_ERROR_KINDS.SERVER, { status: response.status });
+  }
+}
+
+/**
+ * Work out the imported game from a successful response
+ * Lichess answers with JSON ({ id, url }) or, for form-style posts, a redirect to the game
+ * @param {Response} response - Fetch response
+ * @param {string} baseUrl - API base URL used for the request
+ * @returns {Promise<Object>} - { id: string|null, url: string }
+ */
+async function readImportedGame(response, baseUrl) {
+  const contentType = response.headers.get('Content-Type') || '';
+
+  if (contentType.includes('application/json')) {
+    const data = await response.json();
+
+    if (data.url) {
+      return { id: data.id || null, url: data.url };
+    }
+
+    if (data.id) {
+      return { id: data.id, url: `${baseUrl}/${data.id}` };
+    }
+  }
+
+  if (response.redirected && response.url && !response.url.endsWith(LICHESS_API.IMPORT_PATH)) {
+    const id = new URL(response.url).pathname.split('/').filter(Boolean).pop() || null;
+    return { id, url: response.url };
+  }
+
+  log('warn', `Unexpected import response (${contentType || 'no content type'})`);
+  throw createImportError(ERROR_CODES.GENERIC_ERROR, IMPORT_ERROR_KINDS.SERVER, { status: response.status });
+}
+
+/**
+ * Extract the human-readable message from a Lichess error response
+ * Errors come back as { error: string } or { error: { field: [messages] } }, sometimes as plain text
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} - Error message (empty if none could be read)
+ */
+async function readErrorMessage(response) {
+  let text = '';
+
+  try {
+    text = await response.text();
+  } catch (error) {
+    return '';
+  }
+
+  try {
+    const data = JSON.parse(text);
+    const detail = data.error || data.message || data;
+
+    if (typeof detail === 'string') {
+      return detail;
+    }
+
+    return [].concat(...Object.values(detail))
+      .filter(value => typeof value === 'string')
+      .join(' ');
+  } catch (error) {
+    // Not JSON - use the body as-is, unless it's an HTML error page
+    return text.trim().startsWith('<') ? '' : text.trim();
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number} - Seconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return LICHESS_API.DEFAULT_RETRY_AFTER;
+
+  const seconds = parseInt(value, 10);
+  if (!isNaN(seconds)) return Math.max(seconds, 0);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+
+  return LICHESS_API.DEFAULT_RETRY_AFTER;
+}
+
+/**
+ * Create an import error
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} kind - One of IMPORT_ERROR_KINDS
+ * @param {Object} options - LichessApiError options (status, message, detail, retryAfter, cause)
+ * @returns {LichessApiError}
+ */
+function createImportError(code, kind, options = {}) {
+  return new LichessApiError(code, Object.assign({}, options, { kind }));
+}
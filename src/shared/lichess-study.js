@@ -0,0 +1,171 @@
+/**
+ * Lichess Study Client
+ * Adds games to a Lichess study as chapters and lists the user's studies,
+ * authenticated with a personal API token
+ */
+
+/**
+ * Read the study ID from a study ID or link
+ * @param {string} value - Study ID or link (e.g. https://lichess.org/study/AbCd1234/EfGh5678)
+ * @returns {string|null} - Study ID, or null if the value isn't one
+ */
+function parseStudyId(value) {
+  const match = (value || '').trim().match(REGEX_PATTERNS.LICHESS_STUDY_ID);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Fill in a chapter name template from the game's headers
+ * Placeholders are getPGNInfo fields in braces, e.g. "{white} - {black}, {date}"
+ * @param {string} template - Name template
+ * @param {Object} info - Game info from getPGNInfo
+ * @returns {string} - Chapter name (unknown placeholders are left as-is)
+ */
+function formatChapterName(template, info) {
+  const name = template.replace(/\{(\w+)\}/g, (placeholder, field) => {
+    const value = info[field];
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : placeholder;
+  });
+
+  return name.trim() || `${info.white} - ${info.black}`;
+}
+
+/**
+ * Import a PGN into a study as a new chapter
+ * @param {string} pgn - Sanitized PGN
+ * @param {Object} options - Options object
+ * @param {string} options.study - Study ID or link
+ * @param {string} options.token - Lichess API token with the study:write scope
+ * @param {string} options.name - Chapter name
+ * @param {string} options.orientation - 'white' or 'black' (optional)
+ * @param {string} options.baseUrl - API base URL (default: LICHESS_API.BASE_URL)
+ * @returns {Promise<Object>} - { id: string, url: string } of the new chapter
+ */
+async function importToStudy(pgn, options) {
+  const baseUrl = options.baseUrl || LICHESS_API.BASE_URL;
+  const studyId = parseStudyId(options.study);
+
+  if (!studyId) {
+    throw createImportError(ERROR_CODES.INVALID_STUDY_ID, IMPORT_ERROR_KINDS.AUTH);
+  }
+
+  if (!options.token) {
+    throw createImportError(ERROR_CODES.LICHESS_TOKEN_MISSING, IMPORT_ERROR_KINDS.AUTH);
+  }
+
+  const endpoint = `${baseUrl}${LICHESS_API.STUDY_PATH}/${studyId}/import-pgn`;
+  const body = new URLSearchParams({ pgn, name: options.name });
+
+  if (options.orientation) {
+    body.set('orientation', options.orientation);
+  }
+
+  log('debug', `Importing PGN into study ${studyId}`);
+
+  let response;
+
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: getAuthHeaders(options.token),
+      body,
+      credentials: 'omit',
+    });
+  } catch (error) {
+    log('warn', 'Study import request failed:', error);
+    throw createImportError(ERROR_CODES.NETWORK_ERROR, IMPORT_ERROR_KINDS.NETWORK, { cause: error });
+  }
+
+  checkStudyAccess(response);
+  await checkImportResponse(response);
+
+  // Lichess answers with the chapters it created: { chapters: [{ id, name, ... }] }
+  const data = await response.json();
+  const chapter = data.chapters && data.chapters[0];
+
+  if (!chapter || !chapter.id) {
+    log('warn', 'Study import response has no chapter');
+    throw createImportError(ERROR_CODES.GENERIC_ERROR, IMPORT_ERROR_KINDS.SERVER, { status: response.status });
+  }
+
+  const url = `${baseUrl}/study/${studyId}/${chapter.id}`;
+
+  log('info', `Chapter added: ${url}`);
+  return { id: chapter.id, url };
+}
+
+/**
+ * List the studies of the token's owner
+ * @param {string} token - Lichess API token with the study:read scope
+ * @param {Object} options - Options object
+ * @param {string} options.baseUrl - API base URL (default: LICHESS_API.BASE_URL)
+ * @returns {Promise<Object[]>} - { id, name } for each study
+ */
+async function fetchMyStudies(token, options = {}) {
+  const baseUrl = options.baseUrl || LICHESS_API.BASE_URL;
+
+  if (!token) {
+    throw createImportError(ERROR_CODES.LICHESS_TOKEN_MISSING, IMPORT_ERROR_KINDS.AUTH);
+  }
+
+  const account = await fetchWithToken(`${baseUrl}${LICHESS_API.ACCOUNT_PATH}`, token);
+  const username = (await account.json()).username;
+
+  const list = await fetchWithToken(`${baseUrl}${LICHESS_API.STUDY_PATH}/by/${encodeURIComponent(username)}`, token);
+
+  // One JSON object per line
+  return (await list.text())
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .map(study => ({ id: study.id, name: study.name }));
+}
+
+/**
+ * GET a Lichess API resource with the token
+ * @param {string} url - Resource URL
+ * @param {string} token - Lichess API token
+ * @returns {Promise<Response>} - Successful response
+ */
+async function fetchWithToken(url, token) {
+  let response;
+
+  try {
+    response = await fetch(url, { headers: getAuthHeaders(token), credentials: 'omit' });
+  } catch (error) {
+    log('warn', 'Lichess API request failed:', error);
+    throw createImportError(ERROR_CODES.NETWORK_ERROR, IMPORT_ERROR_KINDS.NETWORK, { cause: error });
+  }
+
+  checkStudyAccess(response);
+  await checkImportResponse(response);
+
+  return response;
+}
+
+/**
+ * Throw for responses refusing the token or the study
+ * @param {Response} response - Fetch response
+ */
+function checkStudyAccess(response) {
+  if (response.status === 401) {
+    throw createImportError(ERROR_CODES.LICHESS_TOKEN_REJECTED, IMPORT_ERROR_KINDS.AUTH, { status: 401 });
+  }
+
+  // Lichess answers 403 or 404 when the study is missing or not writable by the token's owner
+  if (response.status === 403 || response.status === 404) {
+    throw createImportError(ERROR_CODES.STUDY_NOT_FOUND, IMPORT_ERROR_KINDS.AUTH, { status: response.status });
+  }
+}
+
+/**
+ * Build the request headers for a token
+ * @param {string} token - Lichess API token
+ * @returns {Object} - Headers
+ */
+function getAuthHeaders(token) {
+  return {
+    Accept: 'application/json',
+    Authorization: `Bearer ${token}`,
+  };
+}
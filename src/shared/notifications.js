@@ -1,12 +1,20 @@
 /**
  * Toast Notification System
- * Custom toast notifications for user feedback
+ * Custom toast notifications for user feedback, optionally with action buttons.
+ * Rendered in a shadow root so site CSS and ours can't affect each other; messages
+ * are announced through live regions, and Escape dismisses the focused toast
+ *
+ * Actions are { label: string, onClick: Function, keepOpen?: boolean }; the
+ * notification is dismissed when one is clicked unless keepOpen is set
  */
 
 // Track active notifications
 const activeNotifications = new Map();
 let notificationCounter = 0;
 
+// Shadow root holding the container and live regions
+let notificationRoot = null;
+
 /**
  * Show a success notification
  * @param {string} message - Message to display
@@ -21,20 +29,22 @@ function showSuccess(message, duration = TIMEOUTS.NOTIFICATION_DURATION) {
  * Show an error notification
  * @param {string} message - Message to display
  * @param {number} duration - Duration in ms (default: auto-dismiss after 8s)
+ * @param {Object[]} actions - Action buttons (optional)
  * @returns {string} - Notification ID
  */
-function showError(message, duration = TIMEOUTS.NOTIFICATION_ERROR_DURATION) {
-  return showNotification(message, 'error', duration);
+function showError(message, duration = TIMEOUTS.NOTIFICATION_ERROR_DURATION, actions = []) {
+  return showNotification(message, 'error', duration, actions);
 }
 
 /**
  * Show an info notification
  * @param {string} message - Message to display
  * @param {number} duration - Duration in ms (default: auto-dismiss after 5s)
+ * @param {Object[]} actions - Action buttons (optional)
  * @returns {string} - Notification ID
  */
-function showInfo(message, duration = TIMEOUTS.NOTIFICATION_DURATION) {
-  return showNotification(message, 'info', duration);
+function showInfo(message, duration = TIMEOUTS.NOTIFICATION_DURATION, actions = []) {
+  return showNotification(message, 'info', duration, actions);
 }
 
 /**
@@ -52,8 +62,9 @@ function showLoading(message) {
  * @param {string} message - New message
  * @param {string} type - New type (success, error, info, loading)
  * @param {number} duration - New duration (0 = no auto-dismiss)
+ * @param {Object[]} actions - New action buttons (null keeps the current ones)
  */
-function updateNotification(id, message, type = null, duration = null) {
+function updateNotification(id, message, type = null, duration = null, actions = null) {
   const notification = activeNotifications.get(id);
 
   if (!notification) {
@@ -80,6 +91,13 @@ function updateNotification(id, message, type = null, duration = null) {
     }
   }
 
+  // Replace action buttons if provided
+  if (actions !== null) {
+    renderActions(notification, actions);
+  }
+
+  announce(message, notification.type);
+
   // Update duration if provided
   if (duration !== null) {
     // Clear existing timeout
@@ -116,15 +134,15 @@ function dismissNotification(id) {
     clearTimeout(notification.timeoutId);
   }
 
-  // Add exit animation
-  notification.element.style.animation = `atlSlideOut ${NOTIFICATION_CONFIG.ANIMATION_DURATION}ms ease-in forwards`;
+  // Add exit animation (skipped when the user prefers reduced motion)
+  notification.element.classList.add('atl-notification-leaving');
 
   // Remove after animation
   setTimeout(() => {
     removeElement(notification.element);
     activeNotifications.delete(id);
     repositionNotifications();
-  }, NOTIFICATION_CONFIG.ANIMATION_DURATION);
+  }, prefersReducedMotion() ? 0 : NOTIFICATION_CONFIG.ANIMATION_DURATION);
 }
 
 /**
@@ -140,21 +158,22 @@ function dismissAllNotifications() {
  * @param {string} message - Message to display
  * @param {string} type - Type (success, error, info, loading)
  * @param {number} duration - Duration in ms (0 = no auto-dismiss)
+ * @param {Object[]} actions - Action buttons (optional)
  * @returns {string} - Notification ID
  */
-function showNotification(message, type, duration) {
+function showNotification(message, type, duration, actions = []) {
   const id = `atl-notification-${++notificationCounter}`;
 
   log('debug', `Showing ${type} notification: ${message}`);
 
-  // Ensure container exists
+  // Ensure container exists (and matches the site's current theme)
   ensureContainer();
 
   // Create notification element
   const element = createNotificationElement(id, message, type);
 
   // Get container
-  const container = document.getElementById('atl-notification-container');
+  const container = notificationRoot.querySelector('.atl-notification-container');
   container.appendChild(element);
 
   // Store reference
@@ -166,6 +185,8 @@ function showNotification(message, type, duration) {
   };
 
   activeNotifications.set(id, notification);
+  renderActions(notification, actions);
+  announce(message, type);
 
   // Set auto-dismiss if duration > 0
   if (duration > 0) {
@@ -190,29 +211,47 @@ function showNotification(message, type, duration) {
 function createNotificationElement(id, message, type) {
   const icon = getIconForType(type);
 
+  // Announcements go through the live regions, so the toast itself isn't one
   const element = createElement('div', {
     attrs: {
       id,
       class: `atl-notification atl-notification-${type}`,
-      role: 'alert',
-    },
-    styles: {
-      animation: `atlSlideIn ${NOTIFICATION_CONFIG.ANIMATION_DURATION}ms ease-out`,
     },
   });
 
-  // Icon
+  // Escape dismisses the toast that has focus (loading toasts stay until they're updated)
+  element.addEventListener('keydown', (event) => {
+    const notification = activeNotifications.get(id);
+
+    if (event.key === 'Escape' && notification && notification.type !== 'loading') {
+      event.stopPropagation();
+      dismissNotification(id);
+    }
+  });
+
+  // Icon (decorative: the message says the same)
   const iconElement = createElement('div', {
-    attrs: { class: 'atl-notification-icon' },
+    attrs: { class: 'atl-notification-icon', 'aria-hidden': 'true' },
     text: icon,
   });
 
-  // Message
+  // Message, with room for action buttons below it
+  const bodyElement = createElement('div', {
+    attrs: { class: 'atl-notification-body' },
+  });
+
   const messageElement = createElement('div', {
     attrs: { class: 'atl-notification-message' },
     text: message,
   });
 
+  const actionsElement = createElement('div', {
+    attrs: { class: 'atl-notification-actions' },
+  });
+
+  bodyElement.appendChild(messageElement);
+  bodyElement.appendChild(actionsElement);
+
   // Close button (not for loading notifications)
   let closeButton = null;
   if (type !== 'loading') {
@@ -232,7 +271,7 @@ function createNotificationElement(id, message, type) {
 
   // Assemble
   element.appendChild(iconElement);
-  element.appendChild(messageElement);
+  element.appendChild(bodyElement);
   if (closeButton) {
     element.appendChild(closeButton);
   }
@@ -240,6 +279,43 @@ function createNotificationElement(id, message, type) {
   return element;
 }
 
+/**
+ * Replace a notification's action buttons
+ * @param {Object} notification - Active notification
+ * @param {Object[]} actions - Action buttons
+ */
+function renderActions(notification, actions) {
+  const actionsElement = notification.element.querySelector('.atl-notification-actions');
+  if (!actionsElement) return;
+
+  while (actionsElement.firstChild) {
+    actionsElement.removeChild(actionsElement.firstChild);
+  }
+
+  for (const action of actions) {
+    const button = createElement('button', {
+      attrs: {
+        class: 'atl-notification-action',
+        type: 'button',
+      },
+      text: action.label,
+    });
+
+    button.addEventListener('click', () => {
+      if (!action.keepOpen) {
+        dismissNotification(notification.id);
+      }
+
+      // Callbacks may be async; a failing one shouldn't go unnoticed
+      Promise.resolve()
+        .then(() => action.onClick())
+        .catch(error => log('error', `Notification action "${action.label}" failed:`, error));
+    });
+
+    actionsElement.appendChild(button);
+  }
+}
+
 /**
  * Get icon for notification type
  * @param {string} type - Notification type
@@ -262,59 +338,138 @@ function getIconForType(type) {
 
 /**
  * Ensure notification container exists
+ * The host is the only element added to the page; everything else lives in its shadow root
  */
 function ensureContainer() {
-  if (document.getElementById('atl-notification-container')) {
-    return;
+  let host = document.getElementById('atl-notification-host');
+
+  if (!host || !notificationRoot) {
+    log('debug', 'Creating notification container');
+
+    const shadow = createShadowHost('div', {
+      attrs: { id: 'atl-notification-host' },
+      styles: {
+        position: 'fixed',
+        top: `${NOTIFICATION_CONFIG.POSITION_TOP}px`,
+        right: `${NOTIFICATION_CONFIG.POSITION_RIGHT}px`,
+        zIndex: NOTIFICATION_CONFIG.Z_INDEX,
+        pointerEvents: 'none',
+      },
+    }, getNotificationStyles());
+
+    host = shadow.host;
+    notificationRoot = shadow.root;
+
+    notificationRoot.appendChild(createElement('div', {
+      attrs: {
+        class: 'atl-notification-container',
+        role: 'region',
+        'aria-label': `${EXTENSION_INFO.NAME} notifications`,
+      },
+    }));
+
+    // Errors interrupt, everything else waits its turn
+    notificationRoot.appendChild(createElement('div', {
+      attrs: { class: 'atl-live atl-live-polite', 'aria-live': 'polite', role: 'status' },
+    }));
+    notificationRoot.appendChild(createElement('div', {
+      attrs: { class: 'atl-live atl-live-assertive', 'aria-live': 'assertive', role: 'alert' },
+    }));
+
+    document.body.appendChild(host);
   }
 
-  log('debug', 'Creating notification container');
-
-  const container = createElement('div', {
-    attrs: { id: 'atl-notification-container' },
-    styles: {
-      position: 'fixed',
-      top: `${NOTIFICATION_CONFIG.POSITION_TOP}px`,
-      right: `${NOTIFICATION_CONFIG.POSITION_RIGHT}px`,
-      zIndex: NOTIFICATION_CONFIG.Z_INDEX,
-      display: 'flex',
-      flexDirection: 'column',
-      gap: '10px',
-      pointerEvents: 'none',
-    },
-  });
+  // The site's theme can change while the page is open
+  host.setAttribute('data-theme', detectPageTheme());
+}
 
-  document.body.appendChild(container);
+/**
+ * Announce a message to screen readers
+ * @param {string} message - Message text
+ * @param {string} type - Notification type (errors are announced assertively)
+ */
+function announce(message, type) {
+  if (!notificationRoot) return;
 
-  // Inject CSS if not already present
-  injectStyles();
+  const region = notificationRoot.querySelector(type === 'error' ? '.atl-live-assertive' : '.atl-live-polite');
+
+  // Clear first so repeating the same message is announced again
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+/**
+ * Check whether the user asked for reduced motion
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return Boolean(window.matchMedia) && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
 /**
  * Reposition all active notifications
  */
 function repositionNotifications() {
-  const container = document.getElementById('atl-notification-container');
-  if (!container) return;
+  if (!notificationRoot) return;
 
   // Notifications are stacked vertically using flexbox, no manual positioning needed
   log('debug', `Active notifications: ${activeNotifications.size}`);
 }
 
 /**
- * Inject CSS styles for notifications
+ * Get the CSS for the notification shadow root
+ * Colours come from custom properties so the dark theme only swaps values
+ * @returns {string} - CSS
  */
-function injectStyles() {
-  if (document.getElementById('atl-notification-styles')) {
-    return;
-  }
+function getNotificationStyles() {
+  return `
+    :host {
+      --atl-background: white;
+      --atl-text: #333;
+      --atl-muted: #999;
+      --atl-shadow: rgba(0, 0, 0, 0.15);
+      --atl-action-background: #f5f5f5;
+      --atl-action-hover: #e8e8e8;
+      --atl-action-border: #ddd;
+      --atl-focus: #2196F3;
+    }
+
+    :host([data-theme="dark"]) {
+      --atl-background: #2f2d2a;
+      --atl-text: #eee;
+      --atl-muted: #aaa;
+      --atl-shadow: rgba(0, 0, 0, 0.5);
+      --atl-action-background: #3d3a36;
+      --atl-action-hover: #4a4641;
+      --atl-action-border: #56524c;
+      --atl-focus: #64B5F6;
+    }
+
+    .atl-notification-container {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    }
+
+    .atl-live {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      border: 0;
+      white-space: nowrap;
+    }
 
-  const styles = `
     .atl-notification {
-      background: white;
+      background: var(--atl-background);
       border-radius: 8px;
       padding: 12px 16px;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      box-shadow: 0 4px 12px var(--atl-shadow);
       display: flex;
       align-items: center;
       gap: 12px;
@@ -325,6 +480,11 @@ function injectStyles() {
       font-size: 14px;
       line-height: 1.4;
       border-left: 4px solid #ccc;
+      animation: atlSlideIn ${NOTIFICATION_CONFIG.ANIMATION_DURATION}ms ease-out;
+    }
+
+    .atl-notification-leaving {
+      animation: atlSlideOut ${NOTIFICATION_CONFIG.ANIMATION_DURATION}ms ease-in forwards;
     }
 
     .atl-notification-success {
@@ -371,15 +531,43 @@ function injectStyles() {
       animation: atlSpin 1s linear infinite;
     }
 
-    .atl-notification-message {
+    .atl-notification-body {
       flex: 1;
-      color: #333;
+    }
+
+    .atl-notification-message {
+      color: var(--atl-text);
+    }
+
+    .atl-notification-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+
+    .atl-notification-actions:not(:empty) {
+      margin-top: 8px;
+    }
+
+    .atl-notification-action {
+      background: var(--atl-action-background);
+      border: 1px solid var(--atl-action-border);
+      border-radius: 4px;
+      color: var(--atl-text);
+      cursor: pointer;
+      font: inherit;
+      font-size: 13px;
+      padding: 3px 10px;
+    }
+
+    .atl-notification-action:hover {
+      background: var(--atl-action-hover);
     }
 
     .atl-notification-close {
       background: none;
       border: none;
-      color: #999;
+      color: var(--atl-muted);
       font-size: 24px;
       line-height: 1;
       cursor: pointer;
@@ -394,7 +582,25 @@ function injectStyles() {
     }
 
     .atl-notification-close:hover {
-      color: #333;
+      color: var(--atl-text);
+    }
+
+    .atl-notification-action:focus,
+    .atl-notification-close:focus {
+      outline: 2px solid var(--atl-focus);
+      outline-offset: 1px;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .atl-notification,
+      .atl-notification-leaving,
+      .atl-notification-loading .atl-notification-icon {
+        animation: none;
+      }
+
+      .atl-notification-close {
+        transition: none;
+      }
     }
 
     @keyframes atlSlideIn {
@@ -428,13 +634,4 @@ function injectStyles() {
       }
     }
   `;
-
-  const styleElement = createElement('style', {
-    attrs: { id: 'atl-notification-styles' },
-    text: styles,
-  });
-
-  document.head.appendChild(styleElement);
-
-  log('debug', 'Notification styles injected');
 }
@@ -0,0 +1,161 @@
+/**
+ * Chess.com Page Types
+ * A variant game can be shown on its own variant page, on the live, daily and computer
+ * game pages and on Chess.com's analysis board. Each kind of page gets the game from
+ * different places and has its controls somewhere else, so the content script asks
+ * the page type how to extract the PGN and where to put the buttons
+ */
+
+/**
+ * Button placements
+ * Selector keys refer to CHESS_COM_SELECTORS, so selector overrides apply to them too
+ */
+const BUTTON_PLACEMENTS = {
+  // In the moves panel, after the download button, sized like its neighbours
+  movesControls: { container: 'MOVES_CONTROLS_ROW', after: 'PGN_BUTTON_PRIMARY', hostClass: 'moves-btn-icon' },
+  // At the end of the analysis board's controls
+  analysisControls: { container: 'ANALYSIS_CONTROLS', after: null, hostClass: null },
+};
+
+/**
+ * Page types, by the CHESS_COM_PAGE_PATTERNS key that recognises them
+ * strategies - PGN extraction strategies to try, in order (see the Chess.com content script)
+ * placement - Key of BUTTON_PLACEMENTS
+ * gameKind - Kind of game, to pick the callback endpoint to try first (analysis pages read it from the URL)
+ * variantInUrl - Whether the URL names the variant; otherwise it's read from the game data
+ */
+const CHESS_COM_PAGE_TYPES = {
+  variant: {
+    label: 'variant game',
+    strategies: ['gameData', 'download', 'moveList'],
+    placement: 'movesControls',
+    gameKind: 'variants',
+    variantInUrl: true,
+  },
+  live: {
+    label: 'live game',
+    strategies: ['gameData', 'download', 'moveList'],
+    placement: 'movesControls',
+    gameKind: 'live',
+    variantInUrl: false,
+  },
+  daily: {
+    label: 'daily game',
+    strategies: ['gameData', 'download', 'moveList'],
+    placement: 'movesControls',
+    gameKind: 'daily',
+    variantInUrl: false,
+  },
+  // Computer games may not be available from the callback endpoints, so the page comes first
+  computer: {
+    label: 'computer game',
+    strategies: ['download', 'moveList', 'gameData'],
+    placement: 'movesControls',
+    gameKind: 'computer',
+    variantInUrl: false,
+  },
+  // The analysis board has no download button in its move list
+  analysis: {
+    label: 'analysis board',
+    strategies: ['gameData', 'moveList'],
+    placement: 'analysisControls',
+    gameKind: null,
+    variantInUrl: false,
+  },
+};
+
+/**
+ * Work out which kind of Chess.com game page a URL is
+ * @param {string} url - Page URL
+ * @returns {Object|null} - { type, gameId, gameKind, ...CHESS_COM_PAGE_TYPES entry }, or null
+ *                          when the URL isn't a game page
+ */
+function classifyChessComPage(url) {
+  for (const [type, pattern] of Object.entries(CHESS_COM_PAGE_PATTERNS)) {
+    const match = (url || '').match(pattern);
+    if (!match) continue;
+
+    const pageType = CHESS_COM_PAGE_TYPES[type];
+    // Analysis URLs say which kind of game is being analysed ("variant" is "variants" there too)
+    const gameKind = pageType.gameKind || match[1].toLowerCase().replace(/^variant$/, 'variants');
+
+    return Object.assign({}, pageType, { type, gameId: match[match.length - 1], gameKind });
+  }
+
+  return null;
+}
+
+// Variants of games on pages that don't name it in the URL, by kind and game ID
+// (the same game is re-initialised on every navigation back to it)
+const pageVariantCache = new Map();
+
+/**
+ * Order the callback endpoints so the one for the page's kind of game is tried first
+ * @param {string} gameKind - Kind of game ('variants', 'live', 'daily', 'computer')
+ * @returns {string[]} - Endpoint templates (see CHESS_COM_API.GAME_ENDPOINTS)
+ */
+function getGameEndpoints(gameKind) {
+  const endpoints = CHESS_COM_API.GAME_ENDPOINTS;
+  const own = endpoints.filter(endpoint => endpoint.includes(`/${gameKind}/`));
+
+  return own.concat(endpoints.filter(endpoint => !own.includes(endpoint)));
+}
+
+/**
+ * Find out which variant the game on a page is
+ * The URL says on variant pages. Elsewhere the game header is read when the caller knows
+ * it belongs to this game, and the game data is fetched when the header names no variant.
+ * Answers from the game data are cached per game
+ * @param {Object} page - From classifyChessComPage
+ * @param {string} url - Page URL
+ * @param {Object} options - Options
+ * @param {boolean} options.readHeader - Whether the page's game header shows this game
+ *                                       (not after a navigation, it may still show the last one)
+ * @returns {Promise<string|null>} - Variant key, or null for standard chess and unsupported variants
+ */
+async function resolvePageVariant(page, url, { readHeader = false } = {}) {
+  if (page.variantInUrl) {
+    return detectVariantFromUrl(url);
+  }
+
+  const cacheKey = `${page.gameKind}:${page.gameId}`;
+
+  if (pageVariantCache.has(cacheKey)) {
+    return pageVariantCache.get(cacheKey);
+  }
+
+  // Only a header that names a variant settles it: a missing or partly rendered header proves nothing
+  const marked = readHeader ? readPageVariant() : null;
+
+  if (marked) {
+    pageVariantCache.set(cacheKey, marked);
+    return marked;
+  }
+
+  try {
+    const data = await fetchGameData(page.gameId, { endpoints: getGameEndpoints(page.gameKind) });
+    const variant = readGameDataVariant(data);
+
+    pageVariantCache.set(cacheKey, variant);
+    return variant;
+  } catch (error) {
+    // Not cached, so the next visit tries again
+    log('debug', `Could not tell the variant of game ${page.gameId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read the variant from the game type label in the game header
+ * @returns {string|null} - Variant key, or null if the label isn't rendered or names no variant
+ */
+function readPageVariant() {
+  const labels = Array.from(document.querySelectorAll(CHESS_COM_SELECTORS.GAME_TYPE_LABEL));
+  const variant = labels.map(label => detectVariantFromText(label.textContent)).find(Boolean) || null;
+
+  if (variant) {
+    log('debug', `Game header says ${variant}`);
+  }
+
+  return variant;
+}
@@ -0,0 +1,702 @@
+/**
+ * PGN Parser Module
+ * Tokenizes and parses PGN (tags, movetext with comments, NAGs and variations)
+ * into a structured game object, and serializes it back to PGN
+ *
+ * Game object:
+ *   { tags: Object, tagOrder: string[], comments: string[], moves: MoveNode[], result: string|null }
+ * MoveNode:
+ *   { san, ply, nags: number[], commentsBefore: string[], comments: string[], variations: MoveNode[][], line, column }
+ *
+ * `ply` is the absolute half-move number (1 = White's first move from the standard start).
+ */
+
+/**
+ * Tag order used when serializing (Seven Tag Roster first, then everything else as parsed)
+ */
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+/**
+ * Game termination markers
+ */
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+/**
+ * Move suffix annotations and their NAG equivalents
+ */
+const SUFFIX_ANNOTATION_NAGS = {
+  '!': 1,
+  '?': 2,
+  '!!': 3,
+  '??': 4,
+  '!?': 5,
+  '?!': 6,
+};
+
+/**
+ * Serializer configuration
+ */
+const PGN_FORMAT = {
+  // Export format line length limit (PGN spec 8.2.2)
+  MAX_LINE_LENGTH: 80,
+};
+
+/**
+ * Create a PGN syntax error carrying its position
+ * @param {string} message - What went wrong
+ * @param {Object} position - { line, column }
+ * @returns {Error}
+ */
+function createPGNSyntaxError(message, position) {
+  const error = new Error(`Line ${position.line}, column ${position.column}: ${message}`);
+  error.name = 'PGNSyntaxError';
+  error.line = position.line;
+  error.column = position.column;
+  return error;
+}
+
+/**
+ * Create a lazy PGN tokenizer
+ * Tokens: { type, value, line, column } where type is one of
+ * string, symbol, nag, suffix, comment, period, asterisk, lbracket, rbracket, lparen, rparen, eof
+ *
+ * @param {string} text - PGN text
+ * @returns {Object} - { next(): token, peek(): token }
+ */
+function createPGNLexer(text) {
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+  let buffered = null;
+
+  function advance() {
+    if (text[pos] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    pos++;
+  }
+
+  function skipToEndOfLine() {
+    while (pos < text.length && text[pos] !== '\n') {
+      advance();
+    }
+  }
+
+  function isSymbolStart(ch) {
+    return /[A-Za-z0-9]/.test(ch);
+  }
+
+  function isSymbolContinuation(ch) {
+    // '@' is not in the spec, but crazyhouse drops (N@f3) need it
+    return /[A-Za-z0-9_+#=:\-/@]/.test(ch);
+  }
+
+  function readToken() {
+    // Skip whitespace and % escape lines
+    while (pos < text.length) {
+      const ch = text[pos];
+
+      if (/\s/.test(ch)) {
+        advance();
+      } else if (ch === '%' && column === 1) {
+        skipToEndOfLine();
+      } else {
+        break;
+      }
+    }
+
+    const start = { line, column };
+
+    if (pos >= text.length) {
+      return { type: 'eof', value: null, ...start };
+    }
+
+    const ch = text[pos];
+
+    // Tag value string with \" and \\ escapes
+    if (ch === '"') {
+      advance();
+      let value = '';
+
+      while (pos < text.length && text[pos] !== '"') {
+        if (text[pos] === '\n') {
+          throw createPGNSyntaxError('Unterminated string', start);
+        }
+        if (text[pos] === '\\' && (text[pos + 1] === '"' || text[pos + 1] === '\\')) {
+          advance();
+        }
+        value += text[pos];
+        advance();
+      }
+
+      if (pos >= text.length) {
+        throw createPGNSyntaxError('Unterminated string', start);
+      }
+
+      advance();
+      return { type: 'string', value, ...start };
+    }
+
+    // Brace comment (may span lines, does not nest)
+    if (ch === '{') {
+      advance();
+      let value = '';
+
+      while (pos < text.length && text[pos] !== '}') {
+        value += text[pos];
+        advance();
+      }
+
+      if (pos >= text.length) {
+        throw createPGNSyntaxError('Unterminated comment', start);
+      }
+
+      advance();
+      return { type: 'comment', value: value.trim(), ...start };
+    }
+
+    // Rest-of-line comment
+    if (ch === ';') {
+      advance();
+      const from = pos;
+      skipToEndOfLine();
+      return { type: 'comment', value: text.slice(from, pos).trim(), ...start };
+    }
+
+    // Numeric annotation glyph
+    if (ch === '$') {
+      advance();
+      let digits = '';
+
+      while (pos < text.length && /[0-9]/.test(text[pos])) {
+        digits += text[pos];
+        advance();
+      }
+
+      if (!digits) {
+        throw createPGNSyntaxError('NAG without a number', start);
+      }
+
+      return { type: 'nag', value: parseInt(digits, 10), ...start };
+    }
+
+    // Suffix annotations (!, ?, !!, ??, !?, ?!)
+    if (ch === '!' || ch === '?') {
+      let value = '';
+
+      while (pos < text.length && (text[pos] === '!' || text[pos] === '?')) {
+        value += text[pos];
+        advance();
+      }
+
+      if (!SUFFIX_ANNOTATION_NAGS[value]) {
+        throw createPGNSyntaxError(`Unknown annotation '${value}'`, start);
+      }
+
+      return { type: 'suffix', value, ...start };
+    }
+
+    const punctuation = {
+      '.': 'period',
+      '*': 'asterisk',
+      '[': 'lbracket',
+      ']': 'rbracket',
+      '(': 'lparen',
+      ')': 'rparen',
+    };
+
+    if (punctuation[ch]) {
+      advance();
+      return { type: punctuation[ch], value: ch, ...start };
+    }
+
+    if (isSymbolStart(ch)) {
+      let value = '';
+
+      while (pos < text.length && isSymbolContinuation(text[pos])) {
+        value += text[pos];
+        advance();
+      }
+
+      return { type: 'symbol', value, ...start };
+    }
+
+    throw createPGNSyntaxError(`Unexpected character '${ch}'`, start);
+  }
+
+  return {
+    next() {
+      const token = buffered || readToken();
+      buffered = null;
+      return token;
+    },
+    peek() {
+      if (!buffered) {
+        buffered = readToken();
+      }
+      return buffered;
+    },
+  };
+}
+
+/**
+ * Parse every game in a PGN text
+ * @param {string} text - PGN text (one or more games)
+ * @returns {Object[]} - Game objects
+ * @throws {Error} - PGNSyntaxError with line/column on malformed input
+ */
+function parseGames(text) {
+  const lexer = createPGNLexer(text || '');
+  const games = [];
+
+  while (lexer.peek().type !== 'eof') {
+    games.push(parseGame(lexer));
+  }
+
+  return games;
+}
+
+/**
+ * Parse a single-game PGN
+ * @param {string} text - PGN text
+ * @returns {Object} - Game object (the first game, if there are several)
+ * @throws {Error} - PGNSyntaxError with line/column on malformed input
+ */
+function parsePGN(text) {
+  const games = parseGames(text);
+
+  if (games.length === 0) {
+    throw createPGNSyntaxError('No game found', { line: 1, column: 1 });
+  }
+
+  return games[0];
+}
+
+/**
+ * Parse only the tag pair section, tolerating errors further on
+ * @param {string} text - PGN text
+ * @returns {Object} - { tags: Object, tagOrder: string[] }
+ */
+function parsePGNTags(text) {
+  const lexer = createPGNLexer(text || '');
+  const game = createEmptyGame();
+
+  try {
+    parseTagSection(lexer, game);
+  } catch (error) {
+    log('debug', 'Stopped reading tags:', error.message);
+  }
+
+  return { tags: game.tags, tagOrder: game.tagOrder };
+}
+
+/**
+ * Create an empty game object
+ * @returns {Object}
+ */
+function createEmptyGame() {
+  return {
+    tags: {},
+    tagOrder: [],
+    comments: [],
+    moves: [],
+    result: null,
+  };
+}
+
+/**
+ * Parse one game (tag section + movetext) from the lexer
+ * @param {Object} lexer - PGN lexer
+ * @returns {Object} - Game object
+ */
+function parseGame(lexer) {
+  const game = createEmptyGame();
+
+  parseTagSection(lexer, game);
+
+  const startPly = getStartingPly(game.tags);
+  game.moves = parseMovetext(lexer, game, startPly, null);
+
+  return game;
+}
+
+/**
+ * Parse tag pairs: [Name "value"]
+ * @param {Object} lexer - PGN lexer
+ * @param {Object} game - Game object to fill
+ */
+function parseTagSection(lexer, game) {
+  while (lexer.peek().type === 'lbracket') {
+    lexer.next();
+
+    const name = lexer.next();
+    if (name.type !== 'symbol') {
+      throw createPGNSyntaxError('Expected tag name', name);
+    }
+
+    const value = lexer.next();
+    if (value.type !== 'string') {
+      throw createPGNSyntaxError(`Expected quoted value for tag ${name.value}`, value);
+    }
+
+    const close = lexer.next();
+    if (close.type !== 'rbracket') {
+      throw createPGNSyntaxError(`Expected ']' after tag ${name.value}`, close);
+    }
+
+    if (!(name.value in game.tags)) {
+      game.tagOrder.push(name.value);
+    }
+    game.tags[name.value] = value.value;
+  }
+}
+
+/**
+ * Parse a movetext sequence (mainline or variation)
+ * @param {Object} lexer - PGN lexer
+ * @param {Object} game - Game object (receives result and pre-game comments)
+ * @param {number} startPly - Ply of the position before the first move
+ * @param {Object|null} openParen - The '(' token for variations, null for the mainline
+ * @returns {Object[]} - Move nodes
+ */
+function parseMovetext(lexer, game, startPly, openParen) {
+  const nodes = [];
+  let pendingComments = [];
+  let ply = startPly;
+
+  for (;;) {
+    const token = lexer.peek();
+
+    switch (token.type) {
+      case 'eof':
+        if (openParen) {
+          throw createPGNSyntaxError('Unterminated variation', openParen);
+        }
+        lexer.next();
+        flushTrailingComments(nodes, pendingComments, game);
+        return nodes;
+
+      case 'lbracket':
+        // A new game's tag section starts without a result for this one
+        if (openParen) {
+          throw createPGNSyntaxError("Unexpected '[' inside variation", token);
+        }
+        flushTrailingComments(nodes, pendingComments, game);
+        return nodes;
+
+      case 'rparen':
+        lexer.next();
+        if (!openParen) {
+          throw createPGNSyntaxError("Unexpected ')'", token);
+        }
+        flushTrailingComments(nodes, pendingComments, game);
+        return nodes;
+
+      case 'asterisk':
+        lexer.next();
+        if (openParen) {
+          throw createPGNSyntaxError('Game result inside variation', token);
+        }
+        game.result = '*';
+        flushTrailingComments(nodes, pendingComments, game);
+        return nodes;
+
+      case 'period':
+        lexer.next();
+        break;
+
+      case 'comment':
+        lexer.next();
+        if (nodes.length > 0 && pendingComments.length === 0) {
+          nodes[nodes.length - 1].comments.push(token.value);
+        } else {
+          pendingComments.push(token.value);
+        }
+        break;
+
+      case 'nag':
+      case 'suffix': {
+        lexer.next();
+        if (nodes.length === 0) {
+          throw createPGNSyntaxError('Annotation before any move', token);
+        }
+        const nag = token.type === 'nag' ? token.value : SUFFIX_ANNOTATION_NAGS[token.value];
+        nodes[nodes.length - 1].nags.push(nag);
+        break;
+      }
+
+      case 'lparen': {
+        lexer.next();
+        if (nodes.length === 0) {
+          throw createPGNSyntaxError('Variation before any move', token);
+        }
+        const parent = nodes[nodes.length - 1];
+        const variation = parseMovetext(lexer, game, parent.ply - 1, token);
+        if (variation.length > 0) {
+          parent.variations.push(variation);
+        }
+        break;
+      }
+
+      case 'symbol':
+        lexer.next();
+
+        // Move number indication (followed by periods, skipped above)
+        if (/^[0-9]+$/.test(token.value)) {
+          break;
+        }
+
+        if (PGN_RESULTS.includes(token.value)) {
+          if (openParen) {
+            throw createPGNSyntaxError('Game result inside variation', token);
+          }
+          game.result = token.value;
+          flushTrailingComments(nodes, pendingComments, game);
+          return nodes;
+        }
+
+        if (!REGEX_PATTERNS.SAN_TOKEN.test(token.value)) {
+          throw createPGNSyntaxError(`Invalid move '${token.value}'`, token);
+        }
+
+        ply++;
+        nodes.push({
+          san: token.value,
+          ply,
+          nags: [],
+          commentsBefore: pendingComments,
+          comments: [],
+          variations: [],
+          line: token.line,
+          column: token.column,
+        });
+        pendingComments = [];
+        break;
+
+      default:
+        throw createPGNSyntaxError(`Unexpected '${token.value}'`, token);
+    }
+  }
+}
+
+/**
+ * Attach comments left over at the end of a sequence
+ * @param {Object[]} nodes - Move nodes of the sequence
+ * @param {string[]} comments - Comments not yet attached
+ * @param {Object} game - Game object (holds comments of a game without moves)
+ */
+function flushTrailingComments(nodes, comments, game) {
+  if (comments.length === 0) return;
+
+  if (nodes.length > 0) {
+    nodes[nodes.length - 1].comments.push(...comments);
+  } else {
+    game.comments.push(...comments);
+  }
+}
+
+/**
+ * Work out the ply before the first move (non-zero for games set up from a FEN)
+ * @param {Object} tags - Game tags
+ * @returns {number} - Ply count before the first move
+ */
+function getStartingPly(tags) {
+  if (!tags.FEN) return 0;
+
+  const fields = tags.FEN.trim().split(/\s+/);
+  const blackToMove = fields[1] === 'b';
+  const fullmove = parseInt(fields[5], 10) || 1;
+
+  return (fullmove - 1) * 2 + (blackToMove ? 1 : 0);
+}
+
+/**
+ * Build a game object from tags and a list of SAN moves
+ * @param {Object} tags - Tag pairs (insertion order is kept)
+ * @param {string[]} sanMoves - Mainline moves in SAN
+ * @param {string} result - Game result (default: tags.Result or '*')
+ * @returns {Object} - Game object
+ */
+function buildGame(tags, sanMoves, result = null) {
+  const game = createEmptyGame();
+
+  for (const [name, value] of Object.entries(tags)) {
+    if (value === null || value === undefined) continue;
+    game.tags[name] = String(value);
+    game.tagOrder.push(name);
+  }
+
+  const startPly = getStartingPly(game.tags);
+  game.moves = sanMoves.map((san, index) => ({
+    san,
+    ply: startPly + index + 1,
+    nags: [],
+    commentsBefore: [],
+    comments: [],
+    variations: [],
+  }));
+  game.result = result || game.tags.Result || '*';
+
+  return game;
+}
+
+/**
+ * Get the mainline moves as SAN strings
+ * @param {Object} game - Game object
+ * @returns {string[]} - SAN moves
+ */
+function getMainlineSANs(game) {
+  return game.moves.map(node => node.san);
+}
+
+/**
+ * Serialize a game object to PGN export format
+ * @param {Object} game - Game object
+ * @param {Object} options - Options object
+ * @param {number} options.maxLineLength - Movetext line length (default: PGN_FORMAT.MAX_LINE_LENGTH)
+ * @returns {string} - PGN text
+ */
+function serializePGN(game, options = {}) {
+  const tagNames = [
+    ...SEVEN_TAG_ROSTER.filter(name => name in game.tags),
+    ...game.tagOrder.filter(name => !SEVEN_TAG_ROSTER.includes(name)),
+  ];
+
+  const tagLines = tagNames.map(name => `[${name} "${escapeTagValue(game.tags[name])}"]`);
+  const movetext = serializeMovetext(game, options);
+
+  return tagLines.length > 0
+    ? `${tagLines.join('\n')}\n\n${movetext}`
+    : movetext;
+}
+
+/**
+ * Serialize the movetext section (moves and result) of a game
+ * @param {Object} game - Game object
+ * @param {Object} options - Options object
+ * @param {number} options.maxLineLength - Line length, 0 for a single line (default: PGN_FORMAT.MAX_LINE_LENGTH)
+ * @returns {string} - Movetext
+ */
+function serializeMovetext(game, options = {}) {
+  const maxLineLength = options.maxLineLength === undefined
+    ? PGN_FORMAT.MAX_LINE_LENGTH
+    : options.maxLineLength;
+
+  const tokens = [
+    ...commentsToTokens(game.comments),
+    ...movetextTokens(game.moves),
+    game.result || game.tags.Result || '*',
+  ];
+
+  return wrapTokens(tokens, maxLineLength);
+}
+
+/**
+ * Build movetext tokens for a move sequence
+ * @param {Object[]} nodes - Move nodes
+ * @returns {string[]} - Tokens
+ */
+function movetextTokens(nodes) {
+  const tokens = [];
+  let needsNumber = true;
+
+  for (const node of nodes) {
+    if (node.commentsBefore.length > 0) {
+      tokens.push(...commentsToTokens(node.commentsBefore));
+      needsNumber = true;
+    }
+
+    const moveNumber = Math.ceil(node.ply / 2);
+    const isWhiteMove = node.ply % 2 === 1;
+
+    if (isWhiteMove) {
+      tokens.push(`${moveNumber}.`);
+    } else if (needsNumber) {
+      tokens.push(`${moveNumber}...`);
+    }
+
+    tokens.push(node.san);
+    tokens.push(...node.nags.map(nag => `$${nag}`));
+    tokens.push(...commentsToTokens(node.comments));
+    needsNumber = node.comments.length > 0;
+
+    for (const variation of node.variations) {
+      const variationTokens = movetextTokens(variation);
+      variationTokens[0] = `(${variationTokens[0]}`;
+      variationTokens[variationTokens.length - 1] += ')';
+      tokens.push(...variationTokens);
+      needsNumber = true;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build tokens for a list of comments
+ * @param {string[]} comments - Comment texts
+ * @returns {string[]} - Tokens
+ */
+function commentsToTokens(comments) {
+  return [].concat(...comments.map(commentTokens));
+}
+
+/**
+ * Split a comment into tokens so long comments can wrap
+ * @param {string} comment - Comment text
+ * @returns {string[]} - Tokens, the first starting with '{' and the last ending with '}'
+ */
+function commentTokens(comment) {
+  // A '}' would end the comment early, so drop it
+  const words = comment.replace(/}/g, '').split(/\s+/).filter(Boolean);
+
+  if (words.length === 0) {
+    return ['{}'];
+  }
+
+  words[0] = `{${words[0]}`;
+  words[words.length - 1] += '}';
+  return words;
+}
+
+/**
+ * Join tokens into lines no longer than maxLineLength
+ * @param {string[]} tokens - Tokens
+ * @param {number} maxLineLength - Line length limit (0 = no wrapping)
+ * @returns {string}
+ */
+function wrapTokens(tokens, maxLineLength) {
+  if (!maxLineLength) {
+    return tokens.join(' ');
+  }
+
+  const lines = [];
+  let current = '';
+
+  for (const token of tokens) {
+    if (current && current.length + 1 + token.length > maxLineLength) {
+      lines.push(current);
+      current = token;
+    } else {
+      current = current ? `${current} ${token}` : token;
+    }
+  }
+
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape a tag value for output
+ * @param {string} value - Tag value
+ * @returns {string}
+ */
+function escapeTagValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
@@ -1,36 +1,21 @@
 /**
  * PGN Validator Module
  * Validates and sanitizes PGN format
+ * What's checked beyond the PGN syntax depends on the variant (see VARIANT_RULES)
  */
 
-
-
 /**
  * Required PGN headers
  */
 const REQUIRED_HEADERS = ['Event', 'Site', 'Date', 'White', 'Black', 'Result'];
 
 /**
- * Optional but common PGN headers
- */
-const OPTIONAL_HEADERS = [
-  'WhiteElo',
-  'BlackElo',
-  'TimeControl',
-  'Variant',
-  'ECO',
-  'Opening',
-  'Termination',
-  'Round',
-  'Annotator',
-];
-
-/**
- * Validate PGN format
+ * Validate PGN format against the variant's rule set
  * @param {string} pgn - PGN string to validate
+ * @param {string} variant - Expected variant key (default: atomic)
  * @returns {Object} - Validation result { valid: boolean, errors: string[], warnings: string[] }
  */
-function validatePGN(pgn) {
+function validatePGN(pgn, variant = 'atomic') {
   const errors = [];
   const warnings = [];
 
@@ -46,34 +31,59 @@ function validatePGN(pgn) {
     return { valid: false, errors, warnings };
   }
 
-  // Check for required headers
-  const headers = extractHeaders(trimmedPGN);
+  // Parse the game (syntax errors carry their line/column)
+  let game;
+
+  try {
+    game = parsePGN(pgn);
+  } catch (error) {
+    errors.push(error.message);
+    log('warn', 'PGN validation failed:', errors);
+    return { valid: false, errors, warnings };
+  }
 
-  for (const requiredHeader of REQUIRED_HEADERS) {
+  const headers = game.tags;
+  const rules = getVariantRules(variant);
+
+  // Check for required headers
+  for (const requiredHeader of rules.requiredHeaders) {
     if (!headers[requiredHeader]) {
       errors.push(`Missing required header: ${requiredHeader}`);
     }
   }
 
   // Check for moves section
-  const hasMoves = checkForMoves(trimmedPGN);
-  if (!hasMoves) {
+  if (game.moves.length === 0) {
     warnings.push('No moves found in PGN');
   }
 
+  // Check every mainline move is one the variant allows (before replaying, for a clearer message)
+  const badMove = game.moves.find(node => !rules.moveToken.test(node.san));
+
+  if (badMove) {
+    errors.push(`${formatMoveLabel(badMove)} isn't allowed in ${rules.name} (${rules.tokenHint})`);
+  }
+
   // Check for result consistency
   if (headers.Result) {
-    const validResults = ['1-0', '0-1', '1/2-1/2', '*'];
-    if (!validResults.includes(headers.Result)) {
+    if (!PGN_RESULTS.includes(headers.Result)) {
       warnings.push(`Unusual result format: ${headers.Result}`);
+    } else if (game.result && game.result !== headers.Result) {
+      warnings.push(`Result header "${headers.Result}" does not match movetext result "${game.result}"`);
     }
   }
 
-  // Check for variant header (important for atomic chess)
-  if (!headers.Variant) {
-    warnings.push('No Variant header found (should be "atomic" for atomic chess)');
-  } else if (headers.Variant.toLowerCase() !== 'atomic') {
-    warnings.push(`Variant is "${headers.Variant}" (expected "atomic")`);
+  if (!game.result) {
+    warnings.push('Movetext has no game termination marker');
+  }
+
+  // Check the Variant header names this variant (Lichess imports what it says)
+  if (headers.Variant && !rules.isVariantHeader(headers.Variant)) {
+    warnings.push(`Variant is "${headers.Variant}" but the game is checked as ${rules.name}`);
+  }
+
+  if (rules.checkHeaders) {
+    warnings.push(...rules.checkHeaders(headers));
   }
 
   const valid = errors.length === 0;
@@ -89,33 +99,26 @@ function validatePGN(pgn) {
 
 /**
  * Extract headers from PGN
+ * Reads the tag section only, so headers are available even if the movetext is broken
  * @param {string} pgn - PGN string
  * @returns {Object} - Headers object
  */
 function extractHeaders(pgn) {
-  const headers = {};
-  const lines = pgn.split('\n');
-
-  for (const line of lines) {
-    const match = line.match(REGEX_PATTERNS.PGN_HEADER);
-    if (match) {
-      const [, key, value] = match;
-      headers[key] = value;
-    }
-  }
-
-  return headers;
+  return parsePGNTags(pgn).tags;
 }
 
 /**
- * Check if PGN contains moves
+ * Parse PGN, returning null instead of throwing on malformed input
  * @param {string} pgn - PGN string
- * @returns {boolean} - True if moves found
+ * @returns {Object|null} - Game object or null
  */
-function checkForMoves(pgn) {
-  // Look for move numbers (e.g., "1.", "2.", etc.)
-  const movePattern = /\d+\.\s*[a-zA-Z]/;
-  return movePattern.test(pgn);
+function tryParsePGN(pgn) {
+  try {
+    return parsePGN(pgn);
+  } catch (error) {
+    log('debug', 'PGN parse failed:', error.message);
+    return null;
+  }
 }
 
 /**
@@ -156,38 +159,15 @@ function sanitizePGN(pgn) {
 
 /**
  * Format PGN for display
+ * Re-serializes the parsed game in export format; returns the sanitized text if it doesn't parse
  * @param {string} pgn - PGN string
  * @returns {string} - Formatted PGN
  */
 function formatPGN(pgn) {
   const sanitized = sanitizePGN(pgn);
-  const lines = sanitized.split('\n');
-  const formatted = [];
-
-  let inHeaders = true;
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    if (trimmedLine.length === 0) {
-      if (inHeaders) {
-        // Empty line marks end of headers
-        inHeaders = false;
-        formatted.push('');
-      }
-      continue;
-    }
-
-    if (REGEX_PATTERNS.PGN_HEADER.test(trimmedLine)) {
-      // Header line
-      formatted.push(trimmedLine);
-    } else {
-      // Moves line
-      formatted.push(trimmedLine);
-    }
-  }
+  const game = tryParsePGN(sanitized);
 
-  return formatted.join('\n');
+  return game ? serializePGN(game) : sanitized;
 }
 
 /**
@@ -196,8 +176,9 @@ function formatPGN(pgn) {
  * @returns {Object} - PGN info object
  */
 function getPGNInfo(pgn) {
-  const headers = extractHeaders(pgn);
-  const hasMoves = checkForMoves(pgn);
+  const game = tryParsePGN(pgn);
+  const headers = game ? game.tags : extractHeaders(pgn);
+  const hasMoves = game ? game.moves.length > 0 : false;
 
   return {
     white: headers.White || 'Unknown',
@@ -212,114 +193,139 @@ function getPGNInfo(pgn) {
 }
 
 /**
- * Check if PGN is for atomic variant
+ * Work out which colour one of the given players had
  * @param {string} pgn - PGN string
- * @returns {boolean} - True if atomic variant
+ * @param {string[]} usernames - Lowercased usernames
+ * @returns {string|null} - 'white', 'black' or null if neither player matches
  */
-function isAtomicPGN(pgn) {
+function getPlayerColor(pgn, usernames) {
   const headers = extractHeaders(pgn);
-  const variant = headers.Variant || '';
-  return variant.toLowerCase().includes('atomic');
+  const isMine = name => Boolean(name) && usernames.includes(name.trim().toLowerCase());
+
+  if (isMine(headers.White)) return 'white';
+  if (isMine(headers.Black)) return 'black';
+  return null;
 }
 
 /**
  * Extract moves from PGN (without headers)
  * @param {string} pgn - PGN string
- * @returns {string} - Moves only
+ * @returns {string} - Moves only (single line, including comments and result)
  */
 function extractMoves(pgn) {
-  const lines = pgn.split('\n');
-  const moveLines = [];
-
-  let inMoves = false;
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    if (trimmedLine.length === 0) {
-      if (moveLines.length > 0) {
-        inMoves = true;
-      }
-      continue;
-    }
-
-    if (!REGEX_PATTERNS.PGN_HEADER.test(trimmedLine)) {
-      inMoves = true;
-    }
-
-    if (inMoves) {
-      moveLines.push(trimmedLine);
-    }
-  }
-
-  return moveLines.join(' ');
+  const game = tryParsePGN(pgn);
+  return game ? serializeMovetext(game, { maxLineLength: 0 }) : '';
 }
 
 /**
  * Count moves in PGN
  * @param {string} pgn - PGN string
- * @returns {number} - Number of moves (half-moves)
+ * @returns {number} - Number of mainline moves (half-moves)
  */
 function countMoves(pgn) {
-  const moves = extractMoves(pgn);
+  const game = tryParsePGN(pgn);
+  return game ? game.moves.length : 0;
+}
 
-  // Count move numbers (e.g., "1.", "2.", etc.)
-  const moveNumbers = moves.match(/\d+\./g);
+/**
+ * Replay the mainline with the rules engine and check the result and termination against how
+ * the game ended (including wins the engine doesn't know about, see VARIANT_RULES findOutcome)
+ * @param {Object} game - Game object from parsePGN
+ * @param {string} variant - Variant key
+ * @returns {Object} - { valid: boolean, error: string|null, status: Object|null, warnings: string[] }
+ */
+function verifyGame(game, variant) {
+  const rules = getVariantRules(variant);
+  const replay = replayGame(game, variant);
 
-  if (!moveNumbers) {
-    return 0;
+  if (!replay.ok) {
+    return {
+      valid: false,
+      error: `Illegal move at ply ${replay.ply} (${replay.label}): ${replay.error}`,
+      status: null,
+      warnings: [],
+    };
   }
 
-  // Each move number represents a full move (white + black)
-  // So we need to count actual moves (not just move numbers)
-  const tokens = moves.split(/\s+/);
-  let count = 0;
+  const outcome = (rules.findOutcome && rules.findOutcome(game)) || replay.status;
+  const lastMove = game.moves[game.moves.length - 1];
 
-  let inComment = false;
+  if (outcome.node && outcome.node !== lastMove) {
+    return {
+      valid: false,
+      error: `Moves continue after ${formatMoveLabel(outcome.node)} ended the game (${outcome.reason})`,
+      status: outcome,
+      warnings: [],
+    };
+  }
 
-  for (const token of tokens) {
-    // Handle comment blocks: skip everything between { and }
-    if (inComment) {
-      if (token.endsWith('}') || token.includes('}')) {
-        inComment = false;
-      }
-      continue;
-    }
-    if (token.startsWith('{')) {
-      if (!token.endsWith('}')) {
-        inComment = true;
-      }
-      continue;
-    }
+  const expected = getStatusResult(outcome);
+  const declared = game.tags.Result;
 
-    // Check if token is a move (not a move number, result, or annotation)
-    if (token && !token.endsWith('.') && !['1-0', '0-1', '1/2-1/2', '*'].includes(token)) {
-      if (!token.startsWith('(') && !token.includes('$')) {
-        count++;
-      }
-    }
+  if (expected && declared && declared !== '*' && declared !== expected) {
+    return {
+      valid: false,
+      error: `Result "${declared}" contradicts the final position (${expected} by ${outcome.reason})`,
+      status: outcome,
+      warnings: [],
+    };
   }
 
-  return count;
+  log('debug', `Replayed ${replay.plies} plies, final status: ${outcome.reason || 'in progress'}`);
+  return { valid: true, error: null, status: outcome, warnings: checkTermination(game.tags.Termination, outcome, rules) };
+}
+
+/**
+ * Check the Termination header doesn't claim an ending the moves don't show
+ * Only endings on the board are checked; time, resignation and agreement can't be seen in the moves
+ * @param {string} termination - Termination header (optional)
+ * @param {Object} outcome - How the game ended ({ over, winner, reason })
+ * @param {Object} rules - Variant rule set
+ * @returns {string[]} - Warnings
+ */
+function checkTermination(termination, outcome, rules) {
+  if (!termination) return [];
+
+  const claimed = Object.keys(rules.terminations).find(reason => rules.terminations[reason].test(termination));
+
+  if (!claimed || claimed === outcome.reason) return [];
+
+  const actual = outcome.over ? `end by ${outcome.reason}` : "don't end the game";
+  return [`Termination says ${claimed}, but in ${rules.name} these moves ${actual}`];
 }
 
 /**
  * Validate and prepare PGN for Lichess
  * @param {string} pgn - PGN string
- * @returns {Object} - { valid: boolean, pgn: string, error: string|null }
+ * @param {string} variant - Variant key (default: atomic)
+ * @returns {Object} - { valid: boolean, pgn: string, error: string|null, warnings: string[] }
  */
-function prepareForLichess(pgn) {
-  // Sanitize first
-  const sanitized = sanitizePGN(pgn);
+function prepareForLichess(pgn, variant = 'atomic') {
+  // Sanitize first, then make sure Lichess imports the right variant and reads the time control
+  const sanitized = applyTimeControlHeader(applyVariantHeader(sanitizePGN(pgn), variant));
 
   // Validate
-  const validation = validatePGN(sanitized);
+  const validation = validatePGN(sanitized, variant);
 
   if (!validation.valid) {
     return {
       valid: false,
       pgn: null,
       error: validation.errors[0] || 'Invalid PGN format',
+      warnings: validation.warnings,
+    };
+  }
+
+  // Replay every move so a truncated or corrupted game is caught before Lichess rejects it
+  const verification = verifyGame(parsePGN(sanitized), variant);
+
+  if (!verification.valid) {
+    log('warn', 'Move verification failed:', verification.error);
+    return {
+      valid: false,
+      pgn: null,
+      error: verification.error,
+      warnings: validation.warnings,
     };
   }
 
@@ -330,5 +336,6 @@ function prepareForLichess(pgn) {
     valid: true,
     pgn: formatted,
     error: null,
+    warnings: validation.warnings.concat(verification.warnings),
   };
 }
@@ -0,0 +1,221 @@
+/**
+ * Selector Overrides and Self-Test
+ * Lets users replace CHESS_COM_SELECTORS / LICHESS_SELECTORS entries from the options
+ * (so a site redesign doesn't need a new release), and checks every selector against
+ * the live page for the toolbar popup and diagnostic reports
+ */
+
+/**
+ * Selector maps that can be overridden, by the group name used in the selectorOverrides setting
+ */
+const SELECTOR_GROUPS = {
+  chesscom: CHESS_COM_SELECTORS,
+  lichess: LICHESS_SELECTORS,
+};
+
+/**
+ * Built-in selectors, kept so overrides can be undone without reloading
+ */
+const DEFAULT_SELECTORS = {
+  chesscom: Object.assign({}, CHESS_COM_SELECTORS),
+  lichess: Object.assign({}, LICHESS_SELECTORS),
+};
+
+/**
+ * Selectors expected to match more than one element (lists, or used inside a container)
+ * Every other selector is reported as ambiguous when it matches several
+ */
+const MULTI_MATCH_SELECTORS = {
+  chesscom: [
+    'GAME_CONTAINER', 'MOVE_LIST_PLY', 'MOVE_LIST_PLY_TEXT', 'MOVE_FIGURINE', 'MOVE_LIST_SELECTED',
+    'MOVE_TIMESTAMP', 'BOARD_PIECE', 'BOARD_HIGHLIGHT', 'PLAYER_USERNAME', 'PLAYER_RATING',
+    'ARCHIVE_ROW', 'ARCHIVE_GAME_LINK',
+  ],
+  lichess: ['PASTE_TEXTAREA_FALLBACK', 'PASTE_SUBMIT_BUTTON', 'ANALYSIS_MAINLINE_MOVE'],
+};
+
+/**
+ * Longest selector accepted as an override
+ */
+const MAX_SELECTOR_LENGTH = 500;
+
+/**
+ * Check that a selector is one the browser can use
+ * @param {string} selector - CSS selector
+ * @returns {string|null} - Problem with the selector, or null if it's fine
+ */
+function validateSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) return 'must be a non-empty string';
+  if (selector.length > MAX_SELECTOR_LENGTH) return `must be at most ${MAX_SELECTOR_LENGTH} characters`;
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return null;
+  } catch (error) {
+    return 'is not a valid CSS selector';
+  }
+}
+
+/**
+ * Check selector overrides ({ chesscom: { NAME: selector }, lichess: { ... } })
+ * Unknown groups or names and invalid selectors are left out; overrides equal to the default are dropped
+ * @param {Object} value - Overrides as stored or entered
+ * @returns {Object} - { overrides: Object, errors: string[] }
+ */
+function parseSelectorOverrides(value) {
+  const overrides = {};
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { overrides, errors: value ? ['Overrides must be an object of selector groups'] : [] };
+  }
+
+  for (const [group, selectors] of Object.entries(value)) {
+    if (!DEFAULT_SELECTORS[group]) {
+      errors.push(`Unknown selector group "${group}" (use ${Object.keys(DEFAULT_SELECTORS).join(' or ')})`);
+      continue;
+    }
+
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+      errors.push(`${group} must be an object of selectors`);
+      continue;
+    }
+
+    for (const [name, selector] of Object.entries(selectors)) {
+      if (!(name in DEFAULT_SELECTORS[group])) {
+        errors.push(`Unknown selector ${group}.${name}`);
+        continue;
+      }
+
+      const problem = validateSelector(selector);
+
+      if (problem) {
+        errors.push(`${group}.${name} ${problem}`);
+        continue;
+      }
+
+      if (selector.trim() !== DEFAULT_SELECTORS[group][name]) {
+        overrides[group] = Object.assign(overrides[group] || {}, { [name]: selector.trim() });
+      }
+    }
+  }
+
+  return { overrides, errors };
+}
+
+/**
+ * Settings normalizer for selectorOverrides: keeps the valid overrides and logs the rest
+ * @param {Object} value - Stored overrides
+ * @returns {Object} - Checked overrides
+ */
+function normalizeSelectorOverrides(value) {
+  const { overrides, errors } = parseSelectorOverrides(value);
+  errors.forEach(error => log('warn', `Ignoring selector override: ${error}`));
+  return overrides;
+}
+
+/**
+ * Put the built-in selectors back, then apply the overrides
+ * @param {Object} overrides - Checked overrides from parseSelectorOverrides
+ */
+function applySelectorOverrides(overrides) {
+  for (const [group, selectors] of Object.entries(SELECTOR_GROUPS)) {
+    Object.assign(selectors, DEFAULT_SELECTORS[group], (overrides && overrides[group]) || {});
+  }
+
+  const count = Object.values(overrides || {}).reduce((total, group) => total + Object.keys(group).length, 0);
+  if (count) log('debug', `${count} selector overrides applied`);
+}
+
+/**
+ * Check every selector in a group against the page
+ * @param {string} group - Selector group ('chesscom' or 'lichess')
+ * @param {Document|Element} root - Where to look (default: document)
+ * @returns {Object[]} - [{ name, selector, status, count, matchedBy, overridden }], status being
+ *                       'matched', 'ambiguous', 'missing' or 'invalid'
+ */
+function runSelectorSelfTest(group, root = document) {
+  const selectors = SELECTOR_GROUPS[group];
+
+  return Object.keys(selectors).map((name) => {
+    const selector = selectors[name];
+    const result = {
+      name,
+      selector,
+      status: 'missing',
+      count: 0,
+      matchedBy: [],
+      overridden: selector !== DEFAULT_SELECTORS[group][name],
+    };
+
+    try {
+      result.count = root.querySelectorAll(selector).length;
+    } catch (error) {
+      result.status = 'invalid';
+      return result;
+    }
+
+    // Which alternatives of a selector list are the ones still working
+    // (a comma inside an attribute value splits badly, so those parts are skipped)
+    result.matchedBy = selector.split(',')
+      .map(part => part.trim())
+      .filter((part) => {
+        try {
+          return Boolean(root.querySelector(part));
+        } catch (error) {
+          return false;
+        }
+      });
+
+    if (result.count > 1 && !MULTI_MATCH_SELECTORS[group].includes(name)) {
+      result.status = 'ambiguous';
+    } else if (result.count > 0) {
+      result.status = 'matched';
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Count self-test results by status
+ * @param {Object[]} results - Results from runSelectorSelfTest
+ * @returns {Object} - { matched, ambiguous, missing, invalid }
+ */
+function summarizeSelfTest(results) {
+  const summary = { matched: 0, ambiguous: 0, missing: 0, invalid: 0 };
+  results.forEach((result) => {
+    summary[result.status]++;
+  });
+  return summary;
+}
+
+/**
+ * Describe one self-test result in a line, e.g. "MOVE_LIST: matched 1 (vertical-move-list)"
+ * @param {Object} result - Result from runSelectorSelfTest
+ * @returns {string}
+ */
+function describeSelfTestResult(result) {
+  const matchedBy = result.matchedBy.length ? ` (${result.matchedBy.join(', ')})` : '';
+  const count = result.count ? ` ${result.count}` : '';
+  return `${result.name}: ${result.status}${count}${matchedBy}${result.overridden ? ' [override]' : ''}`;
+}
+
+/**
+ * Create a runtime message listener answering the popup's self-test request
+ * @param {string} group - Selector group the page uses
+ * @returns {Function} - Listener for browser.runtime.onMessage
+ */
+function createSelfTestListener(group) {
+  return (message) => {
+    if (!message || message.type !== MESSAGE_TYPES.RUN_SELF_TEST) return undefined;
+
+    const results = runSelectorSelfTest(group);
+    const summary = summarizeSelfTest(results);
+
+    log('info', `Selector self-test: ${summary.matched} matched, ${summary.ambiguous} ambiguous, ${summary.missing} missing`);
+    results.forEach(result => log('info', describeSelfTestResult(result)));
+
+    return Promise.resolve({ group, summary, results });
+  };
+}
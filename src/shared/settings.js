@@ -0,0 +1,274 @@
+/**
+ * Settings Module
+ * Typed user settings stored in storage.sync, with defaults and migration between versions.
+ * Secret settings (the Lichess token) stay on this device in storage.local and are never synced
+ */
+
+/**
+ * Current version of the stored settings format
+ */
+const SETTINGS_VERSION = 1;
+
+/**
+ * Storage key holding the settings object
+ */
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * storage.local key holding the secret settings
+ */
+const SECRETS_STORAGE_KEY = 'secrets';
+
+/**
+ * Settings schema: type, default and the label/description shown on the options page
+ * Secret settings are shown as password fields and stored in storage.local only, object settings
+ * as JSON. Optional hooks:
+ * normalize cleans up a stored value of the right type, validate lists problems with an entered one
+ */
+const SETTINGS_SCHEMA = {
+  autoSubmit: {
+    type: 'boolean',
+    default: true,
+    label: 'Submit the paste form automatically',
+    description: 'When Lichess is reached through the paste page, start the analysis without clicking.',
+  },
+  openInBackground: {
+    type: 'boolean',
+    default: false,
+    label: 'Open Lichess in a background tab',
+    description: 'Keep Chess.com in front after sending a game.',
+  },
+  clipboardFallback: {
+    type: 'boolean',
+    default: false,
+    label: 'Fall back to the clipboard',
+    description: 'If the background relay fails, copy the PGN and read it back on Lichess (needs clipboard permission).',
+  },
+  myUsernames: {
+    type: 'string',
+    default: '',
+    label: 'My Chess.com usernames',
+    description: 'Comma-separated. Lichess opens from your side of the board; shift-click the button for your opponent\'s side.',
+  },
+  studyId: {
+    type: 'string',
+    default: '',
+    label: 'Lichess study',
+    description: 'Study ID or link. Games are added to it as chapters instead of being imported on their own; leave empty to import them separately.',
+  },
+  chapterNameTemplate: {
+    type: 'string',
+    default: '{white} - {black}, {date} ({result})',
+    label: 'Chapter name',
+    description: 'Name for new study chapters. Use {white}, {black}, {date}, {result}, {event} or {variant}.',
+  },
+  lichessToken: {
+    type: 'string',
+    default: '',
+    secret: true,
+    label: 'Lichess API token',
+    description: 'Personal token with the study:read and study:write scopes, needed to send games to a study.',
+  },
+  selectorOverrides: {
+    type: 'object',
+    default: {},
+    normalize: normalizeSelectorOverrides,
+    validate: value => parseSelectorOverrides(value).errors,
+    label: 'Selector overrides',
+    description: 'For when Chess.com or Lichess changes its pages before an update is out. JSON like {"chesscom": {"MOVE_LIST": "vertical-move-list"}}; use "Check this page" in the toolbar popup to see which selectors stopped matching.',
+  },
+  enableDebug: {
+    type: 'boolean',
+    default: false,
+    label: 'Debug logging',
+    description: 'Write detailed logs to the browser console.',
+  },
+};
+
+/**
+ * Migrations, keyed by the version they produce
+ * Each receives the stored values of the previous version and returns the new ones
+ */
+const SETTINGS_MIGRATIONS = {
+  // Version 1 is the first stored format; nothing was stored before it
+  1: values => values,
+};
+
+/**
+ * Get the default settings
+ * @returns {Object} - Settings object
+ */
+function getDefaultSettings() {
+  const defaults = {};
+
+  for (const [name, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[name] = definition.default;
+  }
+
+  return defaults;
+}
+
+/**
+ * Check values against the schema, replacing missing or mistyped values with defaults
+ * Unknown keys are dropped
+ * @param {Object} values - Settings values
+ * @returns {Object} - Complete settings object
+ */
+function normalizeSettings(values = {}) {
+  const settings = getDefaultSettings();
+
+  for (const [name, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = values[name];
+
+    if (value === undefined) continue;
+
+    if (typeof value === definition.type && value !== null) {
+      settings[name] = definition.normalize ? definition.normalize(value) : value;
+    } else {
+      log('warn', `Ignoring setting ${name}: expected ${definition.type}, got ${typeof value}`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Bring stored settings up to the current version
+ * @param {Object} stored - Stored record { version: number, values: Object }
+ * @returns {Object} - Values in the current format
+ */
+function migrateSettings(stored) {
+  let version = stored && typeof stored.version === 'number' ? stored.version : 0;
+  let values = (stored && stored.values) || {};
+
+  while (version < SETTINGS_VERSION) {
+    version += 1;
+    values = SETTINGS_MIGRATIONS[version](values);
+    log('debug', `Migrated settings to version ${version}`);
+  }
+
+  return values;
+}
+
+/**
+ * Separate the secret settings from the others
+ * @param {Object} values - Settings values
+ * @returns {Object} - { values: Object without secrets, secrets: Object }
+ */
+function splitSecrets(values) {
+  const split = { values: {}, secrets: {} };
+
+  for (const [name, value] of Object.entries(values)) {
+    const secret = SETTINGS_SCHEMA[name] && SETTINGS_SCHEMA[name].secret;
+    split[secret ? 'secrets' : 'values'][name] = value;
+  }
+
+  return split;
+}
+
+/**
+ * Load the secret settings from storage.local
+ * @returns {Promise<Object>} - Secret values
+ */
+async function loadSecrets() {
+  const result = await browser.storage.local.get(SECRETS_STORAGE_KEY);
+  return result[SECRETS_STORAGE_KEY] || {};
+}
+
+/**
+ * Load settings from storage.sync, and the secret ones from storage.local
+ * Falls back to the defaults if storage is unavailable
+ * @returns {Promise<Object>} - Settings object
+ */
+async function loadSettings() {
+  let settings;
+
+  try {
+    const result = await browser.storage.sync.get(SETTINGS_STORAGE_KEY);
+    const secrets = await loadSecrets();
+
+    settings = normalizeSettings(Object.assign({}, migrateSettings(result[SETTINGS_STORAGE_KEY]), secrets));
+  } catch (error) {
+    log('warn', 'Failed to load settings, using defaults:', error);
+    settings = getDefaultSettings();
+  }
+
+  applyRuntimeSettings(settings);
+  return settings;
+}
+
+/**
+ * Save settings to storage.sync, and the secret ones to storage.local
+ * @param {Object} changes - Settings to change (others keep their current value)
+ * @returns {Promise<Object>} - Saved settings object
+ */
+async function saveSettings(changes) {
+  const current = await loadSettings();
+  const settings = normalizeSettings(Object.assign({}, current, changes));
+  const split = splitSecrets(settings);
+
+  await browser.storage.local.set({ [SECRETS_STORAGE_KEY]: split.secrets });
+  await browser.storage.sync.set({
+    [SETTINGS_STORAGE_KEY]: { version: SETTINGS_VERSION, values: split.values },
+  });
+
+  log('debug', 'Settings saved');
+  return settings;
+}
+
+/**
+ * Reset all settings to their defaults
+ * @returns {Promise<Object>} - Default settings object
+ */
+async function resetSettings() {
+  await browser.storage.sync.remove(SETTINGS_STORAGE_KEY);
+  await browser.storage.local.remove(SECRETS_STORAGE_KEY);
+  const settings = getDefaultSettings();
+
+  applyRuntimeSettings(settings);
+  return settings;
+}
+
+/**
+ * Call back whenever the stored settings change (e.g. from the options page)
+ * @param {Function} callback - Receives the new settings object
+ */
+function onSettingsChanged(callback) {
+  browser.storage.onChanged.addListener((changes, area) => {
+    const changed = (area === 'sync' && changes[SETTINGS_STORAGE_KEY]) ||
+      (area === 'local' && changes[SECRETS_STORAGE_KEY]);
+    if (!changed) return;
+
+    // Either half may have changed, so read both back
+    loadSettings().then(callback);
+  });
+}
+
+/**
+ * Get the registered Chess.com usernames
+ * @param {Object} settings - Settings object
+ * @returns {string[]} - Lowercased usernames
+ */
+function getMyUsernames(settings) {
+  return settings.myUsernames
+    .split(/[\s,]+/)
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Apply the settings that change how the shared code behaves (logging, selectors)
+ * @param {Object} settings - Settings object
+ */
+function applyRuntimeSettings(settings) {
+  applyLogSettings(settings);
+  applySelectorOverrides(settings.selectorOverrides);
+}
+
+/**
+ * Apply the logging settings to LOG_CONFIG
+ * @param {Object} settings - Settings object
+ */
+function applyLogSettings(settings) {
+  LOG_CONFIG.ENABLE_DEBUG = settings.enableDebug;
+}
@@ -0,0 +1,132 @@
+/**
+ * Variant Detection Module
+ * Works out the chess variant from the page URL and the PGN
+ */
+
+/**
+ * Detect variant from a Chess.com URL
+ * @param {string} url - Page URL
+ * @returns {string|null} - Variant key (see VARIANT_PATTERNS) or null
+ */
+function detectVariantFromUrl(url) {
+  if (!url) return null;
+
+  for (const [variant, pattern] of Object.entries(VARIANT_PATTERNS)) {
+    if (pattern.test(url)) {
+      return variant;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect variant from the PGN Variant header
+ * @param {string} pgn - PGN string
+ * @returns {string|null} - Variant key or null if missing/unsupported
+ */
+function detectVariantFromPGN(pgn) {
+  if (!pgn) return null;
+
+  const headers = extractHeaders(pgn);
+  return normalizeVariant(headers.Variant);
+}
+
+/**
+ * Detect variant from URL and PGN
+ * The URL is authoritative; the PGN header is used when the URL doesn't say
+ * @param {string} url - Page URL
+ * @param {string} pgn - PGN string (optional)
+ * @returns {string|null} - Variant key or null
+ */
+function detectVariant(url, pgn = null) {
+  const fromUrl = detectVariantFromUrl(url);
+  const fromPGN = detectVariantFromPGN(pgn);
+
+  if (fromUrl && fromPGN && fromUrl !== fromPGN) {
+    log('warn', `Variant mismatch: URL says ${fromUrl}, PGN says ${fromPGN} - using ${fromUrl}`);
+  }
+
+  return fromUrl || fromPGN;
+}
+
+/**
+ * Find a variant named somewhere in a piece of page text (e.g. "Crazyhouse · 3 min")
+ * Short aliases like "zh" are skipped, they turn up inside other words
+ * @param {string} text - Text to search
+ * @returns {string|null} - Variant key or null if none is named
+ */
+function detectVariantFromText(text) {
+  const normalized = (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const alias = Object.keys(VARIANT_ALIASES).find(name => name.length > 4 && normalized.includes(name));
+
+  return alias ? VARIANT_ALIASES[alias] : null;
+}
+
+/**
+ * Normalize a variant name to a variant key
+ * @param {string} name - Variant name as written (e.g. "3-check", "King of the Hill")
+ * @returns {string|null} - Variant key or null if unsupported
+ */
+function normalizeVariant(name) {
+  if (!name || typeof name !== 'string') return null;
+
+  const normalized = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return VARIANT_ALIASES[normalized] || null;
+}
+
+/**
+ * Inject or correct the Variant header so Lichess imports the right variant
+ * @param {string} pgn - PGN string
+ * @param {string} variant - Variant key
+ * @returns {string} - PGN with the Variant header set
+ */
+function applyVariantHeader(pgn, variant) {
+  const code = LICHESS_VARIANT_CODES[variant];
+
+  if (!pgn || !code) return pgn;
+
+  const header = `[Variant "${code}"]`;
+  const variantLine = /^\[Variant\s+"[^"]*"\][ \t]*$/m;
+
+  if (variantLine.test(pgn)) {
+    return pgn.replace(variantLine, header);
+  }
+
+  // Insert after the last header line, or at the top if there are no headers
+  const lines = pgn.split('\n');
+  let lastHeaderIndex = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (REGEX_PATTERNS.PGN_HEADER.test(lines[i].trim())) {
+      lastHeaderIndex = i;
+    } else if (lines[i].trim().length > 0) {
+      break;
+    }
+  }
+
+  if (lastHeaderIndex === -1) {
+    return `${header}\n\n${pgn}`;
+  }
+
+  lines.splice(lastHeaderIndex + 1, 0, header);
+  return lines.join('\n');
+}
+
+/**
+ * Get display name for a variant
+ * @param {string} variant - Variant key
+ * @returns {string} - Display name
+ */
+function getVariantName(variant) {
+  return VARIANT_DISPLAY_NAMES[variant] || 'Standard';
+}
+
+/**
+ * Get button icon for a variant
+ * @param {string} variant - Variant key
+ * @returns {string} - Icon character
+ */
+function getVariantIcon(variant) {
+  return VARIANT_BUTTON_ICONS[variant] || VARIANT_BUTTON_ICONS.atomic;
+}
@@ -0,0 +1,162 @@
+/**
+ * Variant Rule Sets
+ * What the PGN validator checks for each variant: which move tokens may appear, which
+ * headers are required, how the game can end (and so what the Result and Termination
+ * headers may claim), and how its own warnings read
+ *
+ * Rule set:
+ *   { name, moveToken: RegExp, tokenHint, requiredHeaders: string[], isVariantHeader(value),
+ *     terminations: { reason: RegExp }, findOutcome(game)?, checkHeaders(headers)? }
+ * findOutcome spots wins the rules engine doesn't know about (checks counted, king in the
+ * centre); checkHeaders returns extra warnings about the headers
+ */
+
+/**
+ * Pieces of the SAN grammar, combined per variant
+ */
+const SAN_GRAMMAR = {
+  PIECE_MOVE: '[NBRQK]?[a-h]?[1-8]?x?[a-h][1-8](?:=?[NBRQ])?',
+  // Kings never capture in atomic (both kings would explode)
+  ATOMIC_PIECE_MOVE: '(?:[NBRQ]?[a-h]?[1-8]?x?|K)[a-h][1-8](?:=?[NBRQ])?',
+  CASTLING: '[O0]-[O0](?:-[O0])?',
+  DROP: '[PNBRQ]?@[a-h][1-8]',
+  // The PGN lexer reads symbols starting with a letter or digit, so null moves are only ever Z0
+  NULL_MOVE: 'Z0',
+};
+
+/**
+ * Build a move-token pattern from SAN_GRAMMAR pieces
+ * @param {string[]} parts - Grammar pieces allowed in the variant
+ * @returns {RegExp} - Whole-token pattern (check and mate suffixes allowed)
+ */
+function buildMoveToken(parts) {
+  return new RegExp(`^(?:${parts.join('|')})[+#]?$`);
+}
+
+/**
+ * Termination wording for the ways every variant can end on the board
+ */
+const BOARD_TERMINATIONS = {
+  checkmate: /checkmate/i,
+  stalemate: /stalemate/i,
+};
+
+/**
+ * Rule sets by variant key
+ */
+const VARIANT_RULES = {
+  standard: {
+    name: 'standard chess',
+    moveToken: buildMoveToken([SAN_GRAMMAR.PIECE_MOVE, SAN_GRAMMAR.CASTLING, SAN_GRAMMAR.NULL_MOVE]),
+    tokenHint: 'drops are only allowed in crazyhouse',
+    requiredHeaders: REQUIRED_HEADERS,
+    isVariantHeader: value => !value || /^(?:standard|chess|from position)$/i.test(value),
+    terminations: BOARD_TERMINATIONS,
+  },
+  atomic: {
+    name: 'atomic chess',
+    moveToken: buildMoveToken([SAN_GRAMMAR.ATOMIC_PIECE_MOVE, SAN_GRAMMAR.CASTLING, SAN_GRAMMAR.NULL_MOVE]),
+    tokenHint: "kings can't capture in atomic and there are no drops",
+    requiredHeaders: REQUIRED_HEADERS.concat('Variant'),
+    isVariantHeader: value => normalizeVariant(value) === 'atomic',
+    terminations: Object.assign({ explosion: /explo|blown up/i }, BOARD_TERMINATIONS),
+  },
+  crazyhouse: {
+    name: 'crazyhouse',
+    moveToken: buildMoveToken([SAN_GRAMMAR.PIECE_MOVE, SAN_GRAMMAR.DROP, SAN_GRAMMAR.CASTLING, SAN_GRAMMAR.NULL_MOVE]),
+    tokenHint: 'drops are written like N@f3 (kings are never dropped)',
+    requiredHeaders: REQUIRED_HEADERS.concat('Variant'),
+    isVariantHeader: value => normalizeVariant(value) === 'crazyhouse',
+    terminations: BOARD_TERMINATIONS,
+    checkHeaders: checkCrazyhousePocket,
+  },
+  threeCheck: {
+    name: 'three-check',
+    moveToken: buildMoveToken([SAN_GRAMMAR.PIECE_MOVE, SAN_GRAMMAR.CASTLING, SAN_GRAMMAR.NULL_MOVE]),
+    tokenHint: 'there are no drops in three-check',
+    requiredHeaders: REQUIRED_HEADERS.concat('Variant'),
+    isVariantHeader: value => normalizeVariant(value) === 'threeCheck',
+    terminations: Object.assign({ 'three checks': /three check|3 check|3-check|third check/i }, BOARD_TERMINATIONS),
+    findOutcome: findThreeCheckOutcome,
+  },
+  kingOfTheHill: {
+    name: 'king of the hill',
+    moveToken: buildMoveToken([SAN_GRAMMAR.PIECE_MOVE, SAN_GRAMMAR.CASTLING, SAN_GRAMMAR.NULL_MOVE]),
+    tokenHint: 'there are no drops in king of the hill',
+    requiredHeaders: REQUIRED_HEADERS.concat('Variant'),
+    isVariantHeader: value => normalizeVariant(value) === 'kingOfTheHill',
+    terminations: Object.assign({ 'king in the centre': /hill|cent(?:er|re)/i }, BOARD_TERMINATIONS),
+    findOutcome: findKingOfTheHillOutcome,
+  },
+};
+
+/**
+ * Get the rule set for a variant
+ * @param {string} variant - Variant key
+ * @returns {Object} - Rule set (standard chess for unknown keys)
+ */
+function getVariantRules(variant) {
+  if (VARIANT_RULES[variant]) return VARIANT_RULES[variant];
+
+  log('debug', `No rule set for variant "${variant}", using standard chess`);
+  return VARIANT_RULES.standard;
+}
+
+/**
+ * Side that played a move node
+ * @param {Object} node - Move node
+ * @returns {string} - 'w' or 'b'
+ */
+function getMoverColor(node) {
+  return node.ply % 2 === 1 ? 'w' : 'b';
+}
+
+/**
+ * Find the move giving a side its third check
+ * Checks are counted from the SAN suffixes, starting from zero (a FEN's check counters aren't read)
+ * @param {Object} game - Game object from parsePGN
+ * @returns {Object|null} - { over, winner, reason, node }, or null if nobody got there
+ */
+function findThreeCheckOutcome(game) {
+  const checks = { w: 0, b: 0 };
+
+  for (const node of game.moves) {
+    if (!/[+#]$/.test(node.san)) continue;
+
+    const color = getMoverColor(node);
+    checks[color]++;
+
+    if (checks[color] === 3) {
+      return { over: true, winner: color, reason: 'three checks', node };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the move taking a king to the centre (d4, e4, d5 or e5)
+ * @param {Object} game - Game object from parsePGN
+ * @returns {Object|null} - { over, winner, reason, node }, or null if no king got there
+ */
+function findKingOfTheHillOutcome(game) {
+  const node = game.moves.find(candidate => /^Kx?[de][45]/.test(candidate.san));
+
+  return node
+    ? { over: true, winner: getMoverColor(node), reason: 'king in the centre', node }
+    : null;
+}
+
+/**
+ * Warn when a crazyhouse game starts from a FEN without pockets
+ * @param {Object} headers - PGN headers
+ * @returns {string[]} - Warnings
+ */
+function checkCrazyhousePocket(headers) {
+  if (!headers.FEN) return [];
+
+  const placement = headers.FEN.trim().split(/\s+/)[0];
+  const hasPocket = /\[[PNBRQKpnbrqk]*\]$/.test(placement) || placement.split('/').length === 9;
+
+  return hasPocket ? [] : ['FEN has no crazyhouse pocket; Lichess will start with empty pockets'];
+}
@@ -0,0 +1,122 @@
+/**
+ * Atomic Engine Tests
+ * Replays positions and games through the rules engine: explosions, kings that can't
+ * capture, touching kings, games won by blowing up the king, and moves it must refuse
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, toPlain } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(getSharedBackgroundScripts());
+const createPosition = scripts.get('createPosition');
+const positionToFEN = scripts.get('positionToFEN');
+const parseSAN = scripts.get('parseSAN');
+const applyMove = scripts.get('applyMove');
+const moveToSAN = scripts.get('moveToSAN');
+const isInCheck = scripts.get('isInCheck');
+const replayGame = scripts.get('replayGame');
+const parsePGN = scripts.get('parsePGN');
+
+/**
+ * Play one SAN move from a FEN
+ * @param {string} fen - Starting position
+ * @param {string} san - Move to play
+ * @returns {string} - FEN after the move
+ */
+function play(fen, san) {
+  const position = createPosition(fen);
+  const { move, error } = parseSAN(position, san);
+
+  assert.strictEqual(error, null, `${san} should be legal in ${fen}`);
+  return positionToFEN(applyMove(position, move));
+}
+
+/**
+ * Get why a move is refused
+ * @param {string} fen - Position
+ * @param {string} san - Move to try
+ * @param {string} variant - Variant key (default: atomic)
+ * @returns {string|null} - Error, or null if the move is legal
+ */
+function refusal(fen, san, variant = 'atomic') {
+  return parseSAN(createPosition(fen, variant), san).error;
+}
+
+describe('atomic explosions', () => {
+  it('blow up the capturing piece and every piece around the target except pawns', () => {
+    // Rxd5: the rook, the knight it takes, the bishop on c6 and White's own knight on e4 go;
+    // the pawns on c4 and e6 stay
+    assert.strictEqual(
+      play('7k/8/2b1p3/3n4/2P1N3/8/8/3R3K w - - 0 1', 'Rxd5'),
+      '7k/8/4p3/8/2P5/8/8/7K b - - 0 1'
+    );
+  });
+
+  it('refuse a capture that would blow up the capturer\'s own king', () => {
+    assert.strictEqual(refusal('4k3/8/8/8/8/3q4/3PK3/3R4 w - - 0 1', 'Rxd3'), 'illegal move');
+  });
+});
+
+describe('atomic kings', () => {
+  it('can\'t capture, though they can in other variants', () => {
+    const fen = '7k/8/8/8/8/8/3n4/4K3 w - - 0 1';
+
+    assert.strictEqual(refusal(fen, 'Kxd2'), 'illegal move');
+    assert.strictEqual(refusal(fen, 'Kxd2', 'crazyhouse'), null);
+  });
+
+  it('can\'t be checked while they touch, so any move is fine and the king may step next to the other', () => {
+    const touching = createPosition('8/8/8/4k3/r2K4/8/7P/8 w - - 0 1');
+
+    assert.strictEqual(isInCheck(touching.board, 'w', 'atomic'), false);
+    assert.strictEqual(isInCheck(touching.board, 'w', 'crazyhouse'), true);
+    assert.strictEqual(refusal('8/8/8/4k3/r2K4/8/7P/8 w - - 0 1', 'h3'), null);
+
+    // The rook covers the third rank, but d3 touches the black king and c3 doesn't
+    assert.strictEqual(refusal('8/8/8/8/4k3/r7/3K3P/8 w - - 0 1', 'Kd3'), null);
+    assert.strictEqual(refusal('8/8/8/8/4k3/r7/3K3P/8 w - - 0 1', 'Kc3'), 'illegal move');
+  });
+});
+
+describe('replayGame', () => {
+  it('ends the game when a king is blown up, and marks that move as mate', () => {
+    const result = replayGame(parsePGN('1. Nf3 a6 2. Ng5 a5 3. Nxf7 *'));
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(toPlain(result.status), { over: true, winner: 'w', reason: 'explosion' });
+    // The king, bishop and knight next to f7 are gone; the pawns beside it aren't
+    assert.strictEqual(positionToFEN(result.position), 'rnbq3r/1pppp1pp/8/p7/8/8/PPPPPPPP/RNBQKB1R b KQ - 0 3');
+
+    const before = createPosition('rnbqkbnr/1ppppppp/8/p5N1/8/8/PPPPPPPP/RNBQKB1R w KQkq - 0 3');
+    assert.strictEqual(moveToSAN(before, parseSAN(before, 'Nxf7').move), 'Nxf7#');
+  });
+
+  it('refuses moves after the king is gone', () => {
+    assert.deepStrictEqual(toPlain(replayGame(parsePGN('1. Nf3 a6 2. Ng5 a5 3. Nxf7 a4 *'))), {
+      ok: false,
+      ply: 6,
+      san: 'a4',
+      label: '3... a4',
+      error: 'the game is already over (explosion)',
+    });
+  });
+
+  it('reports the first illegal move with its ply', () => {
+    assert.deepStrictEqual(toPlain(replayGame(parsePGN('1. e4 e5 2. Ke3 Nc6 *'))), {
+      ok: false,
+      ply: 3,
+      san: 'Ke3',
+      label: '2. Ke3',
+      error: 'illegal move',
+    });
+  });
+
+  it('reports a starting position it can\'t read', () => {
+    const result = replayGame(parsePGN('[FEN "not a position"]\n\n1. e4 *'));
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.label, 'FEN');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Chess.com Game Data Tests
+ * Decodes the game JSON fixtures in test/fixtures/chesscom, served by the local
+ * stand-in server through the callback endpoints
+ */
+
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, toPlain } = require('./helpers/load-scripts');
+const { startStandInServer, fixture } = require('./helpers/stand-in-server');
+
+const LIVE_GAME_ID = '90000001';
+const DAILY_GAME_ID = '90000002';
+
+const scripts = loadScripts(getSharedBackgroundScripts());
+const fetchGameData = scripts.get('fetchGameData');
+const extractGameById = scripts.get('extractGameById');
+const decodeMoveList = scripts.get('decodeMoveList');
+const buildPGNFromGameData = scripts.get('buildPGNFromGameData');
+const readGameDataVariant = scripts.get('readGameDataVariant');
+const getGameEndpoints = scripts.get('getGameEndpoints');
+const parsePGN = scripts.get('parsePGN');
+const ERROR_CODES = scripts.get('ERROR_CODES');
+
+/**
+ * Parse a PGN and return its tags and mainline
+ * @param {string} pgn - PGN string
+ * @returns {Object} - { tags, sans, clocks }
+ */
+function readBack(pgn) {
+  const game = parsePGN(pgn);
+
+  return toPlain({
+    tags: game.tags,
+    sans: game.moves.map(node => node.san),
+    clocks: game.moves.map(node => node.comments.join(' ')),
+  });
+}
+
+describe('decodeMoveList', () => {
+  it('decodes plain moves as square indices (a1 = 0)', () => {
+    assert.deepStrictEqual(toPlain(decodeMoveList('mC0K')), [
+      { from: 12, to: 28, promotion: null, drop: null },
+      { from: 52, to: 36, promotion: null, drop: null },
+    ]);
+  });
+
+  it('decodes promotions straight ahead and capturing to either side', () => {
+    // b7-a8=N, b7-c8=R, g2-h1=Q
+    assert.deepStrictEqual(toPlain(decodeMoveList('X(X]o}')), [
+      { from: 49, to: 56, promotion: 'n', drop: null },
+      { from: 49, to: 58, promotion: 'r', drop: null },
+      { from: 14, to: 7, promotion: 'q', drop: null },
+    ]);
+  });
+
+  it('decodes drops', () => {
+    // P@e4, N@d4
+    assert.deepStrictEqual(toPlain(decodeMoveList('=C-B')), [
+      { from: -1, to: 28, promotion: null, drop: 'p' },
+      { from: -1, to: 27, promotion: null, drop: 'n' },
+    ]);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => decodeMoveList('m|'), /Unknown move encoding at position 0/);
+  });
+});
+
+describe('buildPGNFromGameData', () => {
+  const live = require('./fixtures/chesscom/live-crazyhouse.json');
+  const daily = require('./fixtures/chesscom/daily-atomic-promotion.json');
+
+  it('reads the variant from the game data', () => {
+    assert.strictEqual(readGameDataVariant(live), 'crazyhouse');
+    assert.strictEqual(readGameDataVariant(daily), 'atomic');
+  });
+
+  it('turns a live crazyhouse game into SAN with drops, clocks and player details', () => {
+    const url = `https://www.chess.com/game/live/${LIVE_GAME_ID}`;
+    const game = readBack(buildPGNFromGameData(live, { variant: 'crazyhouse', url }));
+
+    assert.deepStrictEqual(game.sans, ['e4', 'd5', 'exd5', 'Qxd5', 'P@e4', 'Qa5', 'Nf3', 'P@d4', 'Nxd4']);
+    assert.strictEqual(game.clocks[0], '[%clk 0:03:00]');
+    assert.strictEqual(game.clocks[8], '[%clk 0:02:45]');
+
+    assert.strictEqual(game.tags.White, 'WhitePlayer');
+    assert.strictEqual(game.tags.WhiteElo, '1650');
+    assert.strictEqual(game.tags.BlackElo, '1712');
+    assert.strictEqual(game.tags.Result, '0-1');
+    assert.strictEqual(game.tags.TimeControl, '180+0');
+    assert.strictEqual(game.tags.Termination, 'BlackPlayer won on time');
+    assert.strictEqual(game.tags.Variant, 'crazyhouse');
+    assert.strictEqual(game.tags.ECO, 'B01');
+    assert.strictEqual(game.tags.Link, url);
+  });
+
+  it('replays a daily atomic game from its starting position, with a promotion and no clocks', () => {
+    const game = readBack(buildPGNFromGameData(daily, { variant: 'atomic' }));
+
+    assert.deepStrictEqual(game.sans, ['a8=Q+', 'Kd7', 'Qa4+', 'Ke6']);
+    assert.deepStrictEqual(game.clocks, ['', '', '', '']);
+    assert.strictEqual(game.tags.SetUp, '1');
+    assert.strictEqual(game.tags.FEN, '4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    assert.strictEqual(game.tags.Result, '*');
+    assert.strictEqual(game.tags.Variant, 'atomic');
+  });
+
+  it('reports the ply of a move the rules engine rejects', () => {
+    const broken = toPlain(live);
+    broken.game.moveList = 'mCmC';
+
+    assert.throws(
+      () => buildPGNFromGameData(broken, { variant: 'crazyhouse' }),
+      /Illegal move in game data at ply 2: e2e4/
+    );
+  });
+});
+
+describe('fetchGameData against the stand-in server', () => {
+  let server;
+
+  before(async () => {
+    server = await startStandInServer({
+      // The variants endpoint knows the live game but has no move list for it
+      [`GET /callback/variants/game/${LIVE_GAME_ID}`]: fixture('chesscom/no-move-list.json'),
+      [`GET /callback/live/game/${LIVE_GAME_ID}`]: fixture('chesscom/live-crazyhouse.json'),
+      [`GET /callback/daily/game/${DAILY_GAME_ID}`]: fixture('chesscom/daily-atomic-promotion.json'),
+      'GET /callback/live/game/500': () => ({ status: 500, body: 'Internal error' }),
+    });
+  });
+
+  after(() => server.close());
+
+  it('moves on to the next endpoint when one has no move list', async () => {
+    server.requests.length = 0;
+
+    const data = await fetchGameData(LIVE_GAME_ID, { baseUrl: server.baseUrl });
+
+    assert.strictEqual(data.game.id, Number(LIVE_GAME_ID));
+    assert.deepStrictEqual(server.requests.map(request => request.path), [
+      `/callback/variants/game/${LIVE_GAME_ID}`,
+      `/callback/live/game/${LIVE_GAME_ID}`,
+    ]);
+  });
+
+  it('moves on past endpoints that answer 404', async () => {
+    server.requests.length = 0;
+
+    const data = await fetchGameData(DAILY_GAME_ID, { baseUrl: server.baseUrl });
+
+    assert.strictEqual(data.game.id, Number(DAILY_GAME_ID));
+    assert.strictEqual(server.requests.length, 3);
+  });
+
+  it('tries the page kind\'s endpoint first', async () => {
+    server.requests.length = 0;
+
+    const pgn = await extractGameById(DAILY_GAME_ID, {
+      baseUrl: server.baseUrl,
+      endpoints: getGameEndpoints('daily'),
+      variant: 'atomic',
+    });
+
+    assert.deepStrictEqual(server.requests.map(request => request.path), [`/callback/daily/game/${DAILY_GAME_ID}`]);
+    assert.deepStrictEqual(readBack(pgn).sans, ['a8=Q+', 'Kd7', 'Qa4+', 'Ke6']);
+  });
+
+  it('fails with PGN_NOT_FOUND when no endpoint has the game', async () => {
+    await assert.rejects(
+      fetchGameData('500', { baseUrl: server.baseUrl }),
+      error => error.code === ERROR_CODES.PGN_NOT_FOUND
+    );
+  });
+
+  it('fails with PGN_NOT_FOUND when the server is unreachable', async () => {
+    // Nothing listens on port 9 (discard) locally
+    await assert.rejects(
+      fetchGameData(LIVE_GAME_ID, { baseUrl: 'http://127.0.0.1:9' }),
+      error => error.code === ERROR_CODES.PGN_NOT_FOUND
+    );
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Clock Utilities Tests
+ * TimeControl headers in Lichess's form, and %clk times worked out from the time spent per move
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, toPlain } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(getSharedBackgroundScripts());
+const formatClock = scripts.get('formatClock');
+const parseClock = scripts.get('parseClock');
+const normalizeTimeControl = scripts.get('normalizeTimeControl');
+const applyTimeControlHeader = scripts.get('applyTimeControlHeader');
+const clocksFromSpentTimes = scripts.get('clocksFromSpentTimes');
+const applyClockComments = scripts.get('applyClockComments');
+const parsePGN = scripts.get('parsePGN');
+
+describe('normalizeTimeControl', () => {
+  it('adds the missing increment', () => {
+    assert.strictEqual(normalizeTimeControl('180'), '180+0');
+    assert.strictEqual(normalizeTimeControl('600+5'), '600+5');
+  });
+
+  it('turns daily and other controls Lichess has no clock for into "-"', () => {
+    assert.strictEqual(normalizeTimeControl('1/86400'), '-');
+    assert.strictEqual(normalizeTimeControl('40/7200:3600'), '-');
+    assert.strictEqual(normalizeTimeControl('-'), '-');
+    assert.strictEqual(normalizeTimeControl('?'), '?');
+    assert.strictEqual(normalizeTimeControl(''), null);
+  });
+
+  it('rewrites the header line only', () => {
+    assert.strictEqual(
+      applyTimeControlHeader('[Event "Daily"]\n[TimeControl "1/86400"]\n\n1. e4 *'),
+      '[Event "Daily"]\n[TimeControl "-"]\n\n1. e4 *'
+    );
+    assert.strictEqual(applyTimeControlHeader('[Event "No clock"]\n\n1. e4 *'), '[Event "No clock"]\n\n1. e4 *');
+  });
+});
+
+describe('clocksFromSpentTimes', () => {
+  it('takes each side\'s spent time off its own clock', () => {
+    assert.deepStrictEqual(toPlain(clocksFromSpentTimes([1, 2, 10, 20], '180')), [179, 178, 169, 158]);
+  });
+
+  it('adds the increment after every ply', () => {
+    assert.deepStrictEqual(toPlain(clocksFromSpentTimes([3, 1.5, 2, 0.5], '60+2')), [59, 60.5, 59, 62]);
+  });
+
+  it('gives no clocks for games without one', () => {
+    assert.deepStrictEqual(toPlain(clocksFromSpentTimes([1, 2], '1/86400')), []);
+  });
+});
+
+describe('formatClock', () => {
+  it('writes h:mm:ss, with tenths only when there are some', () => {
+    assert.strictEqual(formatClock(180), '0:03:00');
+    assert.strictEqual(formatClock(179.94), '0:02:59.9');
+    assert.strictEqual(formatClock(5.05), '0:00:05.1');
+    assert.strictEqual(formatClock(3725.4), '1:02:05.4');
+    assert.strictEqual(formatClock(-2), '0:00:00');
+  });
+
+  it('reads back what Chess.com shows', () => {
+    assert.strictEqual(parseClock('2.3s'), 2.3);
+    assert.strictEqual(parseClock('0:05'), 5);
+    assert.strictEqual(parseClock('1:02:05.4'), 3725.4);
+    assert.strictEqual(parseClock('soon'), null);
+  });
+});
+
+describe('applyClockComments', () => {
+  it('puts a %clk comment first on each move, replacing an old one and keeping other comments', () => {
+    const game = applyClockComments(parsePGN('1. e4 {[%clk 0:01:00] book} e5 *'), [178.5, 179]);
+
+    assert.deepStrictEqual(toPlain(game.moves.map(node => node.comments)), [
+      ['[%clk 0:02:58.5]', 'book'],
+      ['[%clk 0:02:59]'],
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Fake WebExtension API
+ * Just enough of `browser` for the background script to load and run: in-memory
+ * storage areas, and tabs that are recorded instead of opened
+ */
+
+/**
+ * Create an in-memory storage area (storage.sync or storage.local)
+ * Values are copied in and out, like the real storage
+ * @returns {Object} - Storage area with get/set/remove and the stored `data`
+ */
+function createStorageArea() {
+  const data = {};
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    data,
+    async get(key) {
+      return key in data ? { [key]: copy(data[key]) } : {};
+    },
+    async set(items) {
+      Object.assign(data, copy(items));
+    },
+    async remove(key) {
+      delete data[key];
+    },
+  };
+}
+
+/**
+ * Create a fake browser object
+ * @returns {Object} - browser, with `tabs.created` listing the tabs opened
+ */
+function createFakeBrowser() {
+  let nextTabId = 100;
+  const listener = { addListener() {} };
+
+  return {
+    storage: {
+      sync: createStorageArea(),
+      local: createStorageArea(),
+      onChanged: listener,
+    },
+    tabs: {
+      created: [],
+      async create(properties) {
+        const tab = Object.assign({ id: nextTabId++ }, properties);
+        this.created.push(tab);
+        return tab;
+      },
+      async sendMessage() {},
+      onRemoved: listener,
+    },
+    runtime: { onMessage: listener },
+    commands: { onCommand: listener },
+    menus: { create() {}, onClicked: listener },
+  };
+}
+
+module.exports = {
+  createFakeBrowser,
+};
@@ -0,0 +1,90 @@
+/**
+ * Script Loader for Tests
+ * Runs extension scripts, in manifest order, in one VM context the way a page or the
+ * background script shares their globals. Node provides fetch, URL and timers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const manifest = require(path.join(ROOT, 'manifest.json'));
+
+/**
+ * Console that drops everything (the scripts log failures the tests cause on purpose)
+ */
+const QUIET_CONSOLE = {
+  log() {},
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * Load scripts into a fresh context
+ * @param {string[]} files - Script paths relative to the repository root
+ * @param {Object} globals - Extra globals (e.g. a fake browser object)
+ * @returns {Object} - { get(name): value of a global, context }
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext(Object.assign({
+    console: QUIET_CONSOLE,
+    fetch,
+    Response,
+    Headers,
+    URL,
+    URLSearchParams,
+    AbortController,
+    DOMException,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+  }, globals));
+
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+
+  return {
+    // Top-level const and class declarations aren't properties of the context, so read them by name
+    get: name => vm.runInContext(name, context),
+    context,
+  };
+}
+
+/**
+ * Background script files, without background.js itself
+ * @returns {string[]} - Shared script paths
+ */
+function getSharedBackgroundScripts() {
+  return manifest.background.scripts.filter(file => file !== 'src/background.js');
+}
+
+/**
+ * Background script files, including background.js
+ * @returns {string[]} - Script paths
+ */
+function getBackgroundScripts() {
+  return manifest.background.scripts.slice();
+}
+
+/**
+ * Copy a value out of the VM context
+ * Objects made there have that context's prototypes, which deepStrictEqual tells apart
+ * @param {any} value - JSON-safe value
+ * @returns {any} - Same value with the test's own prototypes
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  ROOT,
+  loadScripts,
+  getSharedBackgroundScripts,
+  getBackgroundScripts,
+  toPlain,
+};
@@ -0,0 +1,77 @@
+/**
+ * Local Stand-in Server
+ * Answers for Chess.com and Lichess on 127.0.0.1 so the clients can be tested offline.
+ * Routes are keyed "METHOD /path"; every request is recorded for the tests to check
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Start a stand-in server
+ * @param {Object} routes - Handlers keyed "METHOD /path"; each receives { method, path, headers, body }
+ *                          and returns { status, headers, body } (a non-string body is sent as JSON)
+ * @returns {Promise<Object>} - { baseUrl, requests, close() }
+ */
+function startStandInServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      const request = { method: req.method, path: req.url, headers: req.headers, body };
+      const handler = routes[`${req.method} ${req.url.split('?')[0]}`];
+      const reply = handler ? handler(request) : { status: 404, body: { error: 'Not found' } };
+
+      requests.push(request);
+      sendReply(res, reply);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Write a handler's reply
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} reply - { status, headers, body }
+ */
+function sendReply(res, reply) {
+  const isJson = reply.body !== undefined && typeof reply.body !== 'string';
+  const headers = Object.assign(isJson ? { 'Content-Type': 'application/json' } : {}, reply.headers);
+
+  res.writeHead(reply.status || 200, headers);
+  res.end(isJson ? JSON.stringify(reply.body) : reply.body || '');
+}
+
+/**
+ * Route handler replying with a fixture file
+ * @param {string} name - Path under test/fixtures, e.g. 'chesscom/live-crazyhouse.json'
+ * @param {string} contentType - Content-Type of the reply (default: application/json)
+ * @returns {Function} - Route handler
+ */
+function fixture(name, contentType = 'application/json') {
+  const text = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+  return () => ({ status: 200, headers: { 'Content-Type': contentType }, body: text });
+}
+
+module.exports = {
+  startStandInServer,
+  fixture,
+};
@@ -0,0 +1,207 @@
+/**
+ * Lichess Import Tests
+ * The import client against the local stand-in server, and the background script's
+ * fallback to the paste page when the import API can't be used
+ */
+
+const assert = require('assert');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, getBackgroundScripts } = require('./helpers/load-scripts');
+const { startStandInServer } = require('./helpers/stand-in-server');
+const { createFakeBrowser } = require('./helpers/fake-browser');
+
+const PGN = [
+  '[Event "Live Chess"]',
+  '[Site "Chess.com"]',
+  '[Date "2024.05.01"]',
+  '[White "WhitePlayer"]',
+  '[Black "BlackPlayer"]',
+  '[Result "*"]',
+  '[Variant "atomic"]',
+  '',
+  '1. e4 e5 *',
+].join('\n');
+
+/**
+ * Stand-in routes for each way Lichess answers an import
+ * The reply is picked by the path, so each test posts to its own base path
+ */
+const IMPORT_ROUTES = {
+  'POST /json/api/import': () => ({ status: 200, body: { id: 'AbCd1234', url: 'https://lichess.org/AbCd1234' } }),
+  'POST /json-id/api/import': () => ({ status: 200, body: { id: 'EfGh5678' } }),
+  'POST /redirect/api/import': () => ({ status: 303, headers: { Location: '/redirect/IjKl9012' } }),
+  'GET /redirect/IjKl9012': () => ({ status: 200, headers: { 'Content-Type': 'text/html' }, body: '<html></html>' }),
+  'POST /invalid/api/import': () => ({ status: 400, body: { error: { pgn: ['Invalid PGN'] } } }),
+  'POST /invalid-text/api/import': () => ({ status: 400, body: 'Cannot parse moves' }),
+  'POST /limited/api/import': () => ({ status: 429, headers: { 'Retry-After': '30' }, body: { error: 'Too many requests' } }),
+  'POST /limited-no-wait/api/import': () => ({ status: 429, body: '' }),
+  'POST /broken/api/import': () => ({ status: 500, body: 'Internal error' }),
+  'POST /html/api/import': () => ({ status: 200, headers: { 'Content-Type': 'text/html' }, body: '<html></html>' }),
+};
+
+describe('importToLichess against the stand-in server', () => {
+  const scripts = loadScripts(getSharedBackgroundScripts());
+  const importToLichess = scripts.get('importToLichess');
+  const ERROR_CODES = scripts.get('ERROR_CODES');
+  const IMPORT_ERROR_KINDS = scripts.get('IMPORT_ERROR_KINDS');
+  let server;
+
+  before(async () => {
+    server = await startStandInServer(IMPORT_ROUTES);
+  });
+
+  after(() => server.close());
+
+  /**
+   * Import the test PGN through one of the stand-in's base paths
+   * @param {string} name - Base path, e.g. 'json'
+   * @returns {Promise<Object>} - Imported game
+   */
+  function importVia(name) {
+    return importToLichess(PGN, { baseUrl: `${server.baseUrl}/${name}` });
+  }
+
+  it('posts the PGN as a form field', async () => {
+    server.requests.length = 0;
+    await importVia('json');
+
+    const request = server.requests[0];
+    assert.strictEqual(request.headers['content-type'], 'application/x-www-form-urlencoded;charset=UTF-8');
+    assert.strictEqual(new URLSearchParams(request.body).get('pgn'), PGN);
+  });
+
+  it('returns the game URL from a JSON reply', async () => {
+    const game = await importVia('json');
+    assert.strictEqual(game.id, 'AbCd1234');
+    assert.strictEqual(game.url, 'https://lichess.org/AbCd1234');
+  });
+
+  it('builds the game URL when the reply only has the ID', async () => {
+    const game = await importVia('json-id');
+    assert.strictEqual(game.url, `${server.baseUrl}/json-id/EfGh5678`);
+  });
+
+  it('follows a redirect to the game page', async () => {
+    const game = await importVia('redirect');
+    assert.strictEqual(game.id, 'IjKl9012');
+    assert.strictEqual(game.url, `${server.baseUrl}/redirect/IjKl9012`);
+  });
+
+  it('turns a 400 into a validation error carrying the Lichess message', async () => {
+    await assert.rejects(importVia('invalid'), (error) => {
+      assert.strictEqual(error.code, ERROR_CODES.LICHESS_IMPORT_REJECTED);
+      assert.strictEqual(error.kind, IMPORT_ERROR_KINDS.VALIDATION);
+      assert.strictEqual(error.status, 400);
+      assert.match(error.message, /Lichess rejected the game: Invalid PGN/);
+      return true;
+    });
+  });
+
+  it('reads a plain-text error message', async () => {
+    await assert.rejects(importVia('invalid-text'), /Lichess rejected the game: Cannot parse moves/);
+  });
+
+  it('turns a 429 into a rate limit error with the Retry-After wait', async () => {
+    await assert.rejects(importVia('limited'), (error) => {
+      assert.strictEqual(error.code, ERROR_CODES.LICHESS_RATE_LIMITED);
+      assert.strictEqual(error.kind, IMPORT_ERROR_KINDS.RATE_LIMIT);
+      assert.strictEqual(error.retryAfter, 30);
+      return true;
+    });
+  });
+
+  it('waits the default time when a 429 has no Retry-After', async () => {
+    await assert.rejects(importVia('limited-no-wait'), error => error.retryAfter === scripts.get('LICHESS_API').DEFAULT_RETRY_AFTER);
+  });
+
+  it('reports server errors and unexpected replies as server failures', async () => {
+    await assert.rejects(importVia('broken'), error => error.kind === IMPORT_ERROR_KINDS.SERVER && error.status === 500);
+    await assert.rejects(importVia('html'), error => error.kind === IMPORT_ERROR_KINDS.SERVER);
+  });
+
+  it('reports an unreachable server as a network failure', async () => {
+    await assert.rejects(
+      importToLichess(PGN, { baseUrl: 'http://127.0.0.1:9' }),
+      error => error.kind === IMPORT_ERROR_KINDS.NETWORK && error.code === ERROR_CODES.NETWORK_ERROR
+    );
+  });
+});
+
+describe('sending a game from the background script', () => {
+  const sender = { tab: { id: 1, index: 0 } };
+  let server;
+  let browser;
+  let scripts;
+
+  before(async () => {
+    server = await startStandInServer(IMPORT_ROUTES);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    browser = createFakeBrowser();
+    scripts = loadScripts(getBackgroundScripts(), { browser });
+  });
+
+  /**
+   * Send the test PGN with the import API at one of the stand-in's base paths
+   * @param {string} name - Base path, e.g. 'json'
+   * @returns {Promise<Object>} - Runtime message response
+   */
+  function sendVia(name) {
+    scripts.get('LICHESS_API').BASE_URL = `${server.baseUrl}/${name}`;
+    return scripts.get('handleSendToLichess')({ pgn: PGN, source: 'https://www.chess.com/game/live/90000001' }, sender);
+  }
+
+  it('opens the imported game', async () => {
+    const response = await sendVia('json');
+
+    assert.strictEqual(response.success, true);
+    assert.strictEqual(response.method, 'import');
+    assert.deepStrictEqual(browser.tabs.created.map(tab => tab.url), ['https://lichess.org/AbCd1234']);
+  });
+
+  it('falls back to the paste page when Lichess fails, and hands the PGN to that tab', async () => {
+    const response = await sendVia('broken');
+
+    assert.strictEqual(response.success, true);
+    assert.strictEqual(response.method, 'paste');
+
+    const pasteTab = browser.tabs.created[0];
+    assert.strictEqual(pasteTab.url, scripts.get('LICHESS_URLS').PASTE);
+    assert.strictEqual(pasteTab.openerTabId, sender.tab.id);
+
+    const pickup = await scripts.get('handleRequestPGN')({ tab: { id: pasteTab.id } });
+    assert.strictEqual(pickup.pgn, PGN);
+
+    // One-time pickup
+    const again = await scripts.get('handleRequestPGN')({ tab: { id: pasteTab.id } });
+    assert.strictEqual(again.pgn, null);
+  });
+
+  it('falls back to the paste page when Lichess is unreachable', async () => {
+    scripts.get('LICHESS_API').BASE_URL = 'http://127.0.0.1:9';
+    const response = await scripts.get('handleSendToLichess')({ pgn: PGN }, sender);
+
+    assert.strictEqual(response.method, 'paste');
+  });
+
+  it('shows a rejected game instead of pasting it', async () => {
+    const response = await sendVia('invalid');
+
+    assert.strictEqual(response.success, false);
+    assert.strictEqual(response.code, scripts.get('ERROR_CODES').LICHESS_IMPORT_REJECTED);
+    assert.match(response.error, /Invalid PGN/);
+    assert.strictEqual(browser.tabs.created.length, 0);
+  });
+
+  it('shows a rate limit instead of pasting the game', async () => {
+    const response = await sendVia('limited');
+
+    assert.strictEqual(response.success, false);
+    assert.strictEqual(response.code, scripts.get('ERROR_CODES').LICHESS_RATE_LIMITED);
+    assert.strictEqual(browser.tabs.created.length, 0);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Lichess Study Tests
+ * The study client against the local stand-in server: adding chapters, and listing
+ * the token owner's studies from the NDJSON study list
+ */
+
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, toPlain } = require('./helpers/load-scripts');
+const { startStandInServer, fixture } = require('./helpers/stand-in-server');
+
+const TOKEN = 'lip_test';
+const STUDY_ID = 'AbCd1234';
+const PGN = '[Event "Live Chess"]\n[White "WhitePlayer"]\n[Black "BlackPlayer"]\n[Result "*"]\n\n1. e4 e5 *';
+
+/**
+ * Route handler that only answers requests carrying the test token
+ * @param {Function} handler - Handler for authorised requests
+ * @returns {Function} - Route handler
+ */
+function withToken(handler) {
+  return request => (request.headers.authorization === `Bearer ${TOKEN}`
+    ? handler(request)
+    : { status: 401, body: { error: 'No such token' } });
+}
+
+describe('lichess study client against the stand-in server', () => {
+  const scripts = loadScripts(getSharedBackgroundScripts());
+  const importToStudy = scripts.get('importToStudy');
+  const fetchMyStudies = scripts.get('fetchMyStudies');
+  const ERROR_CODES = scripts.get('ERROR_CODES');
+  let server;
+
+  before(async () => {
+    server = await startStandInServer({
+      [`POST /api/study/${STUDY_ID}/import-pgn`]: withToken(() => ({
+        status: 200,
+        body: { chapters: [{ id: 'Chap0001', name: 'WhitePlayer - BlackPlayer' }] },
+      })),
+      'POST /api/study/Limited1/import-pgn': withToken(() => ({ status: 429, headers: { 'Retry-After': '5' }, body: '' })),
+      'POST /api/study/Invalid1/import-pgn': withToken(() => ({ status: 400, body: { error: 'Invalid PGN' } })),
+      'GET /api/account': withToken(fixture('lichess/account.json')),
+      'GET /api/study/by/TeamUser': withToken(fixture('lichess/studies.ndjson', 'application/x-ndjson')),
+    });
+  });
+
+  after(() => server.close());
+
+  /**
+   * Add the test PGN to a study on the stand-in server
+   * @param {Object} options - importToStudy options (study and token default to the test ones)
+   * @returns {Promise<Object>} - New chapter
+   */
+  function addChapter(options = {}) {
+    return importToStudy(PGN, Object.assign({
+      study: STUDY_ID,
+      token: TOKEN,
+      name: 'WhitePlayer - BlackPlayer',
+      baseUrl: server.baseUrl,
+    }, options));
+  }
+
+  it('adds the game as a named chapter with the token', async () => {
+    server.requests.length = 0;
+
+    const chapter = await addChapter({ study: `https://lichess.org/study/${STUDY_ID}/Other123`, orientation: 'black' });
+
+    assert.deepStrictEqual(toPlain(chapter), { id: 'Chap0001', url: `${server.baseUrl}/study/${STUDY_ID}/Chap0001` });
+
+    const form = new URLSearchParams(server.requests[0].body);
+    assert.strictEqual(form.get('pgn'), PGN);
+    assert.strictEqual(form.get('name'), 'WhitePlayer - BlackPlayer');
+    assert.strictEqual(form.get('orientation'), 'black');
+  });
+
+  it('checks the study ID and token before sending anything', async () => {
+    server.requests.length = 0;
+
+    await assert.rejects(addChapter({ study: 'not a study' }), error => error.code === ERROR_CODES.INVALID_STUDY_ID);
+    await assert.rejects(addChapter({ token: '' }), error => error.code === ERROR_CODES.LICHESS_TOKEN_MISSING);
+    assert.strictEqual(server.requests.length, 0);
+  });
+
+  it('tells a rejected token from a missing study', async () => {
+    await assert.rejects(addChapter({ token: 'lip_wrong' }), error => error.code === ERROR_CODES.LICHESS_TOKEN_REJECTED);
+    await assert.rejects(addChapter({ study: 'Missing1' }), error => error.code === ERROR_CODES.STUDY_NOT_FOUND && error.status === 404);
+  });
+
+  it('passes on rate limits and rejected games', async () => {
+    await assert.rejects(addChapter({ study: 'Limited1' }), error => error.code === ERROR_CODES.LICHESS_RATE_LIMITED && error.retryAfter === 5);
+    await assert.rejects(addChapter({ study: 'Invalid1' }), /Lichess rejected the game: Invalid PGN/);
+  });
+
+  it('lists the token owner\'s studies from the NDJSON list, skipping blank lines', async () => {
+    const studies = await fetchMyStudies(TOKEN, { baseUrl: server.baseUrl });
+
+    assert.deepStrictEqual(toPlain(studies), [
+      { id: 'AbCd1234', name: 'Opponents: BlackPlayer' },
+      { id: 'EfGh5678', name: 'Atomic openings' },
+    ]);
+  });
+
+  it('refuses to list studies without a working token', async () => {
+    await assert.rejects(fetchMyStudies('', { baseUrl: server.baseUrl }), error => error.code === ERROR_CODES.LICHESS_TOKEN_MISSING);
+    await assert.rejects(fetchMyStudies('lip_wrong', { baseUrl: server.baseUrl }), error => error.code === ERROR_CODES.LICHESS_TOKEN_REJECTED);
+  });
+});
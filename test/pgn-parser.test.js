@@ -0,0 +1,139 @@
+/**
+ * PGN Parser Tests
+ * Tokenizing and parsing movetext (comments, NAGs, variations, null moves, results)
+ * and writing the game back out
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, toPlain } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(getSharedBackgroundScripts());
+const parsePGN = scripts.get('parsePGN');
+const parseGames = scripts.get('parseGames');
+const serializePGN = scripts.get('serializePGN');
+const buildGame = scripts.get('buildGame');
+
+const ANNOTATED_PGN = [
+  '[Event "Casual \\"blitz\\""]',
+  '[White "WhitePlayer"]',
+  '[Black "BlackPlayer"]',
+  '[Result "1/2-1/2"]',
+  '[Annotator "Coach"]',
+  '',
+  '{Before the game} 1. e4 $1 {Best by test} e5?! (1... c5 2. Nf3 (2. c3 d5) 2... d6)',
+  '2. Nf3 ; to the end of the line',
+  'Z0 3. Bc4!! 1/2-1/2',
+].join('\n');
+
+/**
+ * Pick the SANs out of a move sequence
+ * @param {Object[]} nodes - Move nodes
+ * @returns {string[]} - SAN moves
+ */
+function sans(nodes) {
+  return toPlain(nodes.map(node => node.san));
+}
+
+describe('parsePGN', () => {
+  const game = parsePGN(ANNOTATED_PGN);
+
+  it('reads tags, unescaping quotes, in the order given', () => {
+    assert.strictEqual(game.tags.Event, 'Casual "blitz"');
+    assert.deepStrictEqual(toPlain(game.tagOrder), ['Event', 'White', 'Black', 'Result', 'Annotator']);
+  });
+
+  it('attaches brace and rest-of-line comments to the moves around them', () => {
+    assert.deepStrictEqual(toPlain(game.moves[0].commentsBefore), ['Before the game']);
+    assert.deepStrictEqual(toPlain(game.moves[0].comments), ['Best by test']);
+    assert.deepStrictEqual(toPlain(game.moves[2].comments), ['to the end of the line']);
+  });
+
+  it('reads NAGs and turns suffix annotations into NAGs', () => {
+    assert.deepStrictEqual(toPlain(game.moves.map(node => node.nags)), [[1], [6], [], [], [3]]);
+  });
+
+  it('nests variations under the move they replace, numbering their plies from there', () => {
+    const [variation] = game.moves[1].variations;
+
+    assert.deepStrictEqual(sans(variation), ['c5', 'Nf3', 'd6']);
+    assert.deepStrictEqual(toPlain(variation.map(node => node.ply)), [2, 3, 4]);
+    assert.deepStrictEqual(sans(variation[1].variations[0]), ['c3', 'd5']);
+    assert.deepStrictEqual(sans(game.moves), ['e4', 'e5', 'Nf3', 'Z0', 'Bc4']);
+  });
+
+  it('reads Z0 as a null move', () => {
+    assert.strictEqual(game.moves[3].san, 'Z0');
+    assert.strictEqual(game.moves[3].ply, 4);
+  });
+
+  it('records where each move is', () => {
+    assert.strictEqual(game.moves[3].line, 9);
+    assert.strictEqual(game.moves[3].column, 1);
+  });
+
+  it('reads each result token, and no result when the movetext just stops', () => {
+    for (const result of ['1-0', '0-1', '1/2-1/2', '*']) {
+      assert.strictEqual(parsePGN(`1. e4 ${result}`).result, result);
+    }
+    assert.strictEqual(parsePGN('1. e4 e5').result, null);
+  });
+
+  it('numbers plies from the FEN of a set-up game', () => {
+    const setUp = parsePGN('[FEN "4k3/8/8/8/8/8/8/4K3 b - - 0 12"]\n\n12... Kd7 13. Kd2 *');
+    assert.deepStrictEqual(toPlain(setUp.moves.map(node => node.ply)), [24, 25]);
+  });
+
+  it('splits several games at their tag sections', () => {
+    const games = parseGames('[Event "One"]\n\n1. e4 1-0\n\n[Event "Two"]\n\n1. d4 0-1');
+    assert.deepStrictEqual(toPlain(games.map(each => [each.tags.Event, each.result])), [['One', '1-0'], ['Two', '0-1']]);
+  });
+
+  it('reports malformed movetext with its position', () => {
+    assert.throws(() => parsePGN('1. e4 e5 (1... c5'), { name: 'PGNSyntaxError', message: /Unterminated variation/, line: 1, column: 10 });
+    assert.throws(() => parsePGN('1. e4 (1. d4 *)'), /Game result inside variation/);
+    assert.throws(() => parsePGN('1. e4 Xyz9'), /Line 1, column 7: Invalid move 'Xyz9'/);
+    assert.throws(() => parsePGN('1. e4 {never closed'), /Unterminated comment/);
+    assert.throws(() => parsePGN('$1 1. e4'), /Annotation before any move/);
+  });
+});
+
+describe('serializePGN', () => {
+  it('writes comments, NAGs, variations and null moves back, with move numbers where they are needed', () => {
+    assert.strictEqual(serializePGN(parsePGN(ANNOTATED_PGN), { maxLineLength: 0 }), [
+      '[Event "Casual \\"blitz\\""]',
+      '[White "WhitePlayer"]',
+      '[Black "BlackPlayer"]',
+      '[Result "1/2-1/2"]',
+      '[Annotator "Coach"]',
+      '',
+      '{Before the game} 1. e4 $1 {Best by test} 1... e5 $6 (1... c5 2. Nf3 (2. c3 d5) 2... d6) '
+        + '2. Nf3 {to the end of the line} 2... Z0 3. Bc4 $3 1/2-1/2',
+    ].join('\n'));
+  });
+
+  it('round-trips: parsing its own output gives the same game', () => {
+    const once = serializePGN(parsePGN(ANNOTATED_PGN));
+
+    assert.strictEqual(serializePGN(parsePGN(once)), once);
+    assert.deepStrictEqual(sans(parsePGN(once).moves), sans(parsePGN(ANNOTATED_PGN).moves));
+  });
+
+  it('puts the Seven Tag Roster first and wraps movetext at 80 characters', () => {
+    const moves = Array.from({ length: 40 }, (_, index) => (index % 2 ? 'Nf6' : 'Nf3'));
+    const pgn = serializePGN(buildGame({ Variant: 'Atomic', Event: 'Live Chess', Result: '*' }, moves));
+    const lines = pgn.split('\n');
+
+    assert.deepStrictEqual(lines.slice(0, 3), ['[Event "Live Chess"]', '[Result "*"]', '[Variant "Atomic"]']);
+    assert.ok(lines.slice(4).every(line => line.length <= 80));
+    assert.ok(lines.length > 5);
+  });
+
+  it('writes movetext on one line when asked, dropping a } that would end a comment early', () => {
+    const game = parsePGN('1. e4 {ok} *');
+    game.moves[0].comments.push('a } b');
+
+    assert.strictEqual(serializePGN(game, { maxLineLength: 0 }), '1. e4 {ok} {a b} *');
+  });
+});
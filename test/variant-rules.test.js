@@ -0,0 +1,178 @@
+/**
+ * Variant Rules Tests
+ * The per-variant checks the validator runs: move grammar (drops, king captures),
+ * three-check counting, king of the hill and the crazyhouse pocket
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getSharedBackgroundScripts, toPlain } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(getSharedBackgroundScripts());
+const getVariantRules = scripts.get('getVariantRules');
+const validatePGN = scripts.get('validatePGN');
+const verifyGame = scripts.get('verifyGame');
+const parsePGN = scripts.get('parsePGN');
+const buildGame = scripts.get('buildGame');
+
+/**
+ * Build a PGN with every required header
+ * @param {string} variant - Variant header value
+ * @param {string} movetext - Moves and result
+ * @param {Object} extra - Extra headers
+ * @returns {string} - PGN
+ */
+function pgnFor(variant, movetext, extra = {}) {
+  const result = movetext.split(/\s+/).pop();
+  const tags = Object.assign({
+    Event: 'Live Chess',
+    Site: 'Chess.com',
+    Date: '2024.05.01',
+    White: 'WhitePlayer',
+    Black: 'BlackPlayer',
+    Result: result,
+    Variant: variant,
+  }, extra);
+
+  return `${Object.entries(tags).map(([name, value]) => `[${name} "${value}"]`).join('\n')}\n\n${movetext}`;
+}
+
+/**
+ * Find how the rule set says a list of moves ended, without replaying them
+ * @param {string} variant - Variant key
+ * @param {string[]} moves - SAN moves
+ * @returns {Object|null} - Outcome with the ending move's SAN, or null
+ */
+function outcomeOf(variant, moves) {
+  const outcome = getVariantRules(variant).findOutcome(buildGame({}, moves));
+  return outcome && toPlain({ winner: outcome.winner, reason: outcome.reason, san: outcome.node.san });
+}
+
+describe('move grammar', () => {
+  it('allows drops only in crazyhouse, and never king drops', () => {
+    const crazyhouse = getVariantRules('crazyhouse').moveToken;
+
+    for (const drop of ['N@f3', 'P@e4', '@e4', 'Q@h7+', 'B@b5#']) {
+      assert.ok(crazyhouse.test(drop), drop);
+    }
+    assert.ok(!crazyhouse.test('K@e4'));
+    assert.ok(!crazyhouse.test('N@i9'));
+
+    for (const variant of ['standard', 'atomic', 'threeCheck', 'kingOfTheHill']) {
+      assert.ok(!getVariantRules(variant).moveToken.test('N@f3'), variant);
+    }
+  });
+
+  it('rejects a king capture in atomic only', () => {
+    assert.ok(!getVariantRules('atomic').moveToken.test('Kxd2'));
+    assert.ok(getVariantRules('atomic').moveToken.test('Kd2'));
+    assert.ok(getVariantRules('standard').moveToken.test('Kxd2'));
+  });
+
+  it('accepts castling either way it is written, and Z0 null moves', () => {
+    for (const variant of ['standard', 'atomic', 'crazyhouse', 'threeCheck', 'kingOfTheHill']) {
+      const { moveToken } = getVariantRules(variant);
+      assert.ok(['O-O', '0-0-0', 'Z0'].every(token => moveToken.test(token)), variant);
+    }
+  });
+
+  it('names the rule a bad move breaks', () => {
+    const result = validatePGN(pgnFor('Atomic', '1. e4 N@f6 *'), 'atomic');
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(toPlain(result.errors), [
+      "1... N@f6 isn't allowed in atomic chess (kings can't capture in atomic and there are no drops)",
+    ]);
+  });
+
+  it('falls back to standard chess for an unknown variant', () => {
+    assert.strictEqual(getVariantRules('bughouse').name, 'standard chess');
+  });
+});
+
+describe('three-check', () => {
+  it('counts checks from the + and # suffixes, per side', () => {
+    assert.deepStrictEqual(outcomeOf('threeCheck', ['e4', 'e5', 'Bc4', 'Nc6', 'Bxf7+', 'Kxf7', 'Qh5+', 'Ke7', 'Qxe5+']), {
+      winner: 'w',
+      reason: 'three checks',
+      san: 'Qxe5+',
+    });
+    assert.deepStrictEqual(outcomeOf('threeCheck', ['a3', 'e6', 'a4', 'Bb4+', 'c3', 'Bxc3+', 'Nxc3', 'Qh4', 'g3', 'Qxg3#']), {
+      winner: 'b',
+      reason: 'three checks',
+      san: 'Qxg3#',
+    });
+  });
+
+  it('doesn\'t add the two sides\' checks together', () => {
+    assert.strictEqual(outcomeOf('threeCheck', ['e4', 'e5', 'Bb5+', 'Bb4+', 'Bc6+', 'Bc3+']), null);
+  });
+
+  it('checks the result against the third check', () => {
+    const movetext = '1. e4 e5 2. Bc4 Nc6 3. Bxf7+ Kxf7 4. Qh5+ Ke7 5. Qxe5+';
+
+    assert.strictEqual(verifyGame(parsePGN(pgnFor('Three-check', `${movetext} 1-0`)), 'threeCheck').valid, true);
+    assert.match(
+      verifyGame(parsePGN(pgnFor('Three-check', `${movetext} 0-1`)), 'threeCheck').error,
+      /Result "0-1" contradicts the final position \(1-0 by three checks\)/
+    );
+  });
+});
+
+describe('king of the hill', () => {
+  it('ends the game when a king reaches d4, e4, d5 or e5', () => {
+    for (const square of ['d4', 'e4', 'd5', 'e5']) {
+      assert.deepStrictEqual(outcomeOf('kingOfTheHill', ['e3', 'e6', `K${square}`]), {
+        winner: 'w',
+        reason: 'king in the centre',
+        san: `K${square}`,
+      });
+    }
+    assert.strictEqual(outcomeOf('kingOfTheHill', ['e3', 'e6', 'Nc3', 'Kxd5']).winner, 'b');
+  });
+
+  it('doesn\'t count other pieces in the centre, or a king walking around it', () => {
+    const moves = ['e4', 'd5', 'Nf3', 'Qd6', 'Nd4', 'Qe5', 'Ke2', 'Kd7', 'Kf3', 'Kc6', 'Kf4', 'Kc5'];
+    assert.strictEqual(outcomeOf('kingOfTheHill', moves), null);
+
+    const replayed = verifyGame(parsePGN(pgnFor('King of the Hill', '1. e3 d6 2. Ke2 Kd7 3. Kf3 Kc6 4. Kf4 Kc5 *', {
+      Termination: 'WhitePlayer won by king to the center',
+    })), 'kingOfTheHill');
+
+    assert.strictEqual(replayed.valid, true);
+    assert.strictEqual(replayed.status.over, false);
+    assert.deepStrictEqual(toPlain(replayed.warnings), [
+      "Termination says king in the centre, but in king of the hill these moves don't end the game",
+    ]);
+  });
+
+  it('refuses moves after a king reached the centre', () => {
+    const replayed = verifyGame(parsePGN(pgnFor('King of the Hill', '1. e3 d6 2. Ke2 Kd7 3. Kf3 Kc6 4. Kf4 Kc5 5. Ke4 a6 *')), 'kingOfTheHill');
+
+    assert.strictEqual(replayed.valid, false);
+    assert.strictEqual(replayed.error, 'Moves continue after 5. Ke4 ended the game (king in the centre)');
+  });
+});
+
+describe('crazyhouse', () => {
+  it('replays drops from the pocket', () => {
+    const replayed = verifyGame(parsePGN(pgnFor('Crazyhouse', '1. e4 d5 2. exd5 Qxd5 3. P@e4 Qa5 *')), 'crazyhouse');
+    assert.strictEqual(replayed.valid, true);
+  });
+
+  it('refuses a drop of a piece not in the pocket', () => {
+    const replayed = verifyGame(parsePGN(pgnFor('Crazyhouse', '1. e4 d5 2. exd5 Qxd5 3. N@e4 *')), 'crazyhouse');
+    assert.strictEqual(replayed.error, 'Illegal move at ply 5 (3. N@e4): illegal drop');
+  });
+
+  it('warns when a set-up game has no pocket in its FEN', () => {
+    const { checkHeaders } = getVariantRules('crazyhouse');
+
+    assert.deepStrictEqual(toPlain(checkHeaders({ FEN: '4k3/8/8/8/8/8/8/4K3 w - - 0 1' })), [
+      'FEN has no crazyhouse pocket; Lichess will start with empty pockets',
+    ]);
+    assert.deepStrictEqual(toPlain(checkHeaders({ FEN: '4k3/8/8/8/8/8/8/4K3[Nn] w - - 0 1' })), []);
+    assert.deepStrictEqual(toPlain(checkHeaders({})), []);
+  });
+});